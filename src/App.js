@@ -5,7 +5,7 @@ import TitleBar from './renderer/components/TitleBar.js';
 import OnboardingTour from './renderer/components/OnboardingTour.js';
 import './renderer/styles/App.css';
 
-const { ipcRenderer } = window.require('electron');
+const { moely } = window;
 
 function App() {
   const [wallpapers, setWallpapers] = useState([]);
@@ -14,18 +14,22 @@ function App() {
   const [showSettings, setShowSettings] = useState(false);
   const [autoStart, setAutoStart] = useState(true);
   const [showOnboarding, setShowOnboarding] = useState(false);
+  const [onboardingCompleted, setOnboardingCompleted] = useState(null);
+  const [offlineSince, setOfflineSince] = useState(null);
+  const [updateStatus, setUpdateStatus] = useState(null);
+  // 点了「稍后」的版本，本次运行不再提示
+  const [dismissedUpdate, setDismissedUpdate] = useState(null);
 
-  // 检查是否首次使用
+  // 检查是否首次使用（等待设置加载完成）
   useEffect(() => {
-    const isFirstTime = !localStorage.getItem('moely-wallpaper-tour-completed');
-    if (isFirstTime) {
+    if (onboardingCompleted === false) {
       // 延迟显示新手引导，等待UI加载完成
       const timer = setTimeout(() => {
         setShowOnboarding(true);
       }, 1000);
       return () => clearTimeout(timer);
     }
-  }, [wallpapers]); // 依赖wallpapers，确保数据加载完成后才显示引导
+  }, [wallpapers, onboardingCompleted]); // 依赖wallpapers，确保数据加载完成后才显示引导
 
   useEffect(() => {
     const fetchWallpapers = async () => {
@@ -38,10 +42,11 @@ function App() {
           setTimeout(() => reject(new Error('请求超时，请检查网络连接')), 15000);
         });
         
-        const dataPromise = ipcRenderer.invoke('fetch-wallpapers');
-        const data = await Promise.race([dataPromise, timeoutPromise]);
+        const dataPromise = moely.fetchWallpapers();
+        const { wallpapers: data, offline, offlineSince: since } = await Promise.race([dataPromise, timeoutPromise]);
         
         setWallpapers(data);
+        setOfflineSince(offline ? since : null);
         
         // 后台静默缓存未缓存的图片
         const uncachedWallpapers = data.filter(wp => !wp.isLocal);
@@ -61,21 +66,54 @@ function App() {
     fetchWallpapers();
   }, []);
 
+  // 主进程中的壁纸列表变化（例如本地文件夹新增图片）
+  useEffect(() => {
+    const handleWallpapersUpdated = ({ wallpapers: data, offline, offlineSince: since }) => {
+      if (Array.isArray(data) && data.length > 0) {
+        setWallpapers(data);
+        setOfflineSince(offline ? since : null);
+      }
+    };
+
+    return moely.onWallpapersUpdated(handleWallpapersUpdated);
+  }, []);
+
+  // 后台下载并校验好新版本后提示安装
+  useEffect(() => {
+    moely.updates.getStatus().then(setUpdateStatus).catch((error) => {
+      console.error('Failed to load update status:', error);
+    });
+    return moely.updates.onStatus(setUpdateStatus);
+  }, []);
+
+  const handleUpdateAction = async (action) => {
+    try {
+      const result = await action();
+      if (result && result.success === false) {
+        alert('更新失败：' + result.error);
+      } else if (result && result.manual) {
+        alert('已打开安装包，请按提示手动完成安装');
+      }
+    } catch (error) {
+      console.error('Update action failed:', error);
+    }
+  };
+
   // 后台静默缓存图片
   const startSilentImageCaching = async (wallpapersToCache) => {
     try {
       console.log('Starting silent background caching...');
       
-      const results = await ipcRenderer.invoke('cache-images', wallpapersToCache);
+      const results = await moely.cacheImages(wallpapersToCache);
       
       // 静默更新wallpapers状态，使用本地缓存的图片
       setWallpapers(prevWallpapers => {
         return prevWallpapers.map(wp => {
           const cachedResult = results.find(r => r.id === wp.id);
           if (cachedResult && cachedResult.cached) {
+            // 图片地址不变，moely-cache:// 协议之后直接读取缓存文件
             return {  
               ...wp,
-              imageUrl: `file://${cachedResult.localPath}`,
               isLocal: true
             };
           }
@@ -98,7 +136,7 @@ function App() {
   const handleAutoStartChange = async (enabled) => {
     try {
       setAutoStart(enabled);
-      await ipcRenderer.invoke('set-auto-start', enabled);
+      await moely.settings.setAutoStart(enabled);
     } catch (error) {
       console.error('Failed to set auto start:', error);
       alert('设置开机自启动失败：' + error.message);
@@ -108,6 +146,7 @@ function App() {
   // 新手引导完成处理
   const handleOnboardingComplete = () => {
     setShowOnboarding(false);
+    setOnboardingCompleted(true);
     console.log('新手引导完成');
   };
 
@@ -116,17 +155,34 @@ function App() {
     setShowOnboarding(true);
   };
 
-  // 加载设置
+  // 加载设置并订阅主进程的设置变化
   useEffect(() => {
+    const handleSettingsChanged = ({ settings }) => {
+      setAutoStart(settings.autoStart !== false);
+      setOnboardingCompleted(!!settings.onboardingCompleted);
+    };
+
     const loadSettings = async () => {
       try {
-        const settings = await ipcRenderer.invoke('get-settings');
+        const settings = await moely.settings.get();
         setAutoStart(settings.autoStart !== false); // 默认开启
+
+        // 迁移旧版本保存在 localStorage 中的新手引导标记
+        if (!settings.onboardingCompleted && localStorage.getItem('moely-wallpaper-tour-completed')) {
+          await moely.settings.set({ onboardingCompleted: true });
+          localStorage.removeItem('moely-wallpaper-tour-completed');
+          setOnboardingCompleted(true);
+        } else {
+          setOnboardingCompleted(!!settings.onboardingCompleted);
+        }
       } catch (error) {
         console.error('Failed to load settings:', error);
       }
     };
+
+    const unsubscribe = moely.settings.onChanged(handleSettingsChanged);
     loadSettings();
+    return unsubscribe;
   }, []);
 
   // 监听键盘事件，支持快捷键重新显示引导
@@ -186,6 +242,25 @@ function App() {
       <TitleBar />
       <div className="App">
         <ParticleBackground />
+        {offlineSince && (
+          <div className="offline-banner">
+            网络不可用，正在显示 {new Date(offlineSince).toLocaleString('zh-CN')} 的离线数据
+          </div>
+        )}
+        {updateStatus && updateStatus.state === 'downloaded' && updateStatus.latestVersion !== dismissedUpdate && (
+          <div className="update-banner">
+            <span>新版本 {updateStatus.latestVersion} 已下载并通过校验</span>
+            <button onClick={() => handleUpdateAction(moely.updates.install)}>
+              {updateStatus.manualInstall ? '打开安装包' : '安装并重启'}
+            </button>
+            {!updateStatus.required && (
+              <button onClick={() => handleUpdateAction(() => moely.updates.skip(updateStatus.latestVersion))}>
+                跳过此版本
+              </button>
+            )}
+            <button onClick={() => setDismissedUpdate(updateStatus.latestVersion)}>稍后</button>
+          </div>
+        )}
         <WallpaperViewer 
           wallpapers={wallpapers} 
           showSettings={showSettings}
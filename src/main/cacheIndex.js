@@ -0,0 +1,242 @@
+import fs from 'fs';
+import path from 'path';
+
+// 元数据文件格式版本；版本 1 为早期以图片 URL 为键的对象
+const INDEX_VERSION = 2;
+// 合并短时间内的多次修改，只写一次文件
+const WRITE_DELAY = 1000;
+// 隔离区最多保留的记录数
+const MAX_QUARANTINE = 20;
+
+// 缓存图片的文件名：URL 的 md5 加扩展名（见 ImageCache.generateFileName），
+// 未下载完的 .part 文件及其续传校验信息（.part.meta）由下载队列续传，不算缓存图片
+const isCacheFileName = (fileName) => /^[0-9a-f]{32}(\.|$)/.test(fileName) && !/\.part(\.meta)?$/.test(fileName);
+
+// 缓存元数据索引：常驻内存，修改后延迟写入，写入时先写临时文件再重命名，
+// 中途崩溃也不会留下写了一半的元数据文件。
+// 条目以缓存文件名为键，originalUrl 记录图片地址（从目录重建的条目可能还没有地址）
+class CacheIndex {
+  // generateFileName(url) 用于把旧版本以 URL 为键的元数据转换为以文件名为键
+  constructor({ cacheDir, generateFileName }) {
+    this.cacheDir = cacheDir;
+    this.indexFile = path.join(cacheDir, 'metadata.json');
+    this.tempFile = `${this.indexFile}.tmp`;
+    this.generateFileName = generateFileName;
+    this.entries = {};
+    // URL 的 md5 -> 缓存文件名，按 md5 查找时不用遍历所有条目
+    this.fileNamesByHash = new Map();
+    // 校验失败被隔离的下载：文件名 -> { originalUrl, id, reason, fileSize, quarantinedAt }
+    this.quarantine = {};
+    this.writeTimer = null;
+  }
+
+  // 读取元数据文件；文件损坏时备份后扫描缓存目录重建
+  load() {
+    if (!fs.existsSync(this.indexFile)) {
+      this.entries = {};
+      this.indexHashes();
+      return;
+    }
+
+    try {
+      const data = JSON.parse(fs.readFileSync(this.indexFile, 'utf8'));
+      if (data === null || typeof data !== 'object' || Array.isArray(data)) {
+        throw new Error('Metadata is not an object');
+      }
+      this.entries = data.version === INDEX_VERSION ? { ...data.entries } : this.migrate(data);
+      this.quarantine = data.version === INDEX_VERSION && data.quarantine ? { ...data.quarantine } : {};
+      this.indexHashes();
+      if (data.version !== INDEX_VERSION) {
+        this.flush();
+      }
+    } catch (error) {
+      console.error('Cache metadata is corrupted, rebuilding from cache directory:', error.message);
+      try {
+        fs.renameSync(this.indexFile, `${this.indexFile}.corrupt-${Date.now()}`);
+      } catch (renameError) {
+        console.error('Error backing up corrupted cache metadata:', renameError.message);
+      }
+      this.rebuild();
+    }
+  }
+
+  // 版本 1：{ url: entry } -> { fileName: { ...entry, originalUrl } }
+  migrate(data) {
+    const entries = {};
+    for (const [url, entry] of Object.entries(data)) {
+      if (entry && typeof entry === 'object') {
+        entries[this.generateFileName(url)] = { ...entry, originalUrl: entry.originalUrl || url };
+      }
+    }
+    console.log(`Migrated ${Object.keys(entries).length} cache metadata entries to version ${INDEX_VERSION}`);
+    return entries;
+  }
+
+  // 按缓存目录中的图片重建索引，图片地址在之后再次用到时补全
+  rebuild() {
+    this.entries = {};
+    for (const fileName of this.listCacheFiles()) {
+      try {
+        const stat = fs.statSync(path.join(this.cacheDir, fileName));
+        if (stat.size === 0) {
+          continue;
+        }
+        this.entries[fileName] = {
+          id: null,
+          localPath: path.join(this.cacheDir, fileName),
+          downloadTime: stat.mtime.toISOString(),
+          originalUrl: null,
+          fileSize: stat.size
+        };
+      } catch (error) {
+        console.log(`Skipping cache file ${fileName} during rebuild:`, error.message);
+      }
+    }
+    this.indexHashes();
+    console.log(`Rebuilt cache metadata with ${Object.keys(this.entries).length} entries`);
+    this.flush();
+  }
+
+  // 文件名的前 32 位是 URL 的 md5
+  indexHashes() {
+    this.fileNamesByHash = new Map(Object.keys(this.entries).map(fileName => [fileName.slice(0, 32), fileName]));
+  }
+
+  listCacheFiles() {
+    if (!fs.existsSync(this.cacheDir)) {
+      return [];
+    }
+    return fs.readdirSync(this.cacheDir).filter(isCacheFileName);
+  }
+
+  // 对账：删除文件已不存在的条目，以及没有条目的孤立文件（例如下载中途崩溃留下的文件）
+  // isProtected(filePath) 为 true 的文件即使没有条目也保留
+  reconcile({ isProtected = () => false } = {}) {
+    let missingCount = 0;
+    for (const [fileName, entry] of Object.entries(this.entries)) {
+      if (!fs.existsSync(path.join(this.cacheDir, fileName))) {
+        delete this.entries[fileName];
+        this.fileNamesByHash.delete(fileName.slice(0, 32));
+        missingCount++;
+        console.log(`Dropped cache entry with missing file: ${entry.originalUrl || fileName}`);
+      }
+    }
+
+    let orphanCount = 0;
+    for (const fileName of this.listCacheFiles()) {
+      const filePath = path.join(this.cacheDir, fileName);
+      if (this.entries[fileName] || isProtected(filePath)) {
+        continue;
+      }
+      try {
+        fs.unlinkSync(filePath);
+        orphanCount++;
+        console.log(`Removed orphan cache file: ${fileName}`);
+      } catch (error) {
+        console.log(`Failed to remove orphan cache file ${fileName}:`, error.message);
+      }
+    }
+
+    if (missingCount > 0) {
+      this.scheduleWrite();
+    }
+    return { missingCount, orphanCount };
+  }
+
+  get(fileName) {
+    return this.entries[fileName];
+  }
+
+  // 按 URL 的 md5 查找条目的文件名，没有条目时返回 null
+  findByHash(hash) {
+    return this.fileNamesByHash.get(hash) || null;
+  }
+
+  has(fileName) {
+    return !!this.entries[fileName];
+  }
+
+  list() {
+    return Object.entries(this.entries);
+  }
+
+  set(fileName, entry) {
+    this.entries[fileName] = entry;
+    this.fileNamesByHash.set(fileName.slice(0, 32), fileName);
+    this.scheduleWrite();
+  }
+
+  // 更新条目，条目不存在时返回 false
+  update(fileName, changes) {
+    if (!this.entries[fileName]) {
+      return false;
+    }
+    this.entries[fileName] = { ...this.entries[fileName], ...changes };
+    this.scheduleWrite();
+    return true;
+  }
+
+  delete(fileName) {
+    if (this.entries[fileName]) {
+      delete this.entries[fileName];
+      this.fileNamesByHash.delete(fileName.slice(0, 32));
+      this.scheduleWrite();
+    }
+  }
+
+  // 隔离记录，按隔离时间从新到旧排列
+  listQuarantine() {
+    return Object.entries(this.quarantine)
+      .sort(([, a], [, b]) => new Date(b.quarantinedAt) - new Date(a.quarantinedAt));
+  }
+
+  // 添加隔离记录，返回因超出数量上限被移出的文件名
+  addQuarantine(fileName, record) {
+    this.quarantine[fileName] = { ...record, quarantinedAt: new Date().toISOString() };
+    const dropped = this.listQuarantine().slice(MAX_QUARANTINE).map(([name]) => name);
+    for (const name of dropped) {
+      delete this.quarantine[name];
+    }
+    this.scheduleWrite();
+    return dropped;
+  }
+
+  clearQuarantine() {
+    this.quarantine = {};
+    this.scheduleWrite();
+  }
+
+  scheduleWrite() {
+    if (this.writeTimer) {
+      return;
+    }
+    this.writeTimer = setTimeout(() => {
+      this.writeTimer = null;
+      this.flush();
+    }, WRITE_DELAY);
+  }
+
+  // 立即写入：先写临时文件并同步到磁盘，再重命名覆盖正式文件
+  flush() {
+    if (this.writeTimer) {
+      clearTimeout(this.writeTimer);
+      this.writeTimer = null;
+    }
+
+    try {
+      fs.mkdirSync(this.cacheDir, { recursive: true });
+      const fd = fs.openSync(this.tempFile, 'w');
+      try {
+        fs.writeSync(fd, JSON.stringify({ version: INDEX_VERSION, entries: this.entries, quarantine: this.quarantine }, null, 2));
+        fs.fsyncSync(fd);
+      } finally {
+        fs.closeSync(fd);
+      }
+      fs.renameSync(this.tempFile, this.indexFile);
+    } catch (error) {
+      console.error('Error writing cache metadata:', error);
+    }
+  }
+}
+
+export default CacheIndex;
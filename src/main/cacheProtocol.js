@@ -0,0 +1,217 @@
+import fs from 'fs';
+import path from 'path';
+import { Readable } from 'stream';
+import { protocol } from 'electron';
+
+// 渲染进程通过自定义协议显示图片，不再直接使用 file:// 地址：
+//   moely-cache://<md5>?url=<原图地址>  缓存中的图片，未缓存时先下载再返回（id 为壁纸 ID，记录在缓存元数据中）；
+//                                     带 variant=thumb|preview 时返回缩略图或预览图
+//   moely-cache://local/<编码后的路径>  本地文件夹、收藏等缓存目录以外的图片
+const CACHE_SCHEME = 'moely-cache';
+const LOCAL_HOST = 'local';
+
+const MIME_TYPES = {
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.png': 'image/png',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp',
+  '.bmp': 'image/bmp',
+  '.avif': 'image/avif'
+};
+
+// 注册为特权协议，必须在 app ready 之前调用
+const registerCacheScheme = () => {
+  protocol.registerSchemesAsPrivileged([{
+    scheme: CACHE_SCHEME,
+    privileges: { standard: true, secure: true, supportFetchAPI: true, corsEnabled: true, stream: true }
+  }]);
+};
+
+// 缓存图片的地址，hash 为图片地址的 md5（见 ImageCache.generateFileName）；
+// id 为壁纸 ID，图片未缓存、由协议下载时写入缓存元数据
+const toCacheImageUrl = (hash, originalUrl, { variant, id } = {}) => {
+  const params = new URLSearchParams();
+  if (originalUrl) {
+    params.set('url', originalUrl);
+  }
+  if (id !== undefined && id !== null) {
+    params.set('id', String(id));
+  }
+  if (variant) {
+    params.set('variant', variant);
+  }
+  const query = params.toString();
+  return `${CACHE_SCHEME}://${hash}/${query ? `?${query}` : ''}`;
+};
+
+const toLocalImageUrl = (filePath) => `${CACHE_SCHEME}://${LOCAL_HOST}/${encodeURIComponent(filePath)}`;
+
+const isHttpUrl = (value) => {
+  try {
+    const { protocol: urlProtocol } = new URL(value);
+    return urlProtocol === 'http:' || urlProtocol === 'https:';
+  } catch (error) {
+    return false;
+  }
+};
+
+// 解析 Range 请求头（只支持单个区间）：格式不对时返回 null（按完整文件返回），
+// 超出文件范围时返回 { unsatisfiable: true }
+const parseRange = (header, size) => {
+  const match = /^bytes=(\d*)-(\d*)$/.exec((header || '').trim());
+  if (!match || (!match[1] && !match[2])) {
+    return null;
+  }
+
+  let start;
+  let end;
+  if (!match[1]) {
+    // 后缀区间：最后 N 个字节
+    start = Math.max(0, size - parseInt(match[2], 10));
+    end = size - 1;
+  } else {
+    start = parseInt(match[1], 10);
+    end = match[2] ? Math.min(parseInt(match[2], 10), size - 1) : size - 1;
+  }
+  if (start >= size || start > end) {
+    return { unsatisfiable: true };
+  }
+  return { start, end };
+};
+
+const errorResponse = (status) => new Response(null, { status });
+
+// 返回文件内容，支持 HEAD 和 Range 请求
+const serveFile = (filePath, request, mimeType) => {
+  let stat;
+  try {
+    stat = fs.statSync(filePath);
+  } catch (error) {
+    return errorResponse(404);
+  }
+  if (!stat.isFile()) {
+    return errorResponse(404);
+  }
+
+  const headers = {
+    'Content-Type': mimeType || MIME_TYPES[path.extname(filePath).toLowerCase()] || 'application/octet-stream',
+    'Accept-Ranges': 'bytes',
+    // 页面以 crossOrigin="anonymous" 预加载图片
+    'Access-Control-Allow-Origin': '*'
+  };
+  const range = parseRange(request.headers.get('range'), stat.size);
+  if (range && range.unsatisfiable) {
+    return new Response(null, { status: 416, headers: { ...headers, 'Content-Range': `bytes */${stat.size}` } });
+  }
+
+  const start = range ? range.start : 0;
+  const end = range ? range.end : stat.size - 1;
+  headers['Content-Length'] = String(stat.size === 0 ? 0 : end - start + 1);
+  if (range) {
+    headers['Content-Range'] = `bytes ${start}-${end}/${stat.size}`;
+  }
+
+  const body = request.method === 'HEAD' || stat.size === 0
+    ? null
+    : Readable.toWeb(fs.createReadStream(filePath, { start, end }));
+  return new Response(body, { status: range ? 206 : 200, headers });
+};
+
+// moely-cache:// 协议的处理程序
+// isAllowedLocalPath(filePath) 决定哪些缓存目录以外的文件可以通过 local 地址访问
+class CacheProtocol {
+  constructor({ imageCache, isAllowedLocalPath }) {
+    this.imageCache = imageCache;
+    this.isAllowedLocalPath = isAllowedLocalPath;
+  }
+
+  register() {
+    protocol.handle(CACHE_SCHEME, request => this.handle(request));
+  }
+
+  async handle(request) {
+    let url;
+    try {
+      url = new URL(request.url);
+    } catch (error) {
+      return errorResponse(400);
+    }
+    if (request.method !== 'GET' && request.method !== 'HEAD') {
+      return errorResponse(405);
+    }
+
+    if (url.hostname === LOCAL_HOST) {
+      return this.handleLocal(url, request);
+    }
+    return this.handleCached(url, request);
+  }
+
+  handleLocal(url, request) {
+    let filePath;
+    try {
+      filePath = path.resolve(decodeURIComponent(url.pathname.slice(1)));
+    } catch (error) {
+      return errorResponse(400);
+    }
+    // 只提供图片文件，避免通过允许的目录读到元数据等其他文件
+    if (!MIME_TYPES[path.extname(filePath).toLowerCase()] || !this.isAllowedLocalPath(filePath)) {
+      console.warn(`Blocked ${CACHE_SCHEME} request for ${filePath}`);
+      return errorResponse(403);
+    }
+    return serveFile(filePath, request);
+  }
+
+  async handleCached(url, request) {
+    const hash = url.hostname;
+    if (!/^[0-9a-f]{32}$/.test(hash)) {
+      return errorResponse(400);
+    }
+
+    let fileName = this.imageCache.findFileName(hash);
+    if (!fileName) {
+      // 没有缓存时按 url 参数下载，地址必须与 hash 对应，不能借此下载其他文件
+      const originalUrl = url.searchParams.get('url');
+      if (!originalUrl || !isHttpUrl(originalUrl) || !this.imageCache.generateFileName(originalUrl).startsWith(hash)) {
+        return errorResponse(404);
+      }
+      // 壁纸 ID 只用于记录，地址中没有时留空，之后再次下载或用到时补全
+      const wallpaperId = url.searchParams.get('id') || null;
+      try {
+        await this.imageCache.downloadImage(originalUrl, wallpaperId, { urgent: true });
+      } catch (error) {
+        console.error(`Error downloading ${originalUrl} for ${CACHE_SCHEME}:`, error.message);
+        return errorResponse(502);
+      }
+      fileName = this.imageCache.findFileName(hash);
+      if (!fileName) {
+        return errorResponse(404);
+      }
+    }
+
+    // fileName 来自缓存索引，仍然确认它就在缓存目录中
+    const filePath = path.join(this.imageCache.cacheDir, fileName);
+    if (path.dirname(filePath) !== path.resolve(this.imageCache.cacheDir)) {
+      return errorResponse(403);
+    }
+
+    // 缩略图和预览图按需生成，无法生成时返回原图
+    const variant = url.searchParams.get('variant');
+    if (variant) {
+      try {
+        const variantName = await this.imageCache.getVariant(fileName, variant, { urgent: true });
+        if (variantName && variantName !== fileName) {
+          return serveFile(path.join(this.imageCache.cacheDir, variantName), request, 'image/jpeg');
+        }
+      } catch (error) {
+        console.error(`Error generating ${variant} for ${fileName}:`, error.message);
+      }
+    }
+
+    const entry = this.imageCache.index.get(fileName);
+    return serveFile(filePath, request, entry && entry.format ? `image/${entry.format}` : null);
+  }
+}
+
+export { CACHE_SCHEME, registerCacheScheme, toCacheImageUrl, toLocalImageUrl, parseRange };
+export default CacheProtocol;
@@ -0,0 +1,177 @@
+import fs from 'fs';
+import net from 'net';
+import path from 'path';
+
+// 命令行退出码
+const EXIT_CODES = {
+  OK: 0,
+  FAILED: 1,
+  USAGE: 2,
+  NOT_FOUND: 3,
+  NOT_RUNNING: 4
+};
+
+// 支持的命令：flag -> { name, needsValue }
+const COMMANDS = {
+  '--next': { name: 'next' },
+  '--prev': { name: 'prev' },
+  '--set': { name: 'set', needsValue: true },
+  '--random': { name: 'random' },
+  '--favorite': { name: 'favorite' },
+  '--list': { name: 'list' },
+  '--clear-cache': { name: 'clear-cache' },
+  '--help': { name: 'help' }
+};
+
+const USAGE = `用法: moely-wallpaper [命令] [选项]
+
+命令:
+  --next            切换到下一张壁纸
+  --prev            切换到上一张壁纸
+  --set <id>        设置指定 ID 的壁纸
+  --random          随机设置一张壁纸
+  --favorite        收藏当前壁纸
+  --list            列出所有壁纸（配合 --json 输出 JSON）
+  --clear-cache     清除图片缓存
+  --help            显示本帮助
+
+选项:
+  --json            以 JSON 格式输出
+  --headless        在后台运行，不显示窗口和托盘图标`;
+
+// 解析命令行参数，忽略 Electron / Chromium 自带的参数
+// 返回 { command, value, json, headless, error }，没有命令时 command 为 null
+const parseCliArgs = (argv) => {
+  const result = { command: null, value: null, json: false, headless: false, error: null };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--json') {
+      result.json = true;
+    } else if (arg === '--headless') {
+      result.headless = true;
+    } else if (COMMANDS[arg]) {
+      if (result.command) {
+        result.error = `Only one command can be given (got ${result.command} and ${COMMANDS[arg].name})`;
+        return result;
+      }
+      result.command = COMMANDS[arg].name;
+      if (COMMANDS[arg].needsValue) {
+        const value = argv[i + 1];
+        if (value === undefined || value.startsWith('--')) {
+          result.error = `${arg} requires a value`;
+          return result;
+        }
+        result.value = value;
+        i++;
+      }
+    }
+  }
+
+  return result;
+};
+
+// 主实例监听的本地套接字，后启动的实例通过它转发命令并取回结果
+const getSocketPath = (userDataPath) => {
+  if (process.platform === 'win32') {
+    return `\\\\.\\pipe\\moely-wallpaper-cli-${path.basename(userDataPath)}`;
+  }
+  return path.join(userDataPath, 'cli.sock');
+};
+
+// 请求和响应都是单行 JSON
+const readLine = (socket, onLine) => {
+  let buffer = '';
+  let received = false;
+  socket.setEncoding('utf8');
+  socket.on('data', (chunk) => {
+    if (received) return;
+    buffer += chunk;
+    const newline = buffer.indexOf('\n');
+    if (newline !== -1) {
+      received = true;
+      onLine(buffer.slice(0, newline));
+    }
+  });
+};
+
+class CliServer {
+  // handler(request) 返回 { exitCode, output }
+  constructor({ socketPath, handler }) {
+    this.socketPath = socketPath;
+    this.handler = handler;
+    this.server = null;
+  }
+
+  start() {
+    // 持有单实例锁时遗留的套接字文件一定已失效
+    if (process.platform !== 'win32' && fs.existsSync(this.socketPath)) {
+      fs.unlinkSync(this.socketPath);
+    }
+
+    this.server = net.createServer((socket) => {
+      socket.on('error', (error) => {
+        console.error('CLI connection error:', error.message);
+      });
+      readLine(socket, async (line) => {
+        let response;
+        try {
+          response = await this.handler(JSON.parse(line));
+        } catch (error) {
+          response = { exitCode: EXIT_CODES.FAILED, output: error.message };
+        }
+        socket.end(`${JSON.stringify(response)}\n`);
+      });
+    });
+
+    this.server.on('error', (error) => {
+      console.error('CLI server error:', error.message);
+    });
+    this.server.listen(this.socketPath);
+  }
+
+  close() {
+    if (this.server) {
+      this.server.close();
+      this.server = null;
+    }
+  }
+}
+
+// 把命令发给正在运行的实例；实例可能还在启动，连接失败时重试几次
+const sendToRunningInstance = (socketPath, request, retries = 5) => new Promise((resolve) => {
+  const socket = net.connect(socketPath);
+  let settled = false;
+
+  socket.on('connect', () => {
+    socket.write(`${JSON.stringify(request)}\n`);
+  });
+  readLine(socket, (line) => {
+    settled = true;
+    socket.end();
+    try {
+      resolve(JSON.parse(line));
+    } catch (error) {
+      resolve({ exitCode: EXIT_CODES.FAILED, output: `Invalid response from running instance: ${error.message}` });
+    }
+  });
+  socket.on('error', (error) => {
+    if (settled) return;
+    settled = true;
+    if (retries > 0) {
+      setTimeout(() => {
+        sendToRunningInstance(socketPath, request, retries - 1).then(resolve);
+      }, 500);
+      return;
+    }
+    resolve({ exitCode: EXIT_CODES.NOT_RUNNING, output: `Unable to reach running instance: ${error.message}` });
+  });
+  socket.on('close', () => {
+    if (settled) return;
+    settled = true;
+    resolve({ exitCode: EXIT_CODES.FAILED, output: 'Running instance closed the connection without a response' });
+  });
+});
+
+export { EXIT_CODES, USAGE, parseCliArgs, getSocketPath, sendToRunningInstance };
+export default CliServer;
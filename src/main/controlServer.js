@@ -0,0 +1,196 @@
+import http from 'http';
+import crypto from 'crypto';
+
+// 只监听本机回环地址，不对局域网开放
+const HOST = '127.0.0.1';
+// 请求体上限，控制接口只接收很小的 JSON
+const MAX_BODY_SIZE = 64 * 1024;
+
+// 生成访问令牌
+const generateToken = () => crypto.randomBytes(24).toString('hex');
+
+// 常量时间比较，避免通过响应时间猜测令牌
+const tokensMatch = (expected, actual) => {
+  const a = Buffer.from(String(expected));
+  const b = Buffer.from(String(actual || ''));
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+};
+
+// 令牌可以放在 Authorization: Bearer <token> 或 X-Moely-Token 请求头中
+const getRequestToken = (req) => {
+  const authorization = req.headers.authorization || '';
+  const match = authorization.match(/^Bearer\s+(.+)$/i);
+  return match ? match[1].trim() : req.headers['x-moely-token'];
+};
+
+// 只接受以 localhost / 127.0.0.1 访问的请求，防止 DNS 重绑定
+const isLocalHost = (req) => {
+  const host = (req.headers.host || '').replace(/:\d+$/, '').toLowerCase();
+  return host === 'localhost' || host === HOST;
+};
+
+const readJsonBody = (req) => new Promise((resolve, reject) => {
+  let body = '';
+  req.setEncoding('utf8');
+  req.on('data', (chunk) => {
+    body += chunk;
+    if (body.length > MAX_BODY_SIZE) {
+      reject(Object.assign(new Error('Request body too large'), { statusCode: 413 }));
+      req.destroy();
+    }
+  });
+  req.on('end', () => {
+    if (!body.trim()) {
+      resolve({});
+      return;
+    }
+    let data;
+    try {
+      data = JSON.parse(body);
+    } catch (error) {
+      reject(Object.assign(new Error('Invalid JSON body'), { statusCode: 400 }));
+      return;
+    }
+    // 处理程序按对象读取参数，null、数组等其他 JSON 值一律拒绝
+    if (data === null || typeof data !== 'object' || Array.isArray(data)) {
+      reject(Object.assign(new Error('JSON body must be an object'), { statusCode: 400 }));
+      return;
+    }
+    resolve(data);
+  });
+  req.on('error', reject);
+});
+
+const sendJson = (res, statusCode, payload) => {
+  res.writeHead(statusCode, { 'Content-Type': 'application/json; charset=utf-8' });
+  res.end(JSON.stringify(payload));
+};
+
+// 本地 HTTP/JSON 控制接口，供自动化工具调用
+// routes 为 { 'GET /api/wallpapers': handler }，路径中的 :name 会作为参数传给 handler({ params, body })；
+// handler 返回 { success, ... }，失败时可以带 statusCode。
+// onStatusChange(status) 在开始监听、停止或监听失败（例如端口被占用）时调用
+class ControlServer {
+  constructor({ routes, onStatusChange }) {
+    this.routes = Object.entries(routes).map(([key, handler]) => {
+      const [method, pattern] = key.split(' ');
+      const names = [];
+      const regex = new RegExp(`^${pattern.replace(/:(\w+)/g, (match, name) => {
+        names.push(name);
+        return '([^/]+)';
+      })}$`);
+      return { method, regex, names, handler };
+    });
+    this.onStatusChange = onStatusChange;
+    this.server = null;
+    this.listening = false;
+    this.port = null;
+    this.token = null;
+    this.lastError = null;
+  }
+
+  isRunning() {
+    return !!this.server;
+  }
+
+  getStatus() {
+    return { running: this.listening, port: this.port, error: this.lastError };
+  }
+
+  emitStatus() {
+    if (this.onStatusChange) {
+      this.onStatusChange(this.getStatus());
+    }
+  }
+
+  start({ port, token }) {
+    if (!token) {
+      throw new Error('Control API token is required');
+    }
+    this.stop();
+    this.port = port;
+    this.token = token;
+    this.lastError = null;
+
+    const server = http.createServer((req, res) => {
+      this.handleRequest(req, res).catch((error) => {
+        console.error('Control API error:', error);
+        if (!res.headersSent) {
+          sendJson(res, error.statusCode || 500, { success: false, error: error.message });
+        }
+      });
+    });
+    // 监听失败（例如端口被占用）时服务器并没有运行，清除状态并报告错误
+    server.on('error', (error) => {
+      console.error('Control API server error:', error.message);
+      if (this.server !== server) {
+        return;
+      }
+      this.server = null;
+      this.listening = false;
+      this.lastError = error.code === 'EADDRINUSE' ? `Port ${port} is already in use` : error.message;
+      server.close();
+      this.emitStatus();
+    });
+    server.listen(port, HOST, () => {
+      console.log(`Control API listening on http://${HOST}:${port}`);
+      this.listening = true;
+      this.emitStatus();
+    });
+    this.server = server;
+  }
+
+  stop() {
+    const hadError = !!this.lastError;
+    this.lastError = null;
+    if (this.server) {
+      this.server.close();
+      this.server = null;
+      this.listening = false;
+      console.log('Control API stopped');
+      this.emitStatus();
+    } else if (hadError) {
+      this.emitStatus();
+    }
+  }
+
+  async handleRequest(req, res) {
+    if (!isLocalHost(req)) {
+      sendJson(res, 403, { success: false, error: 'Forbidden host' });
+      return;
+    }
+    if (!tokensMatch(this.token, getRequestToken(req))) {
+      sendJson(res, 401, { success: false, error: 'Invalid or missing token' });
+      return;
+    }
+
+    const { pathname } = new URL(req.url, `http://${HOST}`);
+    const matches = this.routes.filter(route => route.regex.test(pathname));
+    if (matches.length === 0) {
+      sendJson(res, 404, { success: false, error: `Not found: ${pathname}` });
+      return;
+    }
+    const route = matches.find(candidate => candidate.method === req.method);
+    if (!route) {
+      res.setHeader('Allow', matches.map(candidate => candidate.method).join(', '));
+      sendJson(res, 405, { success: false, error: `Method not allowed: ${req.method}` });
+      return;
+    }
+
+    const values = pathname.match(route.regex).slice(1);
+    let params;
+    try {
+      params = Object.fromEntries(route.names.map((name, index) => [name, decodeURIComponent(values[index])]));
+    } catch (error) {
+      sendJson(res, 400, { success: false, error: 'Malformed URL escape in path' });
+      return;
+    }
+    const body = req.method === 'GET' ? {} : await readJsonBody(req);
+
+    const { statusCode, ...result } = await route.handler({ params, body });
+    sendJson(res, statusCode || (result.success ? 200 : 500), result);
+  }
+}
+
+export { generateToken };
+export default ControlServer;
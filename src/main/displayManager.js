@@ -0,0 +1,103 @@
+import fs from 'fs';
+import path from 'path';
+import { screen, nativeImage } from 'electron';
+import { coverImage, drawBitmap } from './imageProcessor.js';
+
+// 管理多显示器壁纸：支持按屏幕设置的平台逐个设置，否则合成一张跨屏图片
+class DisplayManager {
+  constructor({ setWallpaper, outputDir }) {
+    this.setWallpaper = setWallpaper;
+    this.outputDir = outputDir;
+  }
+
+  // 列出所有显示器，主显示器在前，其余按从左到右、从上到下排列
+  getDisplays() {
+    const primaryId = screen.getPrimaryDisplay().id;
+    return screen.getAllDisplays()
+      .map(display => ({
+        id: String(display.id),
+        label: display.label || '',
+        bounds: display.bounds,
+        scaleFactor: display.scaleFactor,
+        primary: display.id === primaryId
+      }))
+      .sort((a, b) => (Number(b.primary) - Number(a.primary)) || (a.bounds.x - b.bounds.x) || (a.bounds.y - b.bounds.y));
+  }
+
+  // 显示器的物理分辨率
+  getPixelSize(display) {
+    return {
+      width: Math.round(display.bounds.width * display.scaleFactor),
+      height: Math.round(display.bounds.height * display.scaleFactor)
+    };
+  }
+
+  // 只有 macOS 的壁纸接口支持按屏幕设置
+  supportsPerScreen() {
+    return process.platform === 'darwin';
+  }
+
+  // targets 为 [{ display, imagePath }]，顺序与 getDisplays() 一致
+  async apply(targets) {
+    if (targets.length === 1) {
+      return this.setWallpaper(targets[0].imagePath);
+    }
+
+    if (this.supportsPerScreen()) {
+      let result;
+      for (const [index, target] of targets.entries()) {
+        result = await this.setWallpaper(target.imagePath, { screen: index });
+      }
+      return result;
+    }
+
+    const spanningPath = this.composeSpanningImage(targets);
+    return this.setWallpaper(spanningPath, { scale: 'span' });
+  }
+
+  // 按显示器的排列把多张图片拼成一张覆盖整个桌面的图片
+  // 混合缩放比例的显示器统一按主显示器的缩放比例计算
+  composeSpanningImage(targets) {
+    const scale = (targets.find(target => target.display.primary) || targets[0]).display.scaleFactor || 1;
+    const minX = Math.min(...targets.map(target => target.display.bounds.x));
+    const minY = Math.min(...targets.map(target => target.display.bounds.y));
+    const maxX = Math.max(...targets.map(target => target.display.bounds.x + target.display.bounds.width));
+    const maxY = Math.max(...targets.map(target => target.display.bounds.y + target.display.bounds.height));
+
+    const width = Math.round((maxX - minX) * scale);
+    const height = Math.round((maxY - minY) * scale);
+    const canvas = Buffer.alloc(width * height * 4);
+
+    for (const { display, imagePath } of targets) {
+      const image = nativeImage.createFromPath(imagePath);
+      if (image.isEmpty()) {
+        throw new Error(`Unable to read image: ${imagePath}`);
+      }
+
+      const left = Math.round((display.bounds.x - minX) * scale);
+      const top = Math.round((display.bounds.y - minY) * scale);
+      const tileWidth = Math.round(display.bounds.width * scale);
+      const tileHeight = Math.round(display.bounds.height * scale);
+      const bitmap = coverImage(image, tileWidth, tileHeight).toBitmap();
+      drawBitmap(canvas, width, height, bitmap, tileWidth, tileHeight, left, top);
+    }
+
+    if (!fs.existsSync(this.outputDir)) {
+      fs.mkdirSync(this.outputDir, { recursive: true });
+    }
+
+    // 每次使用新文件名，避免系统因路径相同而不刷新壁纸
+    for (const file of fs.readdirSync(this.outputDir)) {
+      if (file.startsWith('spanning-')) {
+        fs.unlinkSync(path.join(this.outputDir, file));
+      }
+    }
+    const outputPath = path.join(this.outputDir, `spanning-${Date.now()}.jpg`);
+    fs.writeFileSync(outputPath, nativeImage.createFromBitmap(canvas, { width, height }).toJPEG(90));
+
+    console.log(`Composed spanning wallpaper for ${targets.length} displays: ${outputPath} (${width}x${height})`);
+    return outputPath;
+  }
+}
+
+export default DisplayManager;
@@ -0,0 +1,330 @@
+import fs from 'fs';
+import axios from 'axios';
+import { Transform } from 'stream';
+import { pipeline } from 'stream/promises';
+
+const USER_AGENT = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36';
+
+// 下载被取消时抛出的错误，code 为 CANCELLED
+class DownloadCancelledError extends Error {
+  constructor(url) {
+    super(`Download cancelled: ${url}`);
+    this.name = 'DownloadCancelledError';
+    this.code = 'CANCELLED';
+  }
+}
+
+// 全局限速：所有下载共享的令牌桶，bytesPerSecond 为 0 表示不限速
+class BandwidthLimiter {
+  constructor(bytesPerSecond = 0) {
+    this.setLimit(bytesPerSecond);
+  }
+
+  setLimit(bytesPerSecond) {
+    this.bytesPerSecond = Math.max(0, Number(bytesPerSecond) || 0);
+    this.tokens = this.bytesPerSecond;
+    this.lastRefill = Date.now();
+  }
+
+  // 等待直到可以继续传输 bytes 字节
+  async consume(bytes) {
+    while (this.bytesPerSecond > 0) {
+      const now = Date.now();
+      this.tokens = Math.min(this.bytesPerSecond, this.tokens + (now - this.lastRefill) / 1000 * this.bytesPerSecond);
+      this.lastRefill = now;
+
+      // 单个数据块大于每秒额度时只要求桶是满的，避免永远等不到
+      const needed = Math.min(bytes, this.bytesPerSecond);
+      if (this.tokens >= needed) {
+        this.tokens -= bytes;
+        return;
+      }
+      const waitMs = Math.ceil((needed - this.tokens) / this.bytesPerSecond * 1000);
+      await new Promise(resolve => setTimeout(resolve, waitMs));
+    }
+  }
+
+  // 限速用的转换流
+  createStream() {
+    return new Transform({
+      transform: (chunk, encoding, callback) => {
+        this.consume(chunk.length).then(() => callback(null, chunk), callback);
+      }
+    });
+  }
+}
+
+// 续传校验信息：<目标文件>.part.meta 中保存响应的 ETag / Last-Modified，
+// 续传时作为 If-Range 发送，服务器上的文件已经变化时会返回完整内容而不是片段
+const readValidator = (metaPath) => {
+  try {
+    const { etag, lastModified } = JSON.parse(fs.readFileSync(metaPath, 'utf8'));
+    // 弱 ETag 不能用于 If-Range
+    if (typeof etag === 'string' && etag && !etag.startsWith('W/')) {
+      return etag;
+    }
+    return typeof lastModified === 'string' && lastModified ? lastModified : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+// 206 响应中 Content-Range 的起始位置，格式不对时返回 null
+const getRangeStart = (response) => {
+  const match = /^bytes (\d+)-\d+\/(\d+|\*)$/.exec(response.headers['content-range'] || '');
+  return match ? parseInt(match[1], 10) : null;
+};
+
+const removeFile = (filePath) => {
+  fs.rmSync(filePath, { force: true });
+};
+
+// 完整文件的大小：续传时取 Content-Range 中的总长度，否则为已有部分加上 Content-Length
+const getExpectedSize = (response, offset) => {
+  const range = /\/(\d+)$/.exec(response.headers['content-range'] || '');
+  if (range) {
+    return parseInt(range[1], 10);
+  }
+  const length = parseInt(response.headers['content-length'], 10);
+  return Number.isFinite(length) ? offset + length : null;
+};
+
+// 下载队列：限制同时下载数量，优先级高的先下载；
+// 未完成的数据写入 <目标文件>.part，下次下载同一文件时用 HTTP Range 续传。
+// timeout 同时用于等待响应和传输中途没有数据的时间
+class DownloadManager {
+  constructor({ concurrency = 3, bytesPerSecond = 0, timeout = 30000 } = {}) {
+    this.concurrency = concurrency;
+    this.timeout = timeout;
+    this.limiter = new BandwidthLimiter(bytesPerSecond);
+    // 等待中的下载，按 priority 从高到低、同优先级先到先下
+    this.queue = [];
+    // destPath -> 下载任务，正在进行和等待中的都在这里
+    this.tasks = new Map();
+    this.active = 0;
+    this.sequence = 0;
+  }
+
+  setConcurrency(concurrency) {
+    this.concurrency = Math.max(1, parseInt(concurrency, 10) || 1);
+    this.next();
+  }
+
+  setBandwidthLimit(bytesPerSecond) {
+    this.limiter.setLimit(bytesPerSecond);
+  }
+
+  // 下载 url 到 destPath，返回 destPath；同一个文件重复请求时共用一次下载
+  // verify(partPath, { contentType, expectedSize }) 在文件移到 destPath 之前调用，抛出错误时下载失败
+  download(url, destPath, { priority = 0, verify } = {}) {
+    const existing = this.tasks.get(destPath);
+    if (existing) {
+      if (priority > existing.priority) {
+        this.prioritize(destPath, priority);
+      }
+      return existing.promise;
+    }
+
+    const task = {
+      url,
+      destPath,
+      priority,
+      order: this.sequence++,
+      controller: new AbortController(),
+      verify,
+      started: false
+    };
+    task.promise = new Promise((resolve, reject) => {
+      task.resolve = resolve;
+      task.reject = reject;
+    });
+    this.tasks.set(destPath, task);
+    this.queue.push(task);
+    this.next();
+    return task.promise;
+  }
+
+  // 比队列中所有下载都高的优先级
+  topPriority() {
+    return Math.max(0, ...this.queue.map(queued => queued.priority)) + 1;
+  }
+
+  // 提高等待中下载的优先级（例如用户正在查看的图片），默认排到队列最前面
+  prioritize(destPath, priority) {
+    const task = this.tasks.get(destPath);
+    if (!task || task.started) {
+      return false;
+    }
+    task.priority = priority !== undefined ? priority : this.topPriority();
+    return true;
+  }
+
+  // 取消下载，已下载的部分保留在 .part 文件中供之后续传
+  cancel(destPath) {
+    const task = this.tasks.get(destPath);
+    if (!task) {
+      return false;
+    }
+    if (task.started) {
+      task.controller.abort();
+    } else {
+      this.queue = this.queue.filter(queued => queued !== task);
+      this.tasks.delete(destPath);
+      task.reject(new DownloadCancelledError(task.url));
+    }
+    return true;
+  }
+
+  cancelAll() {
+    for (const destPath of [...this.tasks.keys()]) {
+      this.cancel(destPath);
+    }
+  }
+
+  isDownloading(destPath) {
+    return this.tasks.has(destPath);
+  }
+
+  next() {
+    while (this.active < this.concurrency && this.queue.length > 0) {
+      this.queue.sort((a, b) => (b.priority - a.priority) || (a.order - b.order));
+      const task = this.queue.shift();
+      task.started = true;
+      this.active++;
+
+      this.run(task)
+        .then(task.resolve, (error) => {
+          task.reject(task.controller.signal.aborted ? new DownloadCancelledError(task.url) : error);
+        })
+        .finally(() => {
+          this.tasks.delete(task.destPath);
+          this.active--;
+          this.next();
+        });
+    }
+  }
+
+  async run(task) {
+    const partPath = `${task.destPath}.part`;
+    const metaPath = `${partPath}.meta`;
+    let offset = 0;
+    try {
+      offset = fs.statSync(partPath).size;
+    } catch (error) {
+      offset = 0;
+    }
+
+    // 没有保存校验信息的 .part 无法确认服务器上的文件没有变化，重新下载
+    const validator = offset > 0 ? readValidator(metaPath) : null;
+    if (offset > 0 && !validator) {
+      console.log(`No validator for partial download, restarting: ${task.url}`);
+      offset = 0;
+    }
+
+    let response = await this.request(task, offset, validator);
+
+    // 服务器不支持 Range 或文件已经变化（If-Range 不匹配）时返回完整内容，从头开始写
+    let resumed = offset > 0 && response.status === 206;
+    if (resumed && getRangeStart(response) !== offset) {
+      console.log(`Server returned an unexpected range (${response.headers['content-range']}), restarting download: ${task.url}`);
+      response.data.destroy();
+      response = await this.request(task, 0, null);
+      resumed = false;
+    } else if (offset > 0) {
+      console.log(resumed
+        ? `Resuming download from ${offset} bytes: ${task.url}`
+        : `Server ignored range request, restarting download: ${task.url}`);
+    }
+
+    if (!resumed) {
+      fs.writeFileSync(metaPath, JSON.stringify({
+        etag: response.headers.etag || null,
+        lastModified: response.headers['last-modified'] || null
+      }));
+    }
+
+    await pipeline(
+      response.data,
+      this.createIdleTimeout(task),
+      this.limiter.createStream(),
+      fs.createWriteStream(partPath, { flags: resumed ? 'a' : 'w' }),
+      { signal: task.controller.signal }
+    );
+
+    if (task.verify) {
+      try {
+        await task.verify(partPath, {
+          contentType: response.headers['content-type'],
+          expectedSize: getExpectedSize(response, resumed ? offset : 0)
+        });
+      } catch (error) {
+        // 校验失败的数据不能用于续传
+        removeFile(partPath);
+        removeFile(metaPath);
+        throw error;
+      }
+    }
+
+    fs.renameSync(partPath, task.destPath);
+    removeFile(metaPath);
+    return task.destPath;
+  }
+
+  // 传输中途超过 timeout 没有收到数据时中断下载（axios 的 timeout 只覆盖等待响应头），
+  // 已收到的数据留在 .part 中供之后续传
+  createIdleTimeout(task) {
+    let timer = null;
+    const stream = new Transform({
+      transform: (chunk, encoding, callback) => {
+        reset();
+        callback(null, chunk);
+      },
+      flush: (callback) => {
+        clearTimeout(timer);
+        callback();
+      },
+      destroy: (error, callback) => {
+        clearTimeout(timer);
+        callback(error);
+      }
+    });
+    const reset = () => {
+      clearTimeout(timer);
+      timer = setTimeout(() => {
+        stream.destroy(new Error(`Download stalled for ${this.timeout} ms: ${task.url}`));
+      }, this.timeout);
+    };
+    reset();
+    return stream;
+  }
+
+  // validator 为 .part 对应的 ETag 或 Last-Modified，续传时作为 If-Range 发送
+  async request(task, offset, validator) {
+    const headers = { 'User-Agent': USER_AGENT };
+    if (offset > 0) {
+      headers.Range = `bytes=${offset}-`;
+      headers['If-Range'] = validator;
+    }
+
+    try {
+      return await axios({
+        method: 'GET',
+        url: task.url,
+        responseType: 'stream',
+        timeout: this.timeout,
+        signal: task.controller.signal,
+        headers
+      });
+    } catch (error) {
+      // .part 已经是完整文件或已失效，删除后重新下载
+      if (offset > 0 && error.response && error.response.status === 416) {
+        removeFile(`${task.destPath}.part`);
+        return this.request(task, 0, null);
+      }
+      throw error;
+    }
+  }
+}
+
+export { DownloadCancelledError };
+export default DownloadManager;
@@ -0,0 +1,125 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { app } from 'electron';
+import { toLocalImageUrl } from './cacheProtocol.js';
+
+// 收藏的壁纸保存在独立目录中，不受缓存过期清理影响
+class FavoritesStore {
+  constructor() {
+    this.favoritesDir = path.join(app.getPath('userData'), 'favorites');
+    this.indexFile = path.join(this.favoritesDir, 'favorites.json');
+    this.ensureFavoritesDir();
+    this.favorites = this.readIndex();
+  }
+
+  ensureFavoritesDir() {
+    if (!fs.existsSync(this.favoritesDir)) {
+      fs.mkdirSync(this.favoritesDir, { recursive: true });
+    }
+  }
+
+  readIndex() {
+    try {
+      if (fs.existsSync(this.indexFile)) {
+        const favorites = JSON.parse(fs.readFileSync(this.indexFile, 'utf8'));
+        // 丢弃图片文件已经不存在的收藏
+        return favorites.filter(fav => fs.existsSync(path.join(this.favoritesDir, fav.fileName)));
+      }
+    } catch (error) {
+      console.error('Error reading favorites:', error);
+    }
+    return [];
+  }
+
+  writeIndex() {
+    try {
+      fs.writeFileSync(this.indexFile, JSON.stringify(this.favorites, null, 2));
+    } catch (error) {
+      console.error('Error writing favorites:', error);
+    }
+  }
+
+  // 生成与 fetch-wallpapers 兼容的壁纸记录
+  toWallpaper(favorite) {
+    const filePath = path.join(this.favoritesDir, favorite.fileName);
+    return {
+      id: favorite.id,
+      artist: favorite.artist,
+      source: favorite.source,
+      origin: favorite.origin,
+      originalUrl: favorite.originalUrl,
+      imageUrl: toLocalImageUrl(filePath),
+      localPath: filePath,
+      isLocal: true,
+      isFavorite: true,
+      addedAt: favorite.addedAt
+    };
+  }
+
+  list() {
+    return this.favorites.map(favorite => this.toWallpaper(favorite));
+  }
+
+  getIds() {
+    return this.favorites.map(favorite => favorite.id);
+  }
+
+  has(id) {
+    return this.favorites.some(favorite => favorite.id === id);
+  }
+
+  // 收藏壁纸：把图片复制到收藏目录
+  add(wallpaper, imagePath) {
+    const existing = this.favorites.find(favorite => favorite.id === wallpaper.id);
+    if (existing) {
+      return this.toWallpaper(existing);
+    }
+
+    const hash = crypto.createHash('md5').update(String(wallpaper.id)).digest('hex');
+    const ext = path.extname(imagePath) || '.jpg';
+    const fileName = `${hash}${ext}`;
+
+    this.ensureFavoritesDir();
+    fs.copyFileSync(imagePath, path.join(this.favoritesDir, fileName));
+
+    const favorite = {
+      id: wallpaper.id,
+      artist: wallpaper.artist,
+      source: wallpaper.source,
+      origin: wallpaper.origin,
+      originalUrl: wallpaper.originalUrl || wallpaper.imageUrl,
+      fileName,
+      addedAt: new Date().toISOString()
+    };
+    this.favorites.unshift(favorite);
+    this.writeIndex();
+
+    console.log(`Added wallpaper to favorites: ${wallpaper.id}`);
+    return this.toWallpaper(favorite);
+  }
+
+  remove(id) {
+    const favorite = this.favorites.find(item => item.id === id);
+    if (!favorite) {
+      return false;
+    }
+
+    try {
+      const filePath = path.join(this.favoritesDir, favorite.fileName);
+      if (fs.existsSync(filePath)) {
+        fs.unlinkSync(filePath);
+      }
+    } catch (error) {
+      console.error(`Error removing favorite file for ${id}:`, error);
+    }
+
+    this.favorites = this.favorites.filter(item => item.id !== id);
+    this.writeIndex();
+
+    console.log(`Removed wallpaper from favorites: ${id}`);
+    return true;
+  }
+}
+
+export default FavoritesStore;
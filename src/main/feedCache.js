@@ -0,0 +1,74 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { app } from 'electron';
+
+// 保存每个远程壁纸源最近一次成功的响应，用于离线展示和条件请求
+class FeedCache {
+  constructor() {
+    this.cacheDir = path.join(app.getPath('userData'), 'feed-cache');
+    this.ensureCacheDir();
+  }
+
+  ensureCacheDir() {
+    if (!fs.existsSync(this.cacheDir)) {
+      fs.mkdirSync(this.cacheDir, { recursive: true });
+    }
+  }
+
+  getSnapshotPath(sourceId) {
+    const hash = crypto.createHash('md5').update(String(sourceId)).digest('hex');
+    return path.join(this.cacheDir, `${hash}.json`);
+  }
+
+  // 读取快照，源地址变化后旧快照不再有效
+  get(sourceId, url) {
+    try {
+      const snapshotPath = this.getSnapshotPath(sourceId);
+      if (!fs.existsSync(snapshotPath)) {
+        return null;
+      }
+      const snapshot = JSON.parse(fs.readFileSync(snapshotPath, 'utf8'));
+      if (snapshot.url !== url || snapshot.data === undefined) {
+        return null;
+      }
+      return snapshot;
+    } catch (error) {
+      console.error(`Error reading feed snapshot for ${sourceId}:`, error);
+      return null;
+    }
+  }
+
+  // 保存成功的响应及其 ETag / Last-Modified
+  save(sourceId, { url, etag, lastModified, data }) {
+    const now = new Date().toISOString();
+    const snapshot = {
+      url,
+      etag: etag || null,
+      lastModified: lastModified || null,
+      fetchedAt: now,
+      checkedAt: now,
+      data
+    };
+    this.write(sourceId, snapshot);
+    return snapshot;
+  }
+
+  // 服务器返回 304 时只更新校验时间
+  touch(sourceId, snapshot) {
+    const updated = { ...snapshot, checkedAt: new Date().toISOString() };
+    this.write(sourceId, updated);
+    return updated;
+  }
+
+  write(sourceId, snapshot) {
+    try {
+      this.ensureCacheDir();
+      fs.writeFileSync(this.getSnapshotPath(sourceId), JSON.stringify(snapshot));
+    } catch (error) {
+      console.error(`Error writing feed snapshot for ${sourceId}:`, error);
+    }
+  }
+}
+
+export default FeedCache;
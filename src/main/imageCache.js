@@ -1,14 +1,373 @@
 import fs from 'fs';
 import path from 'path';
-import axios from 'axios';
 import crypto from 'crypto';
-import { app } from 'electron';
+import { app, nativeImage } from 'electron';
+import CacheIndex from './cacheIndex.js';
+import DownloadManager from './downloadManager.js';
+import { InvalidImageError, detectImage, readHeader, validateImageFile } from './imageValidator.js';
+import { extractPalette } from './paletteExtractor.js';
+import { toCacheImageUrl } from './cacheProtocol.js';
+
+// 默认缓存上限：1 GB、7 天，0 表示不限制
+const DEFAULT_LIMITS = {
+  maxSizeMB: 1024,
+  maxAgeDays: 7
+};
+
+// 默认下载设置：同时下载 3 张，不限速
+const DEFAULT_DOWNLOADS = {
+  concurrency: 3,
+  maxKBps: 0
+};
+
+// 缩略图和预览图：缩放到不超过 maxSize 的 JPEG，与原图放在同一目录，
+// 文件名为 <md5>@<variant>.jpg，记录在原图条目的 variants 中
+const VARIANTS = {
+  thumb: { maxSize: 640, quality: 80 },
+  preview: { maxSize: 1600, quality: 85 }
+};
+
+const VARIANT_FILE_PATTERN = /^([0-9a-f]{32})@([a-z]+)\.jpg$/;
+
+const getVariantFileName = (fileName, variant) => `${fileName.slice(0, 32)}@${variant}.jpg`;
+
+// 条目占用的空间：原图加上生成的缩略图和预览图
+const getEntrySize = (entry) => Object.values(entry.variants || {}).reduce(
+  (sum, info) => sum + (info.fileSize || 0),
+  entry.fileSize || 0
+);
+
+// 最近一次使用时间：最后查看、最后设为壁纸或下载时间中最晚的一个
+const getLastUsed = (entry) => Math.max(
+  ...[entry.lastViewed, entry.lastSet, entry.downloadTime].map(time => (time ? new Date(time).getTime() : 0))
+);
 
 class ImageCache {
-  constructor() {
+  // isProtected(localPath) 返回 true 的文件（例如壁纸历史记录引用的图片）不会被过期清理或清除缓存删除
+  // 元数据中 pinned 为 true 的图片同样不会被删除
+  constructor({ isProtected, limits, downloads } = {}) {
     this.cacheDir = path.join(app.getPath('userData'), 'wallpaper-cache');
-    this.metadataFile = path.join(this.cacheDir, 'metadata.json');
+    // 校验失败的下载移到这里，便于排查（例如代理返回的 HTML 错误页）
+    this.quarantineDir = path.join(this.cacheDir, 'quarantine');
+    this.isProtected = isProtected || (() => false);
+    this.limits = { ...DEFAULT_LIMITS };
+    this.setLimits(limits);
+    this.downloads = new DownloadManager();
+    this.setDownloadOptions({ ...DEFAULT_DOWNLOADS, ...downloads });
     this.ensureCacheDir();
+    // 元数据常驻内存，修改后由 CacheIndex 合并写入
+    this.index = new CacheIndex({
+      cacheDir: this.cacheDir,
+      generateFileName: url => this.generateFileName(url)
+    });
+    this.index.load();
+    // 缩略图、预览图和配色的处理队列（见 queueImageTask）
+    this.imageTasks = [];
+    this.runningImageTasks = new Map();
+    this.imageTasksActive = false;
+  }
+
+  // 立即写入尚未保存的元数据（退出前调用）
+  flush() {
+    this.index.flush();
+  }
+
+  // 启动时对账：元数据与缓存目录中的文件保持一致
+  reconcile() {
+    const { missingCount, orphanCount: orphanImageCount } = this.index.reconcile({ isProtected: this.isProtected });
+    const orphanCount = orphanImageCount + this.removeOrphanVariants();
+    const invalidCount = this.verifyLegacyEntries();
+    // 之前缓存的图片在后台补上缩略图和配色
+    for (const [fileName, entry] of this.index.list()) {
+      if (!entry.palette) {
+        this.scheduleVariants(fileName);
+      }
+    }
+    if (missingCount > 0 || orphanCount > 0 || invalidCount > 0) {
+      console.log(`Cache reconciled: dropped ${missingCount} missing entries, removed ${orphanCount} orphan files, quarantined ${invalidCount} invalid files`);
+    }
+    return missingCount + orphanCount + invalidCount;
+  }
+
+  // 检查加入校验之前缓存的图片（条目中没有 format），文件头无法识别的移到隔离区
+  verifyLegacyEntries() {
+    let invalidCount = 0;
+    for (const [fileName, entry] of this.index.list()) {
+      if (entry.format) {
+        continue;
+      }
+      const localPath = path.join(this.cacheDir, fileName);
+      try {
+        const info = detectImage(readHeader(localPath));
+        if (info && info.width > 0 && info.height > 0) {
+          this.index.update(fileName, { format: info.type, width: info.width, height: info.height });
+          continue;
+        }
+        if (this.isProtected(localPath)) {
+          console.log(`Cached file is not a valid image but is used by the wallpaper history: ${fileName}`);
+          continue;
+        }
+        this.quarantineFile(localPath, fileName, {
+          originalUrl: entry.originalUrl,
+          id: entry.id,
+          reason: info ? `unreadable ${info.type} header` : 'unrecognized file signature'
+        });
+        this.index.delete(fileName);
+        invalidCount++;
+      } catch (error) {
+        console.log(`Failed to verify cache file ${fileName}:`, error.message);
+      }
+    }
+    return invalidCount;
+  }
+
+  // 删除原图已不在缓存中的缩略图和预览图
+  removeOrphanVariants() {
+    let removedCount = 0;
+    for (const file of fs.readdirSync(this.cacheDir)) {
+      const match = VARIANT_FILE_PATTERN.exec(file);
+      if (!match || this.findFileName(match[1])) {
+        continue;
+      }
+      try {
+        fs.unlinkSync(path.join(this.cacheDir, file));
+        removedCount++;
+      } catch (error) {
+        console.log(`Failed to remove orphan variant ${file}:`, error.message);
+      }
+    }
+    return removedCount;
+  }
+
+  removeVariants(fileName) {
+    for (const variant of Object.keys(VARIANTS)) {
+      const variantPath = path.join(this.cacheDir, getVariantFileName(fileName, variant));
+      if (fs.existsSync(variantPath)) {
+        fs.unlinkSync(variantPath);
+      }
+    }
+  }
+
+  // 图片处理任务队列：nativeImage 的解码、缩放和取色都在主进程中同步执行，
+  // 任务逐个执行，任务之间让出事件循环，大量图片排队处理时也不会长时间阻塞 IPC 和窗口输入。
+  // 同一 key 的任务只执行一次；urgent 为 true 时（例如页面正在等待缩略图）排到队列最前面
+  queueImageTask(key, task, { urgent = false } = {}) {
+    const queued = this.imageTasks.find(item => item.key === key);
+    if (queued) {
+      if (urgent) {
+        this.imageTasks.splice(this.imageTasks.indexOf(queued), 1);
+        this.imageTasks.unshift(queued);
+      }
+      return queued.promise;
+    }
+    if (this.runningImageTasks.has(key)) {
+      return this.runningImageTasks.get(key);
+    }
+
+    const item = { key, task };
+    item.promise = new Promise((resolve, reject) => {
+      item.resolve = resolve;
+      item.reject = reject;
+    });
+    if (urgent) {
+      this.imageTasks.unshift(item);
+    } else {
+      this.imageTasks.push(item);
+    }
+    this.runImageTasks();
+    return item.promise;
+  }
+
+  async runImageTasks() {
+    if (this.imageTasksActive) {
+      return;
+    }
+    this.imageTasksActive = true;
+    try {
+      while (this.imageTasks.length > 0) {
+        await new Promise(resolve => setImmediate(resolve));
+        const item = this.imageTasks.shift();
+        if (!item) {
+          continue;
+        }
+        this.runningImageTasks.set(item.key, item.promise);
+        try {
+          item.resolve(await item.task());
+        } catch (error) {
+          item.reject(error);
+        } finally {
+          this.runningImageTasks.delete(item.key);
+        }
+      }
+    } finally {
+      this.imageTasksActive = false;
+    }
+  }
+
+  // 已生成的缩略图或预览图文件名，尚未生成时返回 null
+  getExistingVariant(fileName, variant) {
+    const entry = this.index.get(fileName);
+    const info = entry && entry.variants && entry.variants[variant];
+    return info && fs.existsSync(path.join(this.cacheDir, info.fileName)) ? info.fileName : null;
+  }
+
+  // 生成一张缩略图或预览图，返回文件名；已经生成过的直接返回。
+  // 从已生成的更大的版本缩放（缩略图从预览图生成），没有时从原图缩放；
+  // 原图已经足够小时直接使用原图，nativeImage 无法解码的格式（例如部分平台上的 WebP）返回 null
+  async generateVariant(fileName, variant) {
+    const existing = this.getExistingVariant(fileName, variant);
+    if (existing || !this.index.has(fileName) || !VARIANTS[variant]) {
+      return existing;
+    }
+
+    const { maxSize, quality } = VARIANTS[variant];
+    const larger = Object.keys(VARIANTS)
+      .filter(name => VARIANTS[name].maxSize > maxSize)
+      .sort((a, b) => VARIANTS[a].maxSize - VARIANTS[b].maxSize)
+      .map(name => this.getExistingVariant(fileName, name))
+      .find(name => name && name !== fileName);
+    const sourceName = larger || fileName;
+
+    const image = nativeImage.createFromBuffer(await fs.promises.readFile(path.join(this.cacheDir, sourceName)));
+    if (image.isEmpty()) {
+      return null;
+    }
+
+    const { width, height } = image.getSize();
+    const scale = maxSize / Math.max(width, height);
+    let info;
+    if (scale >= 1) {
+      info = { fileName: sourceName, width, height, fileSize: 0 };
+    } else {
+      const variantName = getVariantFileName(fileName, variant);
+      const resized = image.resize({
+        width: Math.round(width * scale),
+        height: Math.round(height * scale),
+        quality: 'good'
+      });
+      const buffer = resized.toJPEG(quality);
+      await fs.promises.writeFile(path.join(this.cacheDir, variantName), buffer);
+      info = { fileName: variantName, ...resized.getSize(), fileSize: buffer.length };
+    }
+
+    // 生成期间原图可能已被删除
+    const entry = this.index.get(fileName);
+    if (!entry) {
+      this.removeVariants(fileName);
+      return null;
+    }
+    this.index.update(fileName, { variants: { ...entry.variants, [variant]: info } });
+    return info.fileName;
+  }
+
+  // 单个缩略图或预览图的文件名，需要时排队生成；无法生成时返回 null
+  async getVariant(fileName, variant, { urgent = false } = {}) {
+    const existing = this.getExistingVariant(fileName, variant);
+    if (existing) {
+      return existing;
+    }
+    return this.queueImageTask(`${fileName}@${variant}`, () => this.generateVariant(fileName, variant), { urgent });
+  }
+
+  // 提取图片配色（见 paletteExtractor），保存在条目的 palette 中；无法解码时返回 null
+  async generatePalette(fileName) {
+    const entry = this.index.get(fileName);
+    if (!entry || entry.palette) {
+      return entry ? entry.palette : null;
+    }
+
+    // 有缩略图时从缩略图取色，解码更快
+    const sourceName = this.getExistingVariant(fileName, 'thumb') || fileName;
+    const buffer = await fs.promises.readFile(path.join(this.cacheDir, sourceName));
+    const palette = extractPalette(nativeImage.createFromBuffer(buffer));
+    if (palette) {
+      this.index.update(fileName, { palette });
+    }
+    return palette;
+  }
+
+  // 已保存的配色，未缓存或尚未提取时返回 null，不解码图片
+  getStoredPalette(url) {
+    const entry = this.index.get(this.generateFileName(url));
+    return (entry && entry.palette) || null;
+  }
+
+  // 已缓存图片的配色，需要时排队提取；未缓存时返回 null
+  async getPalette(url) {
+    const fileName = this.generateFileName(url);
+    const entry = this.index.get(fileName);
+    if (!entry || !fs.existsSync(path.join(this.cacheDir, fileName))) {
+      return null;
+    }
+    if (entry.palette) {
+      return entry.palette;
+    }
+    return this.queueImageTask(`${fileName}#palette`, () => this.generatePalette(fileName), { urgent: true });
+  }
+
+  // 下载完成后在后台依次生成预览图、缩略图和配色，每一步单独排队
+  scheduleVariants(fileName) {
+    const variants = Object.keys(VARIANTS).sort((a, b) => VARIANTS[b].maxSize - VARIANTS[a].maxSize);
+    for (const variant of variants) {
+      this.getVariant(fileName, variant).catch((error) => {
+        console.error(`Error generating ${variant} for ${fileName}:`, error.message);
+      });
+    }
+    this.queueImageTask(`${fileName}#palette`, () => this.generatePalette(fileName)).catch((error) => {
+      console.error(`Error extracting palette for ${fileName}:`, error.message);
+    });
+  }
+
+  // 把校验失败的文件移到隔离区，并在元数据中记录原因
+  quarantineFile(filePath, fileName, { originalUrl, id, reason }) {
+    try {
+      fs.mkdirSync(this.quarantineDir, { recursive: true });
+      const { size } = fs.statSync(filePath);
+      fs.renameSync(filePath, path.join(this.quarantineDir, fileName));
+      const dropped = this.index.addQuarantine(fileName, { originalUrl, id, reason, fileSize: size });
+      for (const name of dropped) {
+        fs.rmSync(path.join(this.quarantineDir, name), { force: true });
+      }
+      console.log(`Quarantined invalid download ${id || fileName}: ${reason}`);
+    } catch (error) {
+      console.error(`Error quarantining ${fileName}:`, error);
+    }
+  }
+
+  // 按图片地址查找元数据；从目录重建的条目在这里补全图片地址
+  getEntry(url) {
+    const fileName = this.generateFileName(url);
+    const entry = this.index.get(fileName);
+    if (entry && !entry.originalUrl) {
+      this.index.update(fileName, { originalUrl: url });
+    }
+    return this.index.get(fileName);
+  }
+
+  // 修改缓存上限，非法值回退到默认值
+  setLimits(limits = {}) {
+    for (const key of Object.keys(DEFAULT_LIMITS)) {
+      if (limits[key] === undefined) {
+        continue;
+      }
+      const value = Number(limits[key]);
+      this.limits[key] = Number.isFinite(value) && value >= 0 ? value : DEFAULT_LIMITS[key];
+    }
+  }
+
+  // 修改同时下载数量和限速（KB/s，0 表示不限速）
+  setDownloadOptions({ concurrency, maxKBps } = {}) {
+    if (concurrency !== undefined) {
+      this.downloads.setConcurrency(concurrency);
+    }
+    if (maxKBps !== undefined) {
+      this.downloads.setBandwidthLimit(Math.max(0, Number(maxKBps) || 0) * 1024);
+    }
+  }
+
+  // 可以被自动清理的缓存：未固定且未受保护
+  isEvictable(fileName, entry) {
+    return !(entry && entry.pinned) && !this.isProtected(path.join(this.cacheDir, fileName));
   }
 
   ensureCacheDir() {
@@ -24,6 +383,12 @@ class ImageCache {
     return `${hash}${ext}`;
   }
 
+  // 按 URL 的 md5 查找缓存文件名（供 moely-cache:// 协议使用），未缓存时返回 null
+  findFileName(hash) {
+    const fileName = this.index.findByHash(hash);
+    return fileName && fs.existsSync(path.join(this.cacheDir, fileName)) ? fileName : null;
+  }
+
   // 获取本地文件路径
   getLocalPath(url) {
     const fileName = this.generateFileName(url);
@@ -46,8 +411,8 @@ class ImageCache {
         return false;
       }
       
-      // 检查缓存是否过期（7天）
-      if (this.isCacheExpired(url)) {
+      // 检查缓存是否过期
+      if (this.isCacheExpired(url) && this.isEvictable(this.generateFileName(url), this.getEntry(url))) {
         console.log(`Removing expired cached file: ${localPath}`);
         this.removeExpiredCache(url);
         return false;
@@ -60,211 +425,237 @@ class ImageCache {
     }
   }
 
-  // 读取元数据
-  readMetadata() {
-    try {
-      if (fs.existsSync(this.metadataFile)) {
-        const data = fs.readFileSync(this.metadataFile, 'utf8');
-        return JSON.parse(data);
-      }
-    } catch (error) {
-      console.error('Error reading metadata:', error);
-    }
-    return {};
-  }
-
-  // 写入元数据
-  writeMetadata(metadata) {
-    try {
-      fs.writeFileSync(this.metadataFile, JSON.stringify(metadata, null, 2));
-    } catch (error) {
-      console.error('Error writing metadata:', error);
-    }
+  // 检查缓存是否过期：超过 maxAgeDays 天没有查看或设为壁纸
+  isCacheExpired(url) {
+    return this.isEntryExpired(this.getEntry(url));
   }
 
-  // 检查缓存是否过期（7天）
-  isCacheExpired(url) {
-    const metadata = this.readMetadata();
-    const cacheInfo = metadata[url];
-    
+  isEntryExpired(cacheInfo) {
     if (!cacheInfo || !cacheInfo.downloadTime) {
       return true; // 没有下载时间信息，认为已过期
     }
+    if (!this.limits.maxAgeDays) {
+      return false;
+    }
     
-    const downloadTime = new Date(cacheInfo.downloadTime);
-    const now = new Date();
-    const daysDiff = (now - downloadTime) / (1000 * 60 * 60 * 24);
-    
-    return daysDiff > 7; // 超过7天认为过期
+    const daysDiff = (Date.now() - getLastUsed(cacheInfo)) / (1000 * 60 * 60 * 24);
+    return daysDiff > this.limits.maxAgeDays;
   }
 
   // 移除过期的缓存
   removeExpiredCache(url) {
+    this.removeFile(this.generateFileName(url));
+  }
+
+  // 删除缓存文件及其元数据
+  removeFile(fileName) {
     try {
-      const localPath = this.getLocalPath(url);
+      const localPath = path.join(this.cacheDir, fileName);
       if (fs.existsSync(localPath)) {
         fs.unlinkSync(localPath);
       }
+      this.removeVariants(fileName);
       
       // 从元数据中移除
-      const metadata = this.readMetadata();
-      delete metadata[url];
-      this.writeMetadata(metadata);
+      this.index.delete(fileName);
       
-      console.log(`Removed expired cache for: ${url}`);
+      console.log(`Removed cache file: ${fileName}`);
     } catch (error) {
-      console.error(`Error removing expired cache for ${url}:`, error);
+      console.error(`Error removing cache file ${fileName}:`, error);
     }
   }
 
   // 清理所有过期缓存
   cleanupExpiredCache() {
     console.log('Starting cleanup of expired cache...');
-    const metadata = this.readMetadata();
     let cleanedCount = 0;
     
-    for (const url in metadata) {
-      if (this.isCacheExpired(url)) {
-        this.removeExpiredCache(url);
+    for (const [fileName, entry] of this.index.list()) {
+      if (this.isEntryExpired(entry) && this.isEvictable(fileName, entry)) {
+        this.removeFile(fileName);
         cleanedCount++;
       }
     }
     
     console.log(`Cleanup completed. Removed ${cleanedCount} expired cache entries.`);
-    return cleanedCount;
+    return cleanedCount + this.enforceSizeLimit();
+  }
+
+  // 超过缓存大小上限时，按最近使用时间从旧到新删除可清理的图片；
+  // keepFileName 为刚下载、马上要用的图片，即使单张超过剩余空间也不删除
+  enforceSizeLimit(keepFileName) {
+    if (!this.limits.maxSizeMB) {
+      return 0;
+    }
+
+    const maxSize = this.limits.maxSizeMB * 1024 * 1024;
+    const entries = this.index.list();
+    let totalSize = entries.reduce((sum, [, entry]) => sum + getEntrySize(entry), 0);
+    if (totalSize <= maxSize) {
+      return 0;
+    }
+
+    const candidates = entries
+      .filter(([fileName, entry]) => fileName !== keepFileName && this.isEvictable(fileName, entry))
+      .sort(([, a], [, b]) => getLastUsed(a) - getLastUsed(b));
+
+    let evictedCount = 0;
+    for (const [fileName, entry] of candidates) {
+      if (totalSize <= maxSize) {
+        break;
+      }
+      totalSize -= getEntrySize(entry);
+      this.removeFile(fileName);
+      evictedCount++;
+    }
+
+    console.log(`Evicted ${evictedCount} least recently used cache entries to stay under ${this.limits.maxSizeMB} MB`);
+    return evictedCount;
+  }
+
+  // 记录图片在窗口中被查看，图片未缓存时返回 false
+  markViewed(url) {
+    return !!this.getEntry(url) && this.index.update(this.generateFileName(url), { lastViewed: new Date().toISOString() });
+  }
+
+  // 记录图片被设为壁纸
+  markSet(url) {
+    return !!this.getEntry(url) && this.index.update(this.generateFileName(url), { lastSet: new Date().toISOString() });
   }
 
-  // 下载并缓存图片
-  async downloadImage(url, wallpaperId) {
+  // 固定的图片不会被过期清理或大小限制删除；fileName 为 getCacheStats 返回的 key
+  setPinned(fileName, pinned) {
+    return this.index.update(fileName, { pinned: !!pinned });
+  }
+
+  // 删除单张缓存图片（手动删除时忽略固定状态）
+  removeEntry(fileName) {
+    if (!this.index.has(fileName)) {
+      throw new Error('Image is not cached');
+    }
+    if (this.isProtected(path.join(this.cacheDir, fileName))) {
+      throw new Error('This image is used by the wallpaper history and cannot be deleted');
+    }
+    this.removeFile(fileName);
+  }
+
+  // 下载并缓存图片；urgent 为 true 时（例如用户正在等待设置壁纸）排到队列最前面。
+  // 下载完成后校验文件（见 validateImageFile），hash 为图源提供的校验值（可选），
+  // 校验失败的文件移到隔离区，不会进入缓存
+  async downloadImage(url, wallpaperId, { urgent = false, hash } = {}) {
     const localPath = this.getLocalPath(url);
+    const fileName = this.generateFileName(url);
+    let imageInfo = null;
     
     if (this.exists(url)) {
       console.log(`Image already cached: ${wallpaperId}`);
+      // 从目录重建或不知道壁纸 ID 时下载的条目在这里补全 ID
+      const entry = this.index.get(fileName);
+      if (wallpaperId !== null && wallpaperId !== undefined && entry && !entry.id) {
+        this.index.update(fileName, { id: wallpaperId });
+      }
       return localPath;
     }
 
     try {
       console.log(`Downloading image: ${wallpaperId} from ${url}`);
-      
-      const response = await axios({
-        method: 'GET',
-        url: url,
-        responseType: 'stream',
-        timeout: 30000, // 30秒超时
-        headers: {
-          'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36'
+      await this.downloads.download(url, localPath, {
+        priority: urgent ? this.downloads.topPriority() : 0,
+        verify: async (partPath, response) => {
+          try {
+            imageInfo = await validateImageFile(partPath, { ...response, hash });
+          } catch (error) {
+            if (error instanceof InvalidImageError) {
+              this.quarantineFile(partPath, fileName, { originalUrl: url, id: wallpaperId, reason: error.reason });
+            }
+            throw error;
+          }
         }
       });
-
-      const writer = fs.createWriteStream(localPath);
+      console.log(`Image downloaded successfully: ${wallpaperId}`);
       
-      return new Promise((resolve, reject) => {
-        // 监听响应数据流的错误
-        response.data.on('error', (error) => {
-          console.error(`Stream error for ${wallpaperId}:`, error);
-          writer.destroy();
-          // 清理失败的文件
-          if (fs.existsSync(localPath)) {
-            fs.unlinkSync(localPath);
-          }
-          reject(error);
-        });
-
-        writer.on('finish', () => {
-          console.log(`Image downloaded successfully: ${wallpaperId}`);
-          
-          // 验证文件大小
-          const stats = fs.statSync(localPath);
-          if (stats.size === 0) {
-            console.error(`Downloaded file is empty: ${wallpaperId}`);
-            fs.unlinkSync(localPath);
-            reject(new Error('Downloaded file is empty'));
-            return;
-          }
-          
-          // 更新元数据
-          const metadata = this.readMetadata();
-          metadata[url] = {
-            id: wallpaperId,
-            localPath: localPath,
-            downloadTime: new Date().toISOString(),
-            originalUrl: url,
-            fileSize: stats.size
-          };
-          this.writeMetadata(metadata);
-          
-          resolve(localPath);
-        });
-
-        writer.on('error', (error) => {
-          console.error(`Writer error for ${wallpaperId}:`, error);
-          // 清理失败的文件
-          if (fs.existsSync(localPath)) {
-            fs.unlinkSync(localPath);
-          }
-          reject(error);
-        });
-        
-        // 开始管道传输
-        response.data.pipe(writer);
+      const stats = fs.statSync(localPath);
+      // 同一文件的重复请求共用一次下载，只有发起下载的请求拿到校验结果
+      const info = imageInfo || detectImage(readHeader(localPath)) || {};
+      
+      // 更新元数据
+      this.index.set(fileName, {
+        id: wallpaperId,
+        localPath: localPath,
+        downloadTime: new Date().toISOString(),
+        originalUrl: url,
+        fileSize: stats.size,
+        format: info.type,
+        width: info.width,
+        height: info.height
       });
-
+      this.enforceSizeLimit(fileName);
+      this.scheduleVariants(fileName);
+      
+      return localPath;
     } catch (error) {
-      console.error(`Error downloading image ${wallpaperId}:`, error);
+      console.error(`Error downloading image ${wallpaperId}:`, error.message);
       throw error;
     }
   }
 
-  // 获取本地图片URL（file:// protocol）
+  // 把图片的下载排到队列最前面，图片不在队列中时返回 false
+  prioritizeDownload(url) {
+    return this.downloads.prioritize(this.getLocalPath(url));
+  }
+
+  // 取消图片的下载，已下载的部分保留供之后续传
+  cancelDownload(url) {
+    return this.downloads.cancel(this.getLocalPath(url));
+  }
+
+  // 渲染进程显示图片用的地址（moely-cache:// 协议），图片未缓存时由协议处理程序下载；
+  // variant 为 thumb 或 preview 时返回缩略图或预览图，id 为壁纸 ID
+  getImageUrl(url, { variant, id } = {}) {
+    return toCacheImageUrl(this.generateFileName(url).slice(0, 32), url, { variant, id });
+  }
+
+  // 已缓存图片的地址，未缓存时返回 null
   getLocalImageUrl(url) {
-    const localPath = this.getLocalPath(url);
-    if (fs.existsSync(localPath)) {
-      return `file://${localPath}`;
+    if (fs.existsSync(this.getLocalPath(url))) {
+      return this.getImageUrl(url);
     }
     return null;
   }
 
-  // 批量下载壁纸 - 顺序下载，一张一张下
+  // 批量下载壁纸，同时下载的数量由下载队列控制，结果顺序与 wallpapers 一致
   async batchDownload(wallpapers, progressCallback) {
-    const results = [];
     let completed = 0;
     
-    console.log(`Starting sequential download of ${wallpapers.length} images...`);
+    console.log(`Starting download of ${wallpapers.length} images...`);
     
-    for (const wallpaper of wallpapers) {
+    const results = await Promise.all(wallpapers.map(async (wallpaper) => {
+      let result;
       try {
-        console.log(`Downloading image ${completed + 1}/${wallpapers.length}: ${wallpaper.id}`);
-        
-        const localPath = await this.downloadImage(wallpaper.imageUrl, wallpaper.id);
-        results.push({
+        const localPath = await this.downloadImage(wallpaper.imageUrl, wallpaper.id, { hash: wallpaper.hash });
+        result = {
           ...wallpaper,
           localPath: localPath,
           cached: true
-        });
-        
+        };
         console.log(`✓ Successfully downloaded: ${wallpaper.id}`);
       } catch (error) {
         console.error(`✗ Failed to download ${wallpaper.id}:`, error.message);
-        results.push({
+        result = {
           ...wallpaper,
           cached: false,
           error: error.message
-        });
+        };
       }
       
       completed++;
       if (progressCallback) {
         progressCallback(completed, wallpapers.length);
       }
-      
-      // 在每次下载之间添加小延迟，避免对服务器造成压力
-      if (completed < wallpapers.length) {
-        console.log(`Waiting 1 second before next download...`);
-        await new Promise(resolve => setTimeout(resolve, 1000));
-      }
-    }
+      return result;
+    }));
     
-    console.log(`Sequential download completed. Success: ${results.filter(r => r.cached).length}/${wallpapers.length}`);
+    console.log(`Download completed. Success: ${results.filter(r => r.cached).length}/${wallpapers.length}`);
     return results;
   }
 
@@ -273,10 +664,19 @@ class ImageCache {
     try {
       let clearedCount = 0;
       if (fs.existsSync(this.cacheDir)) {
-        // 首先尝试删除所有文件
+        // 首先尝试删除所有文件，元数据文件、受保护和固定的图片保留
         const files = fs.readdirSync(this.cacheDir);
         for (const file of files) {
           const filePath = path.join(this.cacheDir, file);
+          // 缩略图和预览图跟随原图保留
+          const variantMatch = VARIANT_FILE_PATTERN.exec(file);
+          const ownerName = variantMatch ? this.findFileName(variantMatch[1]) : file;
+          const entry = ownerName && this.index.get(ownerName);
+          if (file.startsWith('metadata.json')
+            || (ownerName && this.isProtected(path.join(this.cacheDir, ownerName)))
+            || (entry && entry.pinned)) {
+            continue;
+          }
           try {
             const stat = fs.statSync(filePath);
             if (stat.isFile()) {
@@ -289,6 +689,16 @@ class ImageCache {
           }
         }
         
+        // 元数据中只保留受保护和固定的文件
+        for (const [fileName, entry] of this.index.list()) {
+          if (this.isEvictable(fileName, entry)) {
+            this.index.delete(fileName);
+          }
+        }
+        fs.rmSync(this.quarantineDir, { recursive: true, force: true });
+        this.index.clearQuarantine();
+        this.index.flush();
+        
         // 然后重新创建缓存目录
         this.ensureCacheDir();
         console.log(`Cache cleared successfully. Removed ${clearedCount} files.`);
@@ -300,25 +710,47 @@ class ImageCache {
     }
   }
 
-  // 获取缓存统计信息
+  // 获取缓存统计信息，entries 按最近使用时间从新到旧排列
   getCacheStats() {
-    const metadata = this.readMetadata();
+    const entries = this.index.list()
+      .map(([fileName, entry]) => ({
+        key: fileName,
+        url: entry.originalUrl,
+        id: entry.id || fileName,
+        fileSize: entry.fileSize || 0,
+        downloadTime: entry.downloadTime,
+        lastViewed: entry.lastViewed || null,
+        lastSet: entry.lastSet || null,
+        lastUsed: new Date(getLastUsed(entry)).toISOString(),
+        pinned: !!entry.pinned,
+        protected: this.isProtected(path.join(this.cacheDir, fileName)),
+        previewUrl: toCacheImageUrl(fileName.slice(0, 32), entry.originalUrl, { variant: 'thumb', id: entry.id }),
+        palette: entry.palette || null
+      }))
+      .sort((a, b) => new Date(b.lastUsed) - new Date(a.lastUsed));
+    const downloadTimes = entries.map(entry => entry.downloadTime).filter(Boolean).sort();
     const stats = {
-      totalImages: Object.keys(metadata).length,
+      totalImages: entries.length,
       cacheSize: 0,
-      oldestImage: null,
-      newestImage: null
+      oldestImage: downloadTimes[0] || null,
+      newestImage: downloadTimes[downloadTimes.length - 1] || null,
+      pinnedCount: entries.filter(entry => entry.pinned).length,
+      limits: { ...this.limits },
+      entries,
+      quarantine: this.index.listQuarantine().map(([fileName, record]) => ({ key: fileName, ...record }))
     };
 
     try {
       if (fs.existsSync(this.cacheDir)) {
         const files = fs.readdirSync(this.cacheDir);
         for (const file of files) {
-          if (file !== 'metadata.json') {
+          if (!file.startsWith('metadata.json')) {
             const filePath = path.join(this.cacheDir, file);
             try {
               const stat = fs.statSync(filePath);
-              stats.cacheSize += stat.size;
+              if (stat.isFile()) {
+                stats.cacheSize += stat.size;
+              }
             } catch (fileError) {
               // 跳过无法访问的文件（可能正在使用中）
               console.log(`Skipping file ${file} due to permission error:`, fileError.message);
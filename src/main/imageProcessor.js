@@ -0,0 +1,208 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { nativeImage } from 'electron';
+
+// 图片适配方式：system 交给系统处理，其余在设置壁纸前按显示器分辨率处理
+const FIT_MODES = ['system', 'fill', 'fit', 'center', 'stretch', 'blur'];
+
+const DEFAULT_FIT = {
+  mode: 'fill',
+  focusX: 0.5,
+  focusY: 0.5
+};
+
+// 模糊背景先缩小到这个宽度再放大，得到柔和的模糊效果
+const BLUR_SAMPLE_WIDTH = 32;
+
+const clampFocus = (value, fallback) => {
+  const number = Number(value);
+  return Number.isFinite(number) ? Math.min(1, Math.max(0, number)) : fallback;
+};
+
+// 缩放图片使其铺满 width x height，按焦点位置（0-1）裁掉多余部分
+const coverImage = (image, width, height, focusX = 0.5, focusY = 0.5) => {
+  const size = image.getSize();
+  const scale = Math.max(width / size.width, height / size.height);
+  const resized = image.resize({
+    width: Math.max(width, Math.ceil(size.width * scale)),
+    height: Math.max(height, Math.ceil(size.height * scale)),
+    quality: 'best'
+  });
+  const resizedSize = resized.getSize();
+  return resized.crop({
+    x: Math.round((resizedSize.width - width) * focusX),
+    y: Math.round((resizedSize.height - height) * focusY),
+    width,
+    height
+  });
+};
+
+// 把 BGRA 位图画到画布的 (left, top) 处，超出画布的部分被裁掉
+const drawBitmap = (canvas, canvasWidth, canvasHeight, bitmap, bitmapWidth, bitmapHeight, left, top) => {
+  const startX = Math.max(0, -left);
+  const endX = Math.min(bitmapWidth, canvasWidth - left);
+  if (endX <= startX) {
+    return;
+  }
+
+  for (let row = Math.max(0, -top); row < bitmapHeight && top + row < canvasHeight; row++) {
+    bitmap.copy(
+      canvas,
+      ((top + row) * canvasWidth + left + startX) * 4,
+      (row * bitmapWidth + startX) * 4,
+      (row * bitmapWidth + endX) * 4
+    );
+  }
+};
+
+// 按适配方式把图片渲染成 width x height
+const renderImage = (image, width, height, { mode, focusX, focusY }) => {
+  if (mode === 'stretch') {
+    return image.resize({ width, height, quality: 'best' });
+  }
+  if (mode === 'fill') {
+    return coverImage(image, width, height, focusX, focusY);
+  }
+
+  // fit / center / blur 先准备画布，再把图片居中画上去
+  let canvas = Buffer.alloc(width * height * 4);
+  if (mode === 'blur') {
+    const sampleHeight = Math.max(1, Math.round(BLUR_SAMPLE_WIDTH * height / width));
+    const background = coverImage(image, BLUR_SAMPLE_WIDTH, sampleHeight, focusX, focusY)
+      .resize({ width, height, quality: 'good' });
+    canvas = Buffer.from(background.toBitmap());
+  }
+
+  const size = image.getSize();
+  let foreground = image;
+  if (mode !== 'center') {
+    const scale = Math.min(width / size.width, height / size.height);
+    foreground = image.resize({
+      width: Math.max(1, Math.round(size.width * scale)),
+      height: Math.max(1, Math.round(size.height * scale)),
+      quality: 'best'
+    });
+  }
+
+  const foregroundSize = foreground.getSize();
+  drawBitmap(
+    canvas, width, height,
+    foreground.toBitmap(), foregroundSize.width, foregroundSize.height,
+    Math.floor((width - foregroundSize.width) / 2),
+    Math.floor((height - foregroundSize.height) / 2)
+  );
+  return nativeImage.createFromBitmap(canvas, { width, height });
+};
+
+// 处理后的壁纸最多保留的数量，超出时按最近使用时间删除旧文件
+const MAX_PROCESSED_FILES = 20;
+
+const PROCESSED_FILE_PATTERN = /^processed-[0-9a-f]{32}-\d+x\d+\.jpg$/;
+
+// 设置壁纸前把图片处理成显示器分辨率，结果按原图和显示器尺寸缓存在缓存目录的 processed 子目录中，
+// 数量上限独立于图片缓存；isProtected(filePath) 为 true 的文件（例如壁纸历史引用的图片）不会被删除
+class ImageProcessor {
+  constructor({ cacheDir, isProtected, maxFiles = MAX_PROCESSED_FILES }) {
+    this.outputDir = path.join(cacheDir, 'processed');
+    this.isProtected = isProtected || (() => false);
+    this.maxFiles = maxFiles;
+  }
+
+  // 处理后的壁纸，按最近使用时间从新到旧排列
+  listFiles() {
+    if (!fs.existsSync(this.outputDir)) {
+      return [];
+    }
+    return fs.readdirSync(this.outputDir)
+      .filter(file => PROCESSED_FILE_PATTERN.test(file))
+      .map((file) => {
+        const filePath = path.join(this.outputDir, file);
+        try {
+          return { filePath, mtimeMs: fs.statSync(filePath).mtimeMs };
+        } catch (error) {
+          return null;
+        }
+      })
+      .filter(Boolean)
+      .sort((a, b) => b.mtimeMs - a.mtimeMs);
+  }
+
+  // 超出数量上限时删除最久没有使用的文件，keepPath 为刚刚使用的文件
+  prune(keepPath) {
+    const candidates = this.listFiles()
+      .filter(({ filePath }) => filePath !== keepPath && !this.isProtected(filePath));
+    const excess = candidates.length + 1 - this.maxFiles;
+    for (const { filePath } of candidates.slice(Math.max(0, candidates.length - excess))) {
+      try {
+        fs.unlinkSync(filePath);
+      } catch (error) {
+        console.log(`Failed to remove processed wallpaper ${filePath}:`, error.message);
+      }
+    }
+  }
+
+  // 清除处理后的壁纸（清除缓存时调用），返回删除的文件数
+  clear() {
+    let clearedCount = 0;
+    for (const { filePath } of this.listFiles()) {
+      if (this.isProtected(filePath)) {
+        continue;
+      }
+      try {
+        fs.unlinkSync(filePath);
+        clearedCount++;
+      } catch (error) {
+        console.log(`Failed to remove processed wallpaper ${filePath}:`, error.message);
+      }
+    }
+    return clearedCount;
+  }
+
+  normalizeOptions(options = {}) {
+    return {
+      mode: FIT_MODES.includes(options.mode) ? options.mode : DEFAULT_FIT.mode,
+      focusX: clampFocus(options.focusX, DEFAULT_FIT.focusX),
+      focusY: clampFocus(options.focusY, DEFAULT_FIT.focusY)
+    };
+  }
+
+  // 缓存文件名由原图（路径、大小、修改时间）、适配方式和显示器尺寸决定
+  getProcessedPath(imagePath, width, height, { mode, focusX, focusY }) {
+    const stats = fs.statSync(imagePath);
+    const key = [path.resolve(imagePath), stats.size, stats.mtimeMs, mode, focusX, focusY].join('|');
+    const hash = crypto.createHash('md5').update(key).digest('hex');
+    return path.join(this.outputDir, `processed-${hash}-${width}x${height}.jpg`);
+  }
+
+  // 返回处理后的图片路径；system 模式直接返回原图
+  process(imagePath, { width, height, ...options }) {
+    const fit = this.normalizeOptions(options);
+    if (fit.mode === 'system') {
+      return imagePath;
+    }
+
+    const outputPath = this.getProcessedPath(imagePath, width, height, fit);
+    if (fs.existsSync(outputPath)) {
+      // 更新修改时间，清理时按它判断最近使用
+      const now = new Date();
+      fs.utimesSync(outputPath, now, now);
+      return outputPath;
+    }
+
+    const image = nativeImage.createFromPath(imagePath);
+    if (image.isEmpty()) {
+      throw new Error(`Unsupported image format: ${imagePath}`);
+    }
+
+    const processed = renderImage(image, width, height, fit);
+    fs.mkdirSync(this.outputDir, { recursive: true });
+    fs.writeFileSync(outputPath, processed.toJPEG(92));
+    console.log(`Processed wallpaper (${fit.mode}, ${width}x${height}): ${outputPath}`);
+    this.prune(outputPath);
+    return outputPath;
+  }
+}
+
+export { FIT_MODES, DEFAULT_FIT, coverImage, drawBitmap };
+export default ImageProcessor;
@@ -0,0 +1,166 @@
+import fs from 'fs';
+import crypto from 'crypto';
+
+// 读取文件头的最大长度，JPEG 的尺寸信息可能排在较大的 EXIF 之后
+const HEADER_READ_SIZE = 1024 * 1024;
+
+// 允许的 Content-Type：图片类型，以及部分 CDN 使用的通用二进制类型
+const ALLOWED_CONTENT_TYPES = ['application/octet-stream', 'binary/octet-stream'];
+
+// 下载的文件不是有效图片时抛出，reason 为记录到隔离区的原因
+class InvalidImageError extends Error {
+  constructor(reason) {
+    super(`Invalid image: ${reason}`);
+    this.name = 'InvalidImageError';
+    this.reason = reason;
+  }
+}
+
+// JPEG：逐段查找 SOF 段读取尺寸
+const readJpegSize = (buffer) => {
+  let offset = 2;
+  while (offset + 9 < buffer.length) {
+    if (buffer[offset] !== 0xff) {
+      return null;
+    }
+    const marker = buffer[offset + 1];
+    // 填充字节
+    if (marker === 0xff) {
+      offset++;
+      continue;
+    }
+    // SOF0-SOF15，排除 DHT(C4)、JPG(C8)、DAC(CC)
+    if (marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker)) {
+      return { height: buffer.readUInt16BE(offset + 5), width: buffer.readUInt16BE(offset + 7) };
+    }
+    offset += 2 + buffer.readUInt16BE(offset + 2);
+  }
+  return null;
+};
+
+// WebP：有损 VP8、无损 VP8L 和扩展格式 VP8X 的尺寸写法不同
+const readWebpSize = (buffer) => {
+  const chunk = buffer.toString('ascii', 12, 16);
+  if (chunk === 'VP8 ' && buffer.length >= 30) {
+    return { width: buffer.readUInt16LE(26) & 0x3fff, height: buffer.readUInt16LE(28) & 0x3fff };
+  }
+  if (chunk === 'VP8L' && buffer.length >= 25) {
+    const bits = buffer.readUInt32LE(21);
+    return { width: (bits & 0x3fff) + 1, height: ((bits >> 14) & 0x3fff) + 1 };
+  }
+  if (chunk === 'VP8X' && buffer.length >= 30) {
+    return { width: buffer.readUIntLE(24, 3) + 1, height: buffer.readUIntLE(27, 3) + 1 };
+  }
+  return null;
+};
+
+// 按文件头的魔数识别图片格式：type 与尺寸 reader
+const SIGNATURES = [
+  {
+    type: 'jpeg',
+    match: buffer => buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff,
+    readSize: readJpegSize
+  },
+  {
+    type: 'png',
+    match: buffer => buffer.toString('hex', 0, 8) === '89504e470d0a1a0a',
+    readSize: buffer => (buffer.length >= 24 && buffer.toString('ascii', 12, 16) === 'IHDR'
+      ? { width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20) }
+      : null)
+  },
+  {
+    type: 'gif',
+    match: buffer => ['GIF87a', 'GIF89a'].includes(buffer.toString('ascii', 0, 6)),
+    readSize: buffer => (buffer.length >= 10 ? { width: buffer.readUInt16LE(6), height: buffer.readUInt16LE(8) } : null)
+  },
+  {
+    type: 'webp',
+    match: buffer => buffer.toString('ascii', 0, 4) === 'RIFF' && buffer.toString('ascii', 8, 12) === 'WEBP',
+    readSize: readWebpSize
+  },
+  {
+    type: 'bmp',
+    match: buffer => buffer.toString('ascii', 0, 2) === 'BM',
+    readSize: buffer => (buffer.length >= 26 ? { width: buffer.readInt32LE(18), height: Math.abs(buffer.readInt32LE(22)) } : null)
+  }
+];
+
+// 识别图片格式和尺寸，无法识别时返回 null
+const detectImage = (buffer) => {
+  const signature = SIGNATURES.find(candidate => buffer.length >= 12 && candidate.match(buffer));
+  if (!signature) {
+    return null;
+  }
+  const size = signature.readSize(buffer);
+  return { type: signature.type, width: size ? size.width : 0, height: size ? size.height : 0 };
+};
+
+const readHeader = (filePath) => {
+  const fd = fs.openSync(filePath, 'r');
+  try {
+    const buffer = Buffer.alloc(HEADER_READ_SIZE);
+    const bytesRead = fs.readSync(fd, buffer, 0, HEADER_READ_SIZE, 0);
+    return buffer.subarray(0, bytesRead);
+  } finally {
+    fs.closeSync(fd);
+  }
+};
+
+// 校验值写法：sha256 / md5 的十六进制，或带算法前缀的 "sha256:<hex>"
+const parseHash = (hash) => {
+  const value = String(hash).trim().toLowerCase();
+  const prefixed = value.match(/^(sha256|sha1|md5)[:-]([0-9a-f]+)$/);
+  if (prefixed) {
+    return { algorithm: prefixed[1], digest: prefixed[2] };
+  }
+  const algorithm = { 64: 'sha256', 40: 'sha1', 32: 'md5' }[value.length];
+  if (!algorithm || !/^[0-9a-f]+$/.test(value)) {
+    throw new InvalidImageError(`unsupported hash format: ${hash}`);
+  }
+  return { algorithm, digest: value };
+};
+
+const hashFile = (filePath, algorithm) => new Promise((resolve, reject) => {
+  const hash = crypto.createHash(algorithm);
+  fs.createReadStream(filePath)
+    .on('data', chunk => hash.update(chunk))
+    .on('end', () => resolve(hash.digest('hex')))
+    .on('error', reject);
+});
+
+// 校验下载的文件：Content-Type、Content-Length、文件头和（可选的）校验值
+// 通过时返回 { type, width, height }，否则抛出 InvalidImageError
+const validateImageFile = async (filePath, { contentType, expectedSize, hash } = {}) => {
+  const mimeType = (contentType || '').split(';')[0].trim().toLowerCase();
+  if (mimeType && !mimeType.startsWith('image/') && !ALLOWED_CONTENT_TYPES.includes(mimeType)) {
+    throw new InvalidImageError(`unexpected Content-Type ${mimeType}`);
+  }
+
+  const { size } = fs.statSync(filePath);
+  if (size === 0) {
+    throw new InvalidImageError('file is empty');
+  }
+  if (expectedSize && size !== expectedSize) {
+    throw new InvalidImageError(`size ${size} does not match Content-Length ${expectedSize}`);
+  }
+
+  const info = detectImage(readHeader(filePath));
+  if (!info) {
+    throw new InvalidImageError('unrecognized file signature');
+  }
+  if (!(info.width > 0 && info.height > 0)) {
+    throw new InvalidImageError(`unreadable ${info.type} header`);
+  }
+
+  if (hash) {
+    const { algorithm, digest } = parseHash(hash);
+    const actual = await hashFile(filePath, algorithm);
+    if (actual !== digest) {
+      throw new InvalidImageError(`${algorithm} mismatch (expected ${digest}, got ${actual})`);
+    }
+  }
+
+  return info;
+};
+
+export { InvalidImageError, detectImage, parseHash, readHeader, validateImageFile, hashFile };
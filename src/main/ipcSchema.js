@@ -0,0 +1,109 @@
+// 渲染进程可以调用的 IPC 通道及其参数类型。
+// 通过 preload 暴露给页面的每个 invoke 通道都必须在这里声明，未声明的通道和类型不符的参数一律拒绝
+
+// 字符串参数的最大长度，避免页面传入过大的数据
+const MAX_STRING_LENGTH = 4096;
+// 一次缓存的壁纸数量上限
+const MAX_LIST_LENGTH = 10000;
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const isString = (value) => typeof value === 'string' && value.length <= MAX_STRING_LENGTH;
+
+// 参数类型名 -> 校验函数；类型名以 ? 结尾表示可以省略（undefined）
+const TYPES = {
+  string: isString,
+  boolean: value => typeof value === 'boolean',
+  object: isPlainObject,
+  // 壁纸 ID：远程图源为数字或字符串，本地文件夹为文件路径的哈希
+  id: value => (isString(value) && value.length > 0) || Number.isFinite(value),
+  // 壁纸记录：至少要有 ID，以及图片地址或本地文件路径之一
+  wallpaper: value => isPlainObject(value)
+    && TYPES.id(value.id)
+    && ['imageUrl', 'originalUrl', 'localPath'].some(key => isString(value[key]) && value[key].length > 0),
+  wallpaperList: value => Array.isArray(value) && value.length <= MAX_LIST_LENGTH && value.every(TYPES.wallpaper)
+};
+
+const IPC_SCHEMA = {
+  // 壁纸与图源
+  'fetch-wallpapers': [],
+  'set-wallpaper': ['wallpaper', 'object?'],
+  'cache-images': ['wallpaperList'],
+  'get-sources': [],
+  'add-source': ['object'],
+  'update-source': ['string', 'object'],
+  'remove-source': ['string'],
+  'select-source-folder': [],
+  'select-source-file': [],
+  'get-wallpaper-backends': [],
+  'get-displays': [],
+
+  // 设置
+  'get-settings': [],
+  'set-settings': ['object'],
+  'subscribe-settings': [],
+  'set-auto-start': ['boolean'],
+  'get-shortcuts': [],
+  'set-shortcuts': ['object'],
+  'pause-shortcuts': ['boolean'],
+  'get-control-api-status': [],
+  'reset-control-token': [],
+
+  // 缓存
+  'clear-cache': [],
+  'get-cache-stats': [],
+  'delete-cache-entry': ['string'],
+  'pin-cache-entry': ['string', 'boolean'],
+  'prioritize-download': ['string'],
+  'cancel-download': ['string'],
+  'mark-wallpaper-viewed': ['string'],
+  'get-image-palette': ['string'],
+
+  // 历史记录与收藏
+  'get-wallpaper-history': [],
+  'revert-wallpaper': [],
+  'clear-wallpaper-history': [],
+  'get-favorites': [],
+  'add-favorite': ['wallpaper'],
+  'remove-favorite': ['id'],
+
+  // 定时轮换
+  'start-rotation': ['object'],
+  'stop-rotation': [],
+  'get-rotation-status': [],
+
+  // 其他
+  'open-external': ['string'],
+
+  // 应用更新
+  'check-update': [],
+  'get-update-status': [],
+  'download-update': [],
+  'install-update': [],
+  'skip-update': ['string']
+};
+
+// 校验 IPC 参数，不合法时抛出错误（渲染进程中的 invoke 会收到这个错误）
+const validateIpcArgs = (channel, args) => {
+  const schema = IPC_SCHEMA[channel];
+  if (!schema) {
+    throw new Error(`Unknown IPC channel: ${channel}`);
+  }
+  if (args.length > schema.length) {
+    throw new Error(`Too many arguments for ${channel}: expected at most ${schema.length}`);
+  }
+
+  schema.forEach((typeName, index) => {
+    const optional = typeName.endsWith('?');
+    const type = optional ? typeName.slice(0, -1) : typeName;
+    const value = args[index];
+    if (optional && value === undefined) {
+      return;
+    }
+    if (!TYPES[type](value)) {
+      throw new Error(`Invalid argument ${index + 1} for ${channel}: expected ${type}`);
+    }
+  });
+};
+
+export { IPC_SCHEMA, validateIpcArgs };
@@ -0,0 +1,256 @@
+import fs from 'fs';
+import path from 'path';
+import { execFile, spawn } from 'child_process';
+import { pathToFileURL } from 'url';
+
+// 默认的命令执行器；测试时可以替换为记录调用的桩实现
+const defaultRunner = {
+  // 执行命令并等待结束
+  run: (command, args) => new Promise((resolve, reject) => {
+    execFile(command, args, { timeout: 15000 }, (error, stdout, stderr) => {
+      if (error) {
+        reject(new Error(`${command} failed: ${(stderr || error.message).trim()}`));
+        return;
+      }
+      resolve({ stdout, stderr });
+    });
+  }),
+
+  // 启动需要常驻的命令（例如 swaybg），返回子进程
+  spawn: (command, args) => {
+    const child = spawn(command, args, { detached: true, stdio: 'ignore' });
+    child.unref();
+    return child;
+  },
+
+  // 在 PATH 中查找命令
+  exists: (command) => (process.env.PATH || '').split(path.delimiter).some((dir) => {
+    try {
+      fs.accessSync(path.join(dir, command), fs.constants.X_OK);
+      return true;
+    } catch (error) {
+      return false;
+    }
+  })
+};
+
+// 依次尝试候选命令，返回第一个存在的
+const findCommand = (runner, candidates) => candidates.find(command => runner.exists(command));
+
+// KDE Plasma 通过 plasmashell 脚本为所有桌面设置壁纸
+const buildPlasmaScript = (imagePath) => `
+var allDesktops = desktops();
+for (var i = 0; i < allDesktops.length; i++) {
+  var desktop = allDesktops[i];
+  desktop.wallpaperPlugin = 'org.kde.image';
+  desktop.currentConfigGroup = ['Wallpaper', 'org.kde.image', 'General'];
+  desktop.writeConfig('Image', ${JSON.stringify(pathToFileURL(imagePath).href)});
+}`;
+
+// 内置的桌面环境后端：setWallpaper(imagePath, options, runner, state)，options.scale 为 'span' 表示跨屏图片；
+// 支持锁屏图片的后端另外提供 setLockScreen(imagePath, runner)
+const BUILTIN_BACKENDS = {
+  gnome: {
+    label: 'GNOME',
+    setWallpaper: async (imagePath, options, runner) => {
+      const uri = pathToFileURL(imagePath).href;
+      await runner.run('gsettings', ['set', 'org.gnome.desktop.background', 'picture-uri', uri]);
+      // 深色模式使用单独的键，旧版 GNOME 没有这个键
+      try {
+        await runner.run('gsettings', ['set', 'org.gnome.desktop.background', 'picture-uri-dark', uri]);
+      } catch (error) {
+        console.log('GNOME dark wallpaper key not available:', error.message);
+      }
+      await runner.run('gsettings', [
+        'set', 'org.gnome.desktop.background', 'picture-options',
+        options.scale === 'span' ? 'spanned' : 'zoom'
+      ]);
+    },
+    setLockScreen: async (imagePath, runner) => {
+      await runner.run('gsettings', ['set', 'org.gnome.desktop.screensaver', 'picture-uri', pathToFileURL(imagePath).href]);
+    }
+  },
+
+  kde: {
+    label: 'KDE Plasma',
+    setWallpaper: async (imagePath, options, runner) => {
+      const qdbus = findCommand(runner, ['qdbus6', 'qdbus', 'qdbus-qt5']);
+      if (!qdbus) {
+        throw new Error('qdbus not found');
+      }
+      await runner.run(qdbus, [
+        'org.kde.plasmashell', '/PlasmaShell', 'org.kde.PlasmaShell.evaluateScript',
+        buildPlasmaScript(imagePath)
+      ]);
+    },
+    setLockScreen: async (imagePath, runner) => {
+      const kwriteconfig = findCommand(runner, ['kwriteconfig6', 'kwriteconfig5']);
+      if (!kwriteconfig) {
+        throw new Error('kwriteconfig not found');
+      }
+      const group = ['--file', 'kscreenlockerrc', '--group', 'Greeter'];
+      await runner.run(kwriteconfig, [...group, '--key', 'WallpaperPlugin', 'org.kde.image']);
+      await runner.run(kwriteconfig, [
+        ...group, '--group', 'Wallpaper', '--group', 'org.kde.image', '--group', 'General',
+        '--key', 'Image', pathToFileURL(imagePath).href
+      ]);
+    }
+  },
+
+  xfce: {
+    label: 'XFCE',
+    setWallpaper: async (imagePath, options, runner) => {
+      // 每个显示器、每个工作区都有自己的 last-image 属性
+      const { stdout } = await runner.run('xfconf-query', ['-c', 'xfce4-desktop', '-l']);
+      const properties = stdout.split('\n').map(line => line.trim()).filter(line => line.endsWith('/last-image'));
+      if (properties.length === 0) {
+        throw new Error('No XFCE desktop image properties found');
+      }
+      for (const property of properties) {
+        await runner.run('xfconf-query', ['-c', 'xfce4-desktop', '-p', property, '-s', imagePath]);
+      }
+    }
+  },
+
+  wlroots: {
+    label: 'sway / wlroots（swww、swaybg）',
+    setWallpaper: async (imagePath, options, runner, state) => {
+      if (runner.exists('swww')) {
+        await runner.run('swww', ['img', imagePath]);
+        return;
+      }
+      if (!runner.exists('swaybg')) {
+        throw new Error('Neither swww nor swaybg found');
+      }
+      // swaybg 需要一直运行，替换壁纸时结束上一次启动的进程
+      if (state.swaybg) {
+        state.swaybg.kill();
+      }
+      state.swaybg = runner.spawn('swaybg', ['-i', imagePath, '-m', 'fill']);
+    }
+  },
+
+  x11: {
+    label: 'X11（feh、nitrogen）',
+    setWallpaper: async (imagePath, options, runner) => {
+      if (runner.exists('feh')) {
+        const args = options.scale === 'span' ? ['--no-xinerama', '--bg-fill', imagePath] : ['--bg-fill', imagePath];
+        await runner.run('feh', args);
+        return;
+      }
+      if (runner.exists('nitrogen')) {
+        await runner.run('nitrogen', ['--set-zoom-fill', '--save', imagePath]);
+        return;
+      }
+      throw new Error('Neither feh nor nitrogen found');
+    }
+  }
+};
+
+// 内置后端的名称，设置中的 linuxBackend 只能是这些名称或 auto
+const BUILTIN_BACKEND_NAMES = Object.keys(BUILTIN_BACKENDS);
+
+// XDG_CURRENT_DESKTOP 中的名称与后端的对应关系
+const DESKTOP_BACKENDS = {
+  gnome: 'gnome',
+  unity: 'gnome',
+  ubuntu: 'gnome',
+  pop: 'gnome',
+  budgie: 'gnome',
+  kde: 'kde',
+  xfce: 'xfce',
+  sway: 'wlroots',
+  hyprland: 'wlroots',
+  river: 'wlroots',
+  wayfire: 'wlroots',
+  i3: 'x11',
+  openbox: 'x11',
+  bspwm: 'x11'
+};
+
+// Linux 桌面环境壁纸后端注册表
+class LinuxBackends {
+  constructor({ runner = defaultRunner, env = process.env } = {}) {
+    this.runner = runner;
+    this.env = env;
+    this.backends = new Map();
+    // 后端之间共享的运行状态（例如常驻的 swaybg 进程）
+    this.state = {};
+
+    for (const [name, backend] of Object.entries(BUILTIN_BACKENDS)) {
+      this.register(name, backend);
+    }
+  }
+
+  register(name, { label, setWallpaper, setLockScreen }) {
+    this.backends.set(name, { label, setWallpaper, setLockScreen });
+  }
+
+  list() {
+    return [...this.backends.entries()].map(([name, backend]) => ({ name, label: backend.label }));
+  }
+
+  // 根据 XDG_CURRENT_DESKTOP 检测桌面环境，无法识别时按显示服务器选择
+  detect() {
+    const desktops = (this.env.XDG_CURRENT_DESKTOP || this.env.DESKTOP_SESSION || '')
+      .toLowerCase()
+      .split(':')
+      .map(name => name.trim())
+      .filter(Boolean);
+
+    for (const desktop of desktops) {
+      const backend = DESKTOP_BACKENDS[desktop];
+      if (backend && this.backends.has(backend)) {
+        return backend;
+      }
+    }
+
+    if (this.env.WAYLAND_DISPLAY) {
+      return 'wlroots';
+    }
+    if (this.env.DISPLAY) {
+      return 'x11';
+    }
+    return null;
+  }
+
+  // preferred 为 'auto' 或未指定时自动检测
+  resolve(preferred = 'auto') {
+    const name = preferred && preferred !== 'auto' ? preferred : this.detect();
+    const backend = this.backends.get(name);
+    if (!backend) {
+      throw new Error(name ? `Unknown Linux wallpaper backend: ${name}` : 'Unable to detect desktop environment');
+    }
+    return { name, backend };
+  }
+
+  supportsLockScreen(preferred = 'auto') {
+    try {
+      return !!this.resolve(preferred).backend.setLockScreen;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  async setLockScreen(imagePath, preferred = 'auto') {
+    const { name, backend } = this.resolve(preferred);
+    if (!backend.setLockScreen) {
+      throw new Error(`Lock screen wallpaper is not supported by ${backend.label}`);
+    }
+
+    console.log(`Setting lock screen with Linux backend: ${name}`);
+    await backend.setLockScreen(path.resolve(imagePath), this.runner);
+    return { success: true, method: `linux-${name}` };
+  }
+
+  async setWallpaper(imagePath, options = {}, preferred = 'auto') {
+    const { name, backend } = this.resolve(preferred);
+
+    console.log(`Setting wallpaper with Linux backend: ${name}`);
+    await backend.setWallpaper(path.resolve(imagePath), options, this.runner, this.state);
+    return { success: true, method: `linux-${name}` };
+  }
+}
+
+export { BUILTIN_BACKEND_NAMES, defaultRunner };
+export default LinuxBackends;
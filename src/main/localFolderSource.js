@@ -0,0 +1,141 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { toLocalImageUrl } from './cacheProtocol.js';
+
+// 可以直接设为壁纸的图片格式
+const IMAGE_EXTENSIONS = ['.jpg', '.jpeg', '.png', '.bmp', '.webp'];
+// 递归扫描的最大目录深度，避免误选根目录时扫描过久
+const MAX_SCAN_DEPTH = 5;
+
+// 判断文件是否位于指定文件夹内
+export const isInsideFolder = (filePath, folder) => {
+  const relative = path.relative(path.resolve(folder), path.resolve(filePath));
+  return !!relative && !relative.startsWith('..') && !path.isAbsolute(relative);
+};
+
+class LocalFolderSource {
+  constructor({ onChange } = {}) {
+    this.onChange = onChange;
+    this.watchers = new Map();
+    this.changeTimer = null;
+  }
+
+  validate(source) {
+    if (!source.path || !fs.existsSync(source.path) || !fs.statSync(source.path).isDirectory()) {
+      throw new Error(`Folder not found: ${source.path}`);
+    }
+  }
+
+  // 递归收集文件夹中的图片文件
+  async collectImages(dir, depth = 0) {
+    if (depth > MAX_SCAN_DEPTH) {
+      return [];
+    }
+
+    let entries;
+    try {
+      entries = await fs.promises.readdir(dir, { withFileTypes: true });
+    } catch (error) {
+      console.error(`Error reading folder ${dir}:`, error.message);
+      return [];
+    }
+
+    const files = [];
+    for (const entry of entries) {
+      const entryPath = path.join(dir, entry.name);
+      if (entry.isDirectory() && !entry.name.startsWith('.')) {
+        files.push(...await this.collectImages(entryPath, depth + 1));
+      } else if (entry.isFile() && IMAGE_EXTENSIONS.includes(path.extname(entry.name).toLowerCase())) {
+        files.push(entryPath);
+      }
+    }
+    return files;
+  }
+
+  // 扫描文件夹，生成与 fetch-wallpapers 返回值兼容的壁纸记录
+  async scan(source) {
+    this.validate(source);
+    const files = await this.collectImages(source.path);
+
+    return files.sort().map(filePath => ({
+      id: `local-${crypto.createHash('md5').update(filePath).digest('hex').slice(0, 12)}`,
+      artist: '本地图片',
+      source: path.relative(source.path, path.dirname(filePath)) || path.basename(source.path),
+      imageUrl: toLocalImageUrl(filePath),
+      localPath: filePath,
+      isLocal: true
+    }));
+  }
+
+  // 按当前启用的文件夹源同步文件监听
+  watch(folders) {
+    const wanted = new Set(folders.map(folder => path.resolve(folder)));
+
+    for (const [folder, watcher] of this.watchers) {
+      if (!wanted.has(folder)) {
+        watcher.close();
+        this.watchers.delete(folder);
+      }
+    }
+
+    for (const folder of wanted) {
+      if (this.watchers.has(folder) || !fs.existsSync(folder)) {
+        continue;
+      }
+      try {
+        this.watchers.set(folder, this.createWatcher(folder));
+      } catch (error) {
+        console.error(`Error watching folder ${folder}:`, error.message);
+      }
+    }
+  }
+
+  createWatcher(folder) {
+    const listener = (eventType, fileName) => {
+      if (!fileName || IMAGE_EXTENSIONS.includes(path.extname(fileName).toLowerCase()) || !path.extname(fileName)) {
+        this.scheduleChange();
+      }
+    };
+
+    let watcher;
+    try {
+      watcher = fs.watch(folder, { recursive: true }, listener);
+    } catch (error) {
+      // 部分平台（如旧版 Node 的 Linux）不支持递归监听，只监听顶层目录
+      watcher = fs.watch(folder, listener);
+    }
+    watcher.on('error', (error) => {
+      console.error(`Folder watcher error for ${folder}:`, error.message);
+      watcher.close();
+      this.watchers.delete(folder);
+    });
+    return watcher;
+  }
+
+  // 合并短时间内的多次文件变化
+  scheduleChange() {
+    if (this.changeTimer) {
+      clearTimeout(this.changeTimer);
+    }
+    this.changeTimer = setTimeout(() => {
+      this.changeTimer = null;
+      if (this.onChange) {
+        this.onChange();
+      }
+    }, 1000);
+  }
+
+  close() {
+    if (this.changeTimer) {
+      clearTimeout(this.changeTimer);
+      this.changeTimer = null;
+    }
+    for (const watcher of this.watchers.values()) {
+      watcher.close();
+    }
+    this.watchers.clear();
+  }
+}
+
+export default LocalFolderSource;
@@ -0,0 +1,56 @@
+import path from 'path';
+import { defaultRunner } from './linuxBackends.js';
+
+// PowerShell 字符串中的单引号需要写成两个
+const quotePowerShell = (value) => `'${value.replace(/'/g, "''")}'`;
+
+// Windows 通过 WinRT 的 LockScreen.SetImageFileAsync 设置锁屏图片
+const buildWindowsScript = (imagePath) => `
+Add-Type -AssemblyName System.Runtime.WindowsRuntime
+$methods = [System.WindowsRuntimeSystemExtensions].GetMethods() | Where-Object { $_.Name -eq 'AsTask' -and $_.GetParameters().Count -eq 1 }
+$asTaskOperation = ($methods | Where-Object { $_.GetParameters()[0].ParameterType.Name -eq 'IAsyncOperation\`1' })[0]
+$asTaskAction = ($methods | Where-Object { $_.GetParameters()[0].ParameterType.Name -eq 'IAsyncAction' })[0]
+[Windows.Storage.StorageFile, Windows.Storage, ContentType = WindowsRuntime] | Out-Null
+[Windows.System.UserProfile.LockScreen, Windows.System.UserProfile, ContentType = WindowsRuntime] | Out-Null
+$getFile = [Windows.Storage.StorageFile]::GetFileFromPathAsync(${quotePowerShell(imagePath)})
+$file = $asTaskOperation.MakeGenericMethod([Windows.Storage.StorageFile]).Invoke($null, @($getFile)).Result
+$asTaskAction.Invoke($null, @([Windows.System.UserProfile.LockScreen]::SetImageFileAsync($file))).Wait()
+`;
+
+// 设置锁屏 / 登录界面壁纸：Windows 使用 WinRT，Linux 交给桌面环境后端，其他平台不支持
+class LockScreenManager {
+  constructor({ linuxBackends, runner = defaultRunner, platform = process.platform }) {
+    this.linuxBackends = linuxBackends;
+    this.runner = runner;
+    this.platform = platform;
+  }
+
+  isSupported(linuxBackend = 'auto') {
+    if (this.platform === 'win32') {
+      return true;
+    }
+    if (this.platform === 'linux') {
+      return this.linuxBackends.supportsLockScreen(linuxBackend);
+    }
+    return false;
+  }
+
+  async setLockScreen(imagePath, { linuxBackend = 'auto' } = {}) {
+    if (this.platform === 'win32') {
+      console.log('Setting lock screen with Windows LockScreen API');
+      await this.runner.run('powershell.exe', [
+        '-NoProfile', '-NonInteractive', '-ExecutionPolicy', 'Bypass',
+        '-Command', buildWindowsScript(path.resolve(imagePath))
+      ]);
+      return { success: true, method: 'windows-lockscreen' };
+    }
+
+    if (this.platform === 'linux') {
+      return this.linuxBackends.setLockScreen(imagePath, linuxBackend);
+    }
+
+    throw new Error(`Lock screen wallpaper is not supported on ${this.platform}`);
+  }
+}
+
+export default LockScreenManager;
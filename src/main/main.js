@@ -1,30 +1,141 @@
-import { app, BrowserWindow, ipcMain, shell } from 'electron';
+import { app, BrowserWindow, ipcMain, shell, powerMonitor, dialog, screen } from 'electron';
 import path from 'path';
 import fs from 'fs';
-import { fileURLToPath } from 'url';
+import { fileURLToPath, pathToFileURL } from 'url';
 import axios from 'axios';
 import { setWallpaper } from 'wallpaper';
 import { spawn } from 'child_process';
 import ImageCache from './imageCache.js';
+import RotationScheduler from './rotationScheduler.js';
+import TrayManager from './trayManager.js';
+import SettingsStore from './settingsStore.js';
+import SourceRegistry from './sourceRegistry.js';
+import LocalFolderSource, { isInsideFolder } from './localFolderSource.js';
+import FeedCache from './feedCache.js';
+import FavoritesStore from './favoritesStore.js';
+import WallpaperHistory from './wallpaperHistory.js';
+import DisplayManager from './displayManager.js';
+import ImageProcessor from './imageProcessor.js';
+import LinuxBackends from './linuxBackends.js';
+import LockScreenManager from './lockScreen.js';
+import ControlServer, { generateToken } from './controlServer.js';
+import ShortcutManager, { SHORTCUT_ACTIONS, findDuplicates } from './shortcutManager.js';
+import CliServer, { EXIT_CODES, USAGE, parseCliArgs, getSocketPath, sendToRunningInstance } from './cli.js';
+import { validateIpcArgs } from './ipcSchema.js';
+import { isAllowedExternalUrl, guardWebContents } from './windowGuards.js';
+import CacheProtocol, { registerCacheScheme } from './cacheProtocol.js';
+import UpdateManager, { UpdateVerificationError } from './updateManager.js';
+import { hashFile } from './imageValidator.js';
 import AutoLaunch from 'auto-launch';
 
 let mainWindow;
 let imageCache;
 let autoLauncher;
-const API_URL = 'https://gh-proxy.com/https://raw.githubusercontent.com/moelylink/wallpaper-api/refs/heads/main/wallpaper.json';
+let rotationScheduler;
+let trayManager;
+let settingsStore;
+let sourceRegistry;
+let localFolderSource;
+let favoritesStore;
+let wallpaperHistory;
+let displayManager;
+let imageProcessor;
+const linuxBackends = new LinuxBackends();
+const lockScreenManager = new LockScreenManager({ linuxBackends });
+// 设置壁纸的目标：桌面、锁屏或两者
+const WALLPAPER_TARGETS = ['desktop', 'lock', 'both'];
+// 订阅了设置变化的渲染进程
+const settingsSubscribers = new Set();
+// 只有通过托盘“退出”或系统关机时才真正退出，关闭窗口只是隐藏到托盘
+let isQuitting = false;
+// 最近一次成功获取的壁纸列表，供定时轮换使用
+let lastWallpapers = [];
+let cliServer;
+let controlServer;
+let shortcutManager;
+let cacheProtocol;
+let updateManager;
+// 命令行参数（开发环境中第一个参数是应用目录，会被忽略）
+const cliArgs = parseCliArgs(process.argv.slice(1));
+// 只允许运行一个实例，之后启动的实例把命令转发给它
+const isPrimaryInstance = app.requestSingleInstanceLock();
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
+// moely-cache:// 协议需要在 app ready 之前注册
+registerCacheScheme();
+
+// 开发环境加载 React 开发服务器，生产环境加载打包后的页面
+const isDevelopment = process.env.NODE_ENV === 'development' || !app.isPackaged;
+const DEV_SERVER_URL = 'http://localhost:3000';
+const APP_INDEX_PATH = path.join(__dirname, '../../build/index.html');
+
+// 是否为应用自己的页面
+const isAppUrl = (url) => {
+  try {
+    const parsed = new URL(url);
+    if (isDevelopment) {
+      return parsed.origin === new URL(DEV_SERVER_URL).origin;
+    }
+    return parsed.protocol === 'file:' && path.normalize(fileURLToPath(parsed)) === path.normalize(APP_INDEX_PATH);
+  } catch (error) {
+    return false;
+  }
+};
+
+// 注册 IPC 处理程序：只接受应用页面发来的调用，参数按 ipcSchema 校验
+const handleIpc = (channel, handler) => {
+  ipcMain.handle(channel, (event, ...args) => {
+    if (!event.senderFrame || !isAppUrl(event.senderFrame.url)) {
+      throw new Error(`Rejected ${channel} from untrusted page`);
+    }
+    validateIpcArgs(channel, args);
+    return handler(event, ...args);
+  });
+};
+
+// 不需要返回值的 IPC 消息（窗口控制），同样只接受应用页面发来的
+const onIpc = (channel, listener) => {
+  ipcMain.on(channel, (event) => {
+    if (event.senderFrame && isAppUrl(event.senderFrame.url)) {
+      listener(event);
+    }
+  });
+};
+
+// 设置中的 Linux 桌面环境后端；不是已注册的后端时回退到自动检测，避免每次设置壁纸都失败
+const getLinuxBackend = () => {
+  const backend = settingsStore.get('linuxBackend');
+  return linuxBackends.list().some(({ name }) => name === backend) ? backend : 'auto';
+};
+
 // 自定义壁纸设置函数，处理打包环境中的路径问题
-const setWallpaperCustom = async (imagePath) => {
+// options 会传给 wallpaper 包，例如 macOS 的 screen 和 Windows 的 scale
+const setWallpaperCustom = async (imagePath, options = {}) => {
+  // Linux 上用户指定了桌面环境后端时直接使用
+  const linuxBackend = process.platform === 'linux' ? getLinuxBackend() : 'auto';
+  if (linuxBackend !== 'auto') {
+    return linuxBackends.setWallpaper(imagePath, options, linuxBackend);
+  }
+  
   try {
     // 首先尝试使用 wallpaper 包的标准方法
-    await setWallpaper(imagePath);
+    await setWallpaper(imagePath, options);
     return { success: true, method: 'wallpaper-package' };
   } catch (error) {
     console.log('Standard wallpaper package failed, trying custom method:', error.message);
     
+    // Linux 上改用检测到的桌面环境后端
+    if (process.platform === 'linux') {
+      try {
+        return await linuxBackends.setWallpaper(imagePath, options);
+      } catch (backendError) {
+        console.error('Linux wallpaper backend also failed:', backendError);
+        throw new Error(`Both wallpaper methods failed. Standard: ${error.message}, Linux backend: ${backendError.message}`);
+      }
+    }
+    
     // 如果标准方法失败，尝试直接调用可执行文件
     try {
       // 在打包环境中，wallpaper 包的可执行文件应该在 app.asar.unpacked 目录中
@@ -48,7 +159,11 @@ const setWallpaperCustom = async (imagePath) => {
       
       // 使用 spawn 调用可执行文件
       return new Promise((resolve, reject) => {
-        const child = spawn(wallpaperExePath, ['set', imagePath]);
+        const args = ['set', imagePath];
+        if (options.scale) {
+          args.push('--scale', options.scale);
+        }
+        const child = spawn(wallpaperExePath, args);
         
         let stdout = '';
         let stderr = '';
@@ -83,6 +198,381 @@ const setWallpaperCustom = async (imagePath) => {
   }
 };
 
+// 向渲染进程发送消息（窗口可能已关闭）
+const sendToRenderer = (channel, payload) => {
+  if (mainWindow && !mainWindow.isDestroyed()) {
+    mainWindow.webContents.send(channel, payload);
+  }
+};
+
+// 初始化设置存储，并把设置变化广播给订阅的渲染进程
+const initSettingsStore = () => {
+  settingsStore = new SettingsStore();
+  settingsStore.subscribe((settings, changes) => {
+    for (const contents of settingsSubscribers) {
+      if (!contents.isDestroyed()) {
+        contents.send('settings-changed', { settings, changes });
+      }
+    }
+  });
+};
+
+// 按设置应用缓存上限和下载设置，修改上限后立即清理
+const initCacheLimits = () => {
+  imageCache.setLimits(settingsStore.get('cache'));
+  imageCache.setDownloadOptions(settingsStore.get('downloads'));
+  settingsStore.subscribe((settings, changes) => {
+    if (changes.cache) {
+      imageCache.setLimits(settings.cache);
+      imageCache.cleanupExpiredCache();
+      sendToRenderer('cache-changed');
+    }
+    if (changes.downloads) {
+      imageCache.setDownloadOptions(settings.downloads);
+    }
+  });
+};
+
+// 按设置启动或停止本地控制接口
+const syncControlServer = () => {
+  const { enabled, port, token } = settingsStore.get('controlApi');
+  if (!enabled) {
+    controlServer.stop();
+    return;
+  }
+  try {
+    controlServer.start({ port, token });
+  } catch (error) {
+    console.error('Error starting control API:', error);
+  }
+};
+
+// 初始化本地控制接口，首次使用时生成访问令牌
+const initControlServer = () => {
+  if (!settingsStore.get('controlApi').token) {
+    settingsStore.set({ controlApi: { token: generateToken() } });
+  }
+
+  controlServer = new ControlServer({
+    // 监听状态（包括端口被占用等错误）推送给设置页面
+    onStatusChange: status => sendToRenderer('control-api-status', status),
+    routes: {
+      'GET /api/wallpapers': async () => {
+        const { wallpapers, offline } = await fetchWallpapers();
+        return { success: true, wallpapers, offline };
+      },
+      'GET /api/wallpapers/current': async () => {
+        const latest = wallpaperHistory.getLatest();
+        return latest
+          ? { success: true, wallpaper: latest }
+          : { success: false, statusCode: 404, error: 'No wallpaper has been set yet' };
+      },
+      'POST /api/wallpapers/:id/set': async ({ params, body }) => {
+        const wallpaper = await findWallpaper(params.id);
+        if (!wallpaper) {
+          return { success: false, statusCode: 404, error: `Wallpaper not found: ${params.id}` };
+        }
+        const result = await setWallpaperWithOptions(wallpaper, { target: body.target, displayId: body.displayId });
+        return { ...result, statusCode: result.success ? 200 : 500 };
+      },
+      'POST /api/next': () => rotationScheduler.rotate(1),
+      'POST /api/prev': () => rotationScheduler.rotate(-1),
+      'GET /api/cache': async () => ({ success: true, stats: imageCache.getCacheStats() }),
+      'POST /api/cache/clear': async () => clearCache()
+    }
+  });
+
+  syncControlServer();
+  settingsStore.subscribe((settings, changes) => {
+    if (changes.controlApi) {
+      syncControlServer();
+    }
+  });
+};
+
+// 初始化壁纸源注册表
+const initSourceRegistry = () => {
+  sourceRegistry = new SourceRegistry({
+    settingsStore,
+    feedCache: new FeedCache(),
+    // 返回完整响应以便读取 ETag / Last-Modified，304 也视为成功
+    fetchJson: (url, headers = {}) => retryRequest(() => axios.get(url, {
+      ...axiosConfig,
+      headers: { ...axiosConfig.headers, ...headers },
+      validateStatus: (status) => (status >= 200 && status < 300) || status === 304
+    }))
+  });
+
+  // 本地文件夹壁纸源：扫描结果已经是壁纸记录，无需字段映射
+  localFolderSource = new LocalFolderSource({
+    onChange: async () => {
+      console.log('Local wallpaper folder changed, refreshing wallpapers');
+      sendToRenderer('wallpapers-updated', await fetchWallpapers());
+    }
+  });
+  sourceRegistry.registerType('folder', {
+    validate: (source) => localFolderSource.validate(source),
+    load: (source) => localFolderSource.scan(source),
+    mapsFields: false
+  });
+
+  // 壁纸源变化时同步文件夹监听
+  syncFolderWatchers();
+  settingsStore.subscribe((settings, changes) => {
+    if (changes.sources) {
+      syncFolderWatchers();
+    }
+  });
+};
+
+// 获取启用的本地文件夹路径
+const getLocalFolders = () => {
+  return sourceRegistry.getSources()
+    .filter(source => source.type === 'folder' && source.enabled)
+    .map(source => source.path);
+};
+
+const syncFolderWatchers = () => {
+  localFolderSource.watch(getLocalFolders());
+};
+
+// 启动定时轮换并保存配置，下次启动时自动恢复
+const startRotation = (config) => {
+  const status = rotationScheduler.start(config);
+  settingsStore.set({ rotation: { ...status.config, enabled: true } });
+  return status;
+};
+
+const stopRotation = () => {
+  const status = rotationScheduler.stop();
+  settingsStore.set({ rotation: { enabled: false } });
+  return status;
+};
+
+// 初始化定时轮换服务
+const initRotationScheduler = () => {
+  rotationScheduler = new RotationScheduler({
+    getWallpapers: async (config) => {
+      if (config.pool === 'favorites') {
+        return favoritesStore.list();
+      }
+      if (lastWallpapers.length > 0) {
+        return lastWallpapers;
+      }
+      const { wallpapers } = await fetchWallpapers();
+      return wallpapers;
+    },
+    applyWallpaper: (wallpapers, config) => applyRotationWallpapers(wallpapers, config),
+    getDisplayCount: () => (settingsStore.get('displays').rotatePerDisplay ? displayManager.getDisplays().length : 1),
+    onStatusChange: (status) => {
+      sendToRenderer('rotation-status', status);
+      if (trayManager) {
+        trayManager.updateMenu({
+          rotationRunning: status.running,
+          currentWallpaperId: status.currentWallpaperId
+        });
+      }
+    }
+  });
+
+  // 系统从休眠恢复后重新计算下一次切换时间
+  powerMonitor.on('resume', () => {
+    rotationScheduler.reschedule();
+  });
+
+  // 从最近一次设置的壁纸继续轮换
+  const latest = wallpaperHistory.getLatest();
+  if (latest) {
+    rotationScheduler.setCurrentWallpaper(latest.id);
+  }
+
+  // 恢复上次保存的轮换配置
+  const { enabled, ...rotationConfig } = settingsStore.get('rotation');
+  if (enabled) {
+    rotationScheduler.start(rotationConfig);
+  } else {
+    rotationScheduler.config = rotationScheduler.normalizeConfig(rotationConfig);
+  }
+};
+
+// 初始化多显示器管理，显示器增减时通知渲染进程
+const initDisplayManager = () => {
+  displayManager = new DisplayManager({
+    setWallpaper: setWallpaperCustom,
+    outputDir: path.join(app.getPath('userData'), 'display-wallpapers')
+  });
+
+  const notifyDisplaysChanged = () => {
+    sendToRenderer('displays-changed', displayManager.getDisplays());
+  };
+  screen.on('display-added', notifyDisplaysChanged);
+  screen.on('display-removed', notifyDisplaysChanged);
+  screen.on('display-metrics-changed', notifyDisplaysChanged);
+};
+
+// 显示主窗口（窗口已销毁时重新创建）
+const showWindow = () => {
+  if (!mainWindow) {
+    createWindow();
+    return;
+  }
+  if (mainWindow.isMinimized()) {
+    mainWindow.restore();
+  }
+  mainWindow.show();
+  mainWindow.focus();
+};
+
+// 暂停或恢复定时轮换，托盘和快捷键共用
+const toggleRotation = () => {
+  if (rotationScheduler.running) {
+    stopRotation();
+  } else {
+    startRotation(rotationScheduler.config);
+  }
+};
+
+// 收藏当前壁纸，命令行和快捷键共用
+const favoriteCurrentWallpaper = async () => {
+  const latest = wallpaperHistory.getLatest();
+  if (!latest) {
+    return { success: false, error: 'No current wallpaper to favorite' };
+  }
+  return addFavorite(wallpaperHistory.toImageData(latest));
+};
+
+// 初始化全局快捷键，设置变化时重新注册
+const initShortcuts = () => {
+  shortcutManager = new ShortcutManager({
+    actions: {
+      next: () => rotationScheduler.rotate(1),
+      previous: () => rotationScheduler.rotate(-1),
+      favorite: favoriteCurrentWallpaper,
+      // 跳过：换到下一张，并让新壁纸停留完整的轮换间隔
+      skip: async () => {
+        const result = await rotationScheduler.rotate(1);
+        rotationScheduler.reschedule();
+        return result;
+      },
+      toggleRotation
+    }
+  });
+
+  shortcutManager.register(settingsStore.get('shortcuts'));
+  settingsStore.subscribe((settings, changes) => {
+    if (changes.shortcuts) {
+      sendToRenderer('shortcuts-status', shortcutManager.register(settings.shortcuts));
+    }
+  });
+};
+
+// 初始化系统托盘
+const initTray = () => {
+  trayManager = new TrayManager({
+    iconPath: path.join(__dirname, '..', '..', 'icons', 'favicon.png'),
+    actions: {
+      next: () => rotationScheduler.rotate(1),
+      previous: () => rotationScheduler.rotate(-1),
+      revert: () => revertWallpaper(),
+      openCurrent: () => {
+        const { currentWallpaperId } = rotationScheduler.getStatus();
+        if (!currentWallpaperId) {
+          return;
+        }
+        // 本地文件夹中的图片在文件管理器中显示
+        const current = lastWallpapers.find(wp => wp.id === currentWallpaperId);
+        if (current && current.localPath) {
+          shell.showItemInFolder(current.localPath);
+        } else {
+          shell.openExternal(`https://www.moely.link/img/${currentWallpaperId}/`);
+        }
+      },
+      toggleRotation,
+      showWindow,
+      installUpdate: () => updateManager.install(),
+      quit: () => {
+        isQuitting = true;
+        app.quit();
+      }
+    }
+  });
+  trayManager.create();
+  trayManager.updateMenu({ canRevert: !!wallpaperHistory.getPrevious() });
+};
+
+// 无法自动安装、需要用户手动完成的平台：macOS 打开 dmg 由用户拖入应用程序文件夹，
+// 不是通过 AppImage 运行的 Linux 版本只能打开安装包所在位置
+const isManualInstall = () => process.platform === 'darwin'
+  || (process.platform === 'linux' && !process.env.APPIMAGE);
+
+// 用新版本替换正在运行的 AppImage：先复制到同一目录下的临时文件并校验，再重命名覆盖，
+// 中途失败不会留下不完整的 AppImage
+const replaceAppImage = async (filePath, sha256) => {
+  const targetPath = process.env.APPIMAGE;
+  const tempPath = `${targetPath}.update-${process.pid}`;
+  try {
+    await fs.promises.copyFile(filePath, tempPath);
+    const actual = await hashFile(tempPath, 'sha256');
+    if (actual !== sha256) {
+      throw new UpdateVerificationError(sha256, actual);
+    }
+    await fs.promises.chmod(tempPath, 0o755);
+    await fs.promises.rename(tempPath, targetPath);
+  } catch (error) {
+    await fs.promises.rm(tempPath, { force: true });
+    throw error;
+  }
+  return targetPath;
+};
+
+// 启动已下载并校验过的安装包：Windows 运行安装程序后退出，Linux 替换当前的 AppImage 后重新启动；
+// 需要手动安装的平台（见 isManualInstall）打开安装包或其所在位置
+const launchInstaller = async (filePath, { sha256 }) => {
+  if (process.platform === 'darwin') {
+    const error = await shell.openPath(filePath);
+    return error ? { success: false, error } : { success: true, manual: true };
+  }
+  if (isManualInstall()) {
+    shell.showItemInFolder(filePath);
+    return { success: true, manual: true };
+  }
+
+  try {
+    const executablePath = process.platform === 'linux' ? await replaceAppImage(filePath, sha256) : filePath;
+    spawn(executablePath, [], { detached: true, stdio: 'ignore' }).unref();
+  } catch (error) {
+    console.error('Error launching update installer:', error);
+    return { success: false, error: error.message };
+  }
+  isQuitting = true;
+  setImmediate(() => app.quit());
+  return { success: true };
+};
+
+// 初始化应用更新：按设置定时检查，状态变化时通知渲染进程和托盘
+const initUpdateManager = () => {
+  updateManager = new UpdateManager({
+    currentVersion: app.getVersion(),
+    downloadDir: path.join(app.getPath('userData'), 'updates'),
+    getConfig: () => settingsStore.get('update'),
+    setConfig: changes => settingsStore.set({ update: changes }),
+    installUpdate: launchInstaller,
+    manualInstall: isManualInstall(),
+    onStatusChange: (status) => {
+      sendToRenderer('update-status', status);
+      if (trayManager) {
+        trayManager.updateMenu({ updateVersion: status.state === 'downloaded' ? status.latestVersion : null });
+      }
+    }
+  });
+  updateManager.schedule();
+  settingsStore.subscribe((settings, changes) => {
+    if (changes.update) {
+      updateManager.schedule();
+    }
+  });
+};
+
 // 初始化开机自启动
 const initAutoLaunch = () => {
   autoLauncher = new AutoLaunch({
@@ -122,8 +612,9 @@ async function retryRequest(requestFn, maxRetries = 2, delay = 2000) {
   }
 }
 
-function createWindow() {
+function createWindow({ show = true } = {}) {
   mainWindow = new BrowserWindow({
+    show,
     width: 1200,
     height: 800,
     minWidth: 800,
@@ -132,32 +623,102 @@ function createWindow() {
     transparent: true,
     titleBarStyle: 'hidden',
     webPreferences: {
-      nodeIntegration: true,
-      contextIsolation: false,
-      webSecurity: false
+      // 页面只能通过 preload 暴露的 window.moely 与主进程通信
+      preload: path.join(__dirname, 'preload.cjs'),
+      nodeIntegration: false,
+      contextIsolation: true,
+      sandbox: true
     },
   });
 
   // 开发环境下加载 localhost:3000
-  if (process.env.NODE_ENV === 'development' || !app.isPackaged) {
-    mainWindow.loadURL('http://localhost:3000');
+  if (isDevelopment) {
+    mainWindow.loadURL(DEV_SERVER_URL);
     mainWindow.webContents.openDevTools();
   } else {
     // 生产环境加载打包后的文件
-    mainWindow.loadFile(path.join(__dirname, '../../build/index.html'));
+    mainWindow.loadFile(APP_INDEX_PATH);
   }
 
+  // 关闭窗口时最小化到托盘，后台服务继续运行
+  mainWindow.on('close', (event) => {
+    // 没有托盘（--headless）时直接关闭窗口，应用仍在后台运行
+    if (!isQuitting && trayManager) {
+      event.preventDefault();
+      mainWindow.hide();
+    }
+  });
+
   mainWindow.on('closed', () => {
     mainWindow = null;
   });
 }
 
-app.on('ready', () => {
-  // 初始化图片缓存
-  imageCache = new ImageCache();
+// 输出命令行结果并以对应的退出码退出
+const finishCli = ({ exitCode, output }) => {
+  printCliResult({ exitCode, output });
+  // app.exit 不会触发 before-quit，先写入尚未保存的缓存元数据
+  if (imageCache) {
+    imageCache.flush();
+  }
+  app.exit(exitCode);
+};
+
+const printCliResult = ({ exitCode, output }) => {
+  if (output) {
+    (exitCode === EXIT_CODES.OK ? process.stdout : process.stderr).write(`${output}\n`);
+  }
+};
+
+// 后启动的实例：有命令时转发给正在运行的实例，否则让它显示窗口后退出
+if (!isPrimaryInstance) {
+  if (cliArgs.error) {
+    finishCli({ exitCode: EXIT_CODES.USAGE, output: `${cliArgs.error}\n\n${USAGE}` });
+  } else if (cliArgs.command === 'help') {
+    finishCli({ exitCode: EXIT_CODES.OK, output: USAGE });
+  } else if (cliArgs.command) {
+    sendToRunningInstance(getSocketPath(app.getPath('userData')), cliArgs).then(finishCli);
+  } else {
+    app.quit();
+  }
+}
+
+app.on('second-instance', (event, argv) => {
+  // 带命令的启动通过 CLI 套接字处理，不打开窗口
+  if (!parseCliArgs(argv.slice(1)).command) {
+    showWindow();
+  }
+});
+
+// 所有窗口（包括开发者工具以外的新建页面）都不能离开应用页面
+app.on('web-contents-created', (event, contents) => {
+  guardWebContents(contents, { isAppUrl, openExternal: url => shell.openExternal(url) });
+});
+
+app.on('ready', async () => {
+  if (!isPrimaryInstance) {
+    return;
+  }
+  
+  // 初始化图片缓存，历史记录中的壁纸文件不参与缓存清理
+  wallpaperHistory = new WallpaperHistory();
+  imageCache = new ImageCache({
+    isProtected: (filePath) => wallpaperHistory.isProtected(filePath)
+  });
+  // 处理后的壁纸放在缓存目录的 processed 子目录，历史记录引用的文件同样保留
+  imageProcessor = new ImageProcessor({
+    cacheDir: imageCache.cacheDir,
+    isProtected: (filePath) => wallpaperHistory.isProtected(filePath)
+  });
   
-  // 启动时清理过期缓存
+  // 初始化开机自启动
+  initAutoLaunch();
+  initSettingsStore();
+  initCacheLimits();
+  
+  // 启动时对账，并清理过期和超出大小上限的缓存
   try {
+    imageCache.reconcile();
     const cleanedCount = imageCache.cleanupExpiredCache();
     if (cleanedCount > 0) {
       console.log(`Cleaned up ${cleanedCount} expired cache entries on startup`);
@@ -166,62 +727,182 @@ app.on('ready', () => {
     console.error('Error cleaning up expired cache on startup:', error);
   }
   
-  // 初始化开机自启动
-  initAutoLaunch();
-  createWindow();
+  favoritesStore = new FavoritesStore();
+  initSourceRegistry();
+  initCacheProtocol();
+  initDisplayManager();
+  initRotationScheduler();
+  initControlServer();
+  
+  cliServer = new CliServer({
+    socketPath: getSocketPath(app.getPath('userData')),
+    handler: runCliCommand
+  });
+  cliServer.start();
+  
+  // 命令行调用：执行命令后退出，带 --headless 时继续在后台运行
+  if (cliArgs.command || cliArgs.error) {
+    const result = await runCliCommand(cliArgs);
+    if (!cliArgs.headless) {
+      finishCli(result);
+      return;
+    }
+    printCliResult(result);
+  }
+  
+  initShortcuts();
+  if (cliArgs.headless) {
+    console.log('Running headless, waiting for CLI commands');
+    return;
+  }
+  
+  initTray();
+  initUpdateManager();
+  // 开机自启动时带 --hidden 参数，直接在后台运行
+  createWindow({ show: !process.argv.includes('--hidden') });
 });
 
-app.on('window-all-closed', () => {
-  if (process.platform !== 'darwin') {
-    app.quit();
+app.on('before-quit', () => {
+  isQuitting = true;
+  if (cliServer) {
+    cliServer.close();
+  }
+  if (controlServer) {
+    controlServer.stop();
+  }
+  if (localFolderSource) {
+    localFolderSource.close();
+  }
+  if (updateManager) {
+    updateManager.stop();
+  }
+  if (imageCache) {
+    imageCache.flush();
   }
 });
 
-app.on('activate', () => {
-  if (mainWindow === null) {
-    createWindow();
+
+app.on('will-quit', () => {
+  if (shortcutManager) {
+    shortcutManager.unregister();
   }
 });
 
-ipcMain.handle('fetch-wallpapers', async (event) => {
+app.on('window-all-closed', () => {
+  // 窗口全部关闭后保留托盘常驻，不退出应用
+});
+
+app.on('activate', () => {
+  showWindow();
+});
+
+// 获取壁纸列表并标记本地缓存
+// 返回 { wallpapers, offline, offlineSince }，网络失败时 offline 为 true 并使用上次成功的数据
+const fetchWallpapers = async () => {
   try {
-    const response = await retryRequest(() => axios.get(API_URL, axiosConfig));
+    // 从所有启用的壁纸源获取并合并壁纸数据
+    const { wallpapers, offline, offlineSince } = await sourceRegistry.fetchAll();
     
-    // 如果网络请求失败，返回空数组而不是崩溃
-    if (!response || !response.data) {
+    // 如果网络请求失败且没有离线数据，返回空数组而不是崩溃
+    if (wallpapers.length === 0) {
       console.log('No data received, returning empty array');
-      return [];
+      return { wallpapers: [], offline, offlineSince };
     }
     
-    // 转换壁纸数据字段名
-    const wallpapers = response.data.map(wp => ({
-      id: wp.id,
-      artist: wp.user,
-      source: wp.category,
-      imageUrl: wp.original
-    }));
-    
     // 检查本地缓存并更新URL
     const wallpapersWithCache = wallpapers.map(wp => {
-      const localUrl = imageCache.getLocalImageUrl(wp.imageUrl);
+      // 本地文件夹中的图片无需缓存
+      if (wp.localPath) {
+        return { ...wp, originalUrl: pathToFileURL(wp.localPath).href };
+      }
       return {
         ...wp,
         originalUrl: wp.imageUrl, // 保存原始URL
-        imageUrl: localUrl || wp.imageUrl, // 优先使用本地缓存
-        isLocal: !!localUrl
+        imageUrl: imageCache.getImageUrl(wp.imageUrl, { id: wp.id }), // 通过 moely-cache:// 显示，未缓存时由协议下载
+        // 轮播中的小图和当前大图使用缩小后的版本
+        variantUrls: {
+          thumb: imageCache.getImageUrl(wp.imageUrl, { variant: 'thumb', id: wp.id }),
+          preview: imageCache.getImageUrl(wp.imageUrl, { variant: 'preview', id: wp.id })
+        },
+        isLocal: !!imageCache.getLocalImageUrl(wp.imageUrl),
+        // 界面按当前壁纸的配色调整主题，未缓存的图片稍后通过 get-image-palette 获取
+        palette: imageCache.getStoredPalette(wp.imageUrl)
       };
     });
     
-    return wallpapersWithCache;
+    // 离线时优先展示已缓存的图片，未缓存的图片无法加载
+    let result = wallpapersWithCache;
+    if (offline) {
+      const available = wallpapersWithCache.filter(wp => wp.isLocal);
+      if (available.length > 0) {
+        result = available;
+      }
+    }
+    
+    lastWallpapers = result;
+    return { wallpapers: result, offline, offlineSince };
   } catch (error) {
     console.error('Error fetching wallpapers:', error);
     // 返回空数组而不是抛出错误
-    return [];
+    return { wallpapers: [], offline: false, offlineSince: null };
+  }
+};
+
+handleIpc('fetch-wallpapers', async (event) => {
+  return fetchWallpapers();
+});
+
+// 壁纸源相关处理程序
+handleIpc('get-sources', async (event) => {
+  return sourceRegistry.getSources();
+});
+
+handleIpc('add-source', async (event, source) => {
+  try {
+    return { success: true, sources: sourceRegistry.addSource(source) };
+  } catch (error) {
+    console.error('Error adding source:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+handleIpc('update-source', async (event, id, changes) => {
+  try {
+    return { success: true, sources: sourceRegistry.updateSource(id, changes) };
+  } catch (error) {
+    console.error('Error updating source:', error);
+    return { success: false, error: error.message };
   }
 });
 
+handleIpc('remove-source', async (event, id) => {
+  try {
+    return { success: true, sources: sourceRegistry.removeSource(id) };
+  } catch (error) {
+    console.error('Error removing source:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// 选择本地壁纸文件夹
+handleIpc('select-source-folder', async (event) => {
+  const result = await dialog.showOpenDialog(mainWindow, {
+    properties: ['openDirectory']
+  });
+  return result.canceled ? null : result.filePaths[0];
+});
+
+// 选择本地 JSON 壁纸源文件
+handleIpc('select-source-file', async (event) => {
+  const result = await dialog.showOpenDialog(mainWindow, {
+    properties: ['openFile'],
+    filters: [{ name: 'JSON', extensions: ['json'] }]
+  });
+  return result.canceled ? null : result.filePaths[0];
+});
+
 // 图片缓存相关处理程序
-ipcMain.handle('cache-images', async (event, wallpapers) => {
+handleIpc('cache-images', async (event, wallpapers) => {
   try {
     console.log('Starting image cache process...');
     
@@ -233,7 +914,7 @@ ipcMain.handle('cache-images', async (event, wallpapers) => {
     
     const results = await imageCache.batchDownload(wallpapersWithOriginalUrl, (completed, total) => {
       // 发送进度更新给渲染进程
-      mainWindow.webContents.send('cache-progress', { completed, total });
+      sendToRenderer('cache-progress', { completed, total });
     });
     
     console.log('Image cache process completed');
@@ -246,11 +927,11 @@ ipcMain.handle('cache-images', async (event, wallpapers) => {
 
 
 // Window control handlers
-ipcMain.on('window-minimize', () => {
+onIpc('window-minimize', () => {
   mainWindow.minimize();
 });
 
-ipcMain.on('window-maximize', () => {
+onIpc('window-maximize', () => {
   if (mainWindow.isMaximized()) {
     mainWindow.restore();
   } else {
@@ -258,13 +939,17 @@ ipcMain.on('window-maximize', () => {
   }
 });
 
-ipcMain.on('window-close', () => {
+onIpc('window-close', () => {
   mainWindow.close();
 });
 
 // Handler for opening URLs in default browser
-ipcMain.handle('open-external', async (event, url) => {
+// 只允许打开白名单中的网站（见 windowGuards.js）
+handleIpc('open-external', async (event, url) => {
   try {
+    if (!isAllowedExternalUrl(url)) {
+      throw new Error(`URL is not allowed: ${url}`);
+    }
     await shell.openExternal(url);
     return { success: true };
   } catch (error) {
@@ -274,28 +959,53 @@ ipcMain.handle('open-external', async (event, url) => {
 });
 
 // 设置相关处理程序
-ipcMain.handle('get-settings', async (event) => {
+handleIpc('get-settings', async (event) => {
   try {
     // 检查开机自启动状态
     const isEnabled = await autoLauncher.isEnabled();
     return {
+      ...settingsStore.get(),
       autoStart: isEnabled
     };
   } catch (error) {
     console.error('Error getting settings:', error);
-    return {
-      autoStart: true // 默认开启
-    };
+    return settingsStore.get();
   }
 });
 
-ipcMain.handle('set-auto-start', async (event, enabled) => {
+// 壁纸源需要经过 SourceRegistry 校验，只能通过 add-source / update-source / remove-source 修改
+handleIpc('set-settings', async (event, changes) => {
+  try {
+    if (changes.sources !== undefined) {
+      throw new Error('Sources must be changed through the source settings');
+    }
+    return { success: true, settings: settingsStore.set(changes) };
+  } catch (error) {
+    console.error('Error saving settings:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// 订阅设置变化，之后每次修改都会收到 settings-changed 消息
+handleIpc('subscribe-settings', async (event) => {
+  const contents = event.sender;
+  if (!settingsSubscribers.has(contents)) {
+    settingsSubscribers.add(contents);
+    contents.once('destroyed', () => {
+      settingsSubscribers.delete(contents);
+    });
+  }
+  return settingsStore.get();
+});
+
+handleIpc('set-auto-start', async (event, enabled) => {
   try {
     if (enabled) {
       await autoLauncher.enable();
     } else {
       await autoLauncher.disable();
     }
+    settingsStore.set({ autoStart: enabled });
     return { success: true };
   } catch (error) {
     console.error('Error setting auto start:', error);
@@ -303,11 +1013,62 @@ ipcMain.handle('set-auto-start', async (event, enabled) => {
   }
 });
 
+// 全局快捷键绑定及注册失败的快捷键
+handleIpc('get-shortcuts', async (event) => {
+  return {
+    shortcuts: settingsStore.get('shortcuts'),
+    ...(shortcutManager ? shortcutManager.getStatus() : { failures: {} })
+  };
+});
+
+// 保存快捷键绑定，同一快捷键不能绑定多个操作
+handleIpc('set-shortcuts', async (event, shortcuts) => {
+  try {
+    const unknown = Object.keys(shortcuts || {}).filter(action => !SHORTCUT_ACTIONS.includes(action));
+    if (unknown.length > 0) {
+      throw new Error(`Unknown shortcut actions: ${unknown.join(', ')}`);
+    }
+    const merged = { ...settingsStore.get('shortcuts'), ...shortcuts };
+    const duplicates = Object.keys(findDuplicates(merged));
+    if (duplicates.length > 0) {
+      throw new Error(`Shortcut already in use: ${duplicates.join(', ')}`);
+    }
+
+    settingsStore.set({ shortcuts });
+    return { success: true, shortcuts: settingsStore.get('shortcuts'), ...shortcutManager.getStatus() };
+  } catch (error) {
+    console.error('Error saving shortcuts:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// 录制快捷键时暂停全局快捷键，否则按下的组合键会被拦截
+handleIpc('pause-shortcuts', async (event, paused) => {
+  if (paused) {
+    shortcutManager.unregister();
+    return { success: true, failures: {} };
+  }
+  return { success: true, ...shortcutManager.register(settingsStore.get('shortcuts')) };
+});
+
+// 本地控制接口的监听状态：{ running, port, error }
+handleIpc('get-control-api-status', async (event) => {
+  return controlServer.getStatus();
+});
+
+// 重新生成本地控制接口的访问令牌，旧令牌立即失效
+handleIpc('reset-control-token', async (event) => {
+  const settings = settingsStore.set({ controlApi: { token: generateToken() } });
+  return { success: true, controlApi: settings.controlApi };
+});
+
 // Handler for clearing cache
-ipcMain.handle('clear-cache', async (event) => {
+// 清除图片缓存，供 IPC 和命令行共用
+const clearCache = () => {
   try {
-    const clearedCount = imageCache.clearCache();
+    const clearedCount = imageCache.clearCache() + imageProcessor.clear();
     console.log('Cache cleared successfully');
+    sendToRenderer('cache-changed');
     return {
       success: true,
       message: '缓存清除成功',
@@ -320,41 +1081,176 @@ ipcMain.handle('clear-cache', async (event) => {
       error: error.message
     };
   }
+};
+
+handleIpc('clear-cache', async (event) => {
+  return clearCache();
+});
+
+// 缓存统计和缓存图片列表
+handleIpc('get-cache-stats', async (event) => {
+  return imageCache.getCacheStats();
 });
 
-// Handler for checking updates
-ipcMain.handle('check-update', async (event) => {
+// 删除单张缓存图片，key 为 get-cache-stats 返回的条目 key
+handleIpc('delete-cache-entry', async (event, key) => {
   try {
-    const response = await axios.get('https://wallpaper.moely.link/app/version.txt', {
-      timeout: 10000,
-      headers: {
-        'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36'
+    imageCache.removeEntry(key);
+    return { success: true, stats: imageCache.getCacheStats() };
+  } catch (error) {
+    console.error('Error deleting cache entry:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// 固定或取消固定缓存图片，固定的图片不会被自动清理
+handleIpc('pin-cache-entry', async (event, key, pinned) => {
+  if (!imageCache.setPinned(key, pinned)) {
+    return { success: false, error: 'Image is not cached' };
+  }
+  return { success: true, stats: imageCache.getCacheStats() };
+});
+
+// 用户正在查看的图片优先下载
+handleIpc('prioritize-download', async (event, url) => {
+  return imageCache.prioritizeDownload(url);
+});
+
+// 取消图片下载，已下载的部分保留供之后续传
+handleIpc('cancel-download', async (event, url) => {
+  return imageCache.cancelDownload(url);
+});
+
+// 渲染进程显示某张壁纸时更新它的最后查看时间
+handleIpc('mark-wallpaper-viewed', async (event, url) => {
+  return imageCache.markViewed(url);
+});
+
+// 已缓存图片的配色（主色和强调色），未缓存时为 null
+handleIpc('get-image-palette', async (event, url) => {
+  return imageCache.getPalette(url);
+});
+
+// 应用更新：检查、下载（校验 sha256）、安装和跳过版本
+handleIpc('check-update', async (event) => {
+  return updateManager.check();
+});
+
+handleIpc('get-update-status', async (event) => {
+  return updateManager.getStatus();
+});
+
+handleIpc('download-update', async (event) => {
+  return updateManager.download();
+});
+
+handleIpc('install-update', async (event) => {
+  return updateManager.install();
+});
+
+handleIpc('skip-update', async (event, version) => {
+  return updateManager.skipVersion(version);
+});
+
+// 判断本地图片是否位于允许直接使用的目录（启用的本地文件夹或收藏目录）
+const isAllowedLocalPath = (filePath) => {
+  const folders = [...getLocalFolders(), favoritesStore.favoritesDir];
+  return folders.some(folder => isInsideFolder(filePath, folder));
+};
+
+// 渲染进程通过 moely-cache:// 显示缓存图片；local 地址只能访问允许的目录、
+// 缓存目录（处理后的壁纸）和壁纸历史引用的图片
+const initCacheProtocol = () => {
+  cacheProtocol = new CacheProtocol({
+    imageCache,
+    // 隔离区在缓存目录内，但其中是校验失败的文件，不能提供给页面
+    isAllowedLocalPath: filePath => !isInsideFolder(filePath, imageCache.quarantineDir) && (
+      isAllowedLocalPath(filePath)
+      || isInsideFolder(filePath, imageCache.cacheDir)
+      || wallpaperHistory.isProtected(filePath)
+    )
+  });
+  cacheProtocol.register();
+};
+
+// 获取壁纸对应的本地图片路径，没有本地文件时下载并缓存
+const resolveImagePath = async (imageData) => {
+  // 本地文件夹和收藏中的图片直接使用原文件，不经过下载缓存
+  if (imageData.localPath) {
+    if (!isAllowedLocalPath(imageData.localPath)) {
+      throw new Error('Local image is not inside an enabled wallpaper folder');
+    }
+    if (!fs.existsSync(imageData.localPath)) {
+      throw new Error(`Local image not found: ${imageData.localPath}`);
+    }
+    console.log(`Using local image for wallpaper: ${imageData.localPath}`);
+    return imageData.localPath;
+  }
+  
+  // 如果是本地缓存文件，直接使用本地路径
+  if (imageData.isLocal && imageData.originalUrl) {
+    const localPath = imageCache.getLocalPath(imageData.originalUrl);
+    if (fs.existsSync(localPath)) {
+      // Verify the cached file is not empty
+      const stats = fs.statSync(localPath);
+      if (stats.size > 0) {
+        console.log(`Using cached image for wallpaper: ${localPath} (${stats.size} bytes)`);
+        return localPath;
       }
-    });
+      console.log(`Cached file is empty, will re-download: ${localPath}`);
+    }
+  }
+  
+  // 如果没有本地缓存，尝试下载并缓存图片
+  const imageUrl = imageData.originalUrl || imageData.imageUrl;
+  
+  // Validate URL before attempting download
+  if (!imageUrl || typeof imageUrl !== 'string' || !imageUrl.trim()) {
+    throw new Error('Invalid image URL: URL is empty or not a string');
+  }
+  
+  // Basic URL validation
+  try {
+    new URL(imageUrl);
+  } catch (urlError) {
+    throw new Error(`Invalid image URL format: ${imageUrl}`);
+  }
+  
+  console.log(`Downloading image for wallpaper: ${imageData.id} from ${imageUrl}`);
+  
+  try {
+    const imagePath = await imageCache.downloadImage(imageUrl, imageData.id, { urgent: true, hash: imageData.hash });
     
-    const latestVersion = response.data.trim();
-    const currentVersion = app.getVersion();
+    // Verify downloaded file exists and is not empty
+    if (!fs.existsSync(imagePath)) {
+      throw new Error('Downloaded image file does not exist');
+    }
     
-    console.log(`Current version: ${currentVersion}, Latest version: ${latestVersion}`);
+    const stats = fs.statSync(imagePath);
+    if (stats.size === 0) {
+      throw new Error('Downloaded image file is empty');
+    }
     
-    return {
-      success: true,
-      currentVersion: currentVersion,
-      latestVersion: latestVersion,
-      hasUpdate: latestVersion !== currentVersion,
-      updateUrl: 'https://wallpaper.moely.link/app/setup.exe'
-    };
-  } catch (error) {
-    console.error('Error checking for updates:', error);
-    return {
-      success: false,
-      error: error.message
-    };
+    console.log(`Successfully downloaded image: ${imagePath} (${stats.size} bytes)`);
+    return imagePath;
+  } catch (downloadError) {
+    console.error('Failed to download image for wallpaper:', downloadError);
+    throw new Error(`Failed to download image: ${downloadError.message}`);
   }
-});
+};
 
-// Handler for setting wallpaper
-ipcMain.handle('set-wallpaper', async (event, imageData) => {
+// 历史记录变化时通知渲染进程并更新托盘菜单
+const notifyHistoryChanged = () => {
+  sendToRenderer('history-changed', wallpaperHistory.list());
+  if (trayManager) {
+    trayManager.updateMenu({ canRevert: !!wallpaperHistory.getPrevious() });
+  }
+};
+
+// 下载（如有需要）并设置壁纸，供 IPC 和定时轮换共用
+// target 为 desktop、lock 或 both；recordHistory 为 false 时不写入历史记录（恢复上一张壁纸时使用）
+// 历史记录只记录桌面壁纸
+const applyWallpaper = async (imageData, { recordHistory = true, target = 'desktop' } = {}) => {
   try {
     // Validate input data
     if (!imageData) {
@@ -365,89 +1261,52 @@ ipcMain.handle('set-wallpaper', async (event, imageData) => {
       throw new Error('Image ID is required');
     }
     
-    let imagePath = null;
+    const imagePath = await resolveImagePath(imageData);
+    // 所有显示器使用同一张图片时按主显示器的分辨率处理
+    const processedPath = prepareImage(imagePath, displayManager.getDisplays()[0], imageData.focusPoint);
     
-    // 如果是本地缓存文件，直接使用本地路径
-    if (imageData.isLocal && imageData.originalUrl) {
-      const localPath = imageCache.getLocalPath(imageData.originalUrl);
-      if (fs.existsSync(localPath)) {
-        // Verify the cached file is not empty
-        const stats = fs.statSync(localPath);
-        if (stats.size > 0) {
-          imagePath = localPath;
-          console.log(`Using cached image for wallpaper: ${imagePath} (${stats.size} bytes)`);
-        } else {
-          console.log(`Cached file is empty, will re-download: ${localPath}`);
-        }
-      }
-    }
+    // 设置壁纸
+    console.log(`Setting wallpaper: ${processedPath}`);
     
-    // 如果没有本地缓存，尝试下载并缓存图片
-    if (!imagePath) {
-      const imageUrl = imageData.originalUrl || imageData.imageUrl;
-      
-      // Validate URL before attempting download
-      if (!imageUrl || typeof imageUrl !== 'string' || !imageUrl.trim()) {
-        throw new Error('Invalid image URL: URL is empty or not a string');
-      }
-      
-      // Basic URL validation
-      try {
-        new URL(imageUrl);
-      } catch (urlError) {
-        throw new Error(`Invalid image URL format: ${imageUrl}`);
-      }
-      
-      console.log(`Downloading image for wallpaper: ${imageData.id} from ${imageUrl}`);
+    try {
+      let result = null;
       
-      try {
-        imagePath = await imageCache.downloadImage(imageUrl, imageData.id);
+      if (target !== 'lock') {
+        result = await setWallpaperCustom(processedPath);
         
-        // Verify downloaded file exists and is not empty
-        if (!fs.existsSync(imagePath)) {
-          throw new Error('Downloaded image file does not exist');
+        if (recordHistory) {
+          wallpaperHistory.record(imageData, { imagePath, processedPath, method: result.method });
+          notifyHistoryChanged();
         }
         
-        const stats = fs.statSync(imagePath);
-        if (stats.size === 0) {
-          throw new Error('Downloaded image file is empty');
-        }
-        
-        console.log(`Successfully downloaded image: ${imagePath} (${stats.size} bytes)`);
+        imageCache.markSet(imageData.originalUrl || imageData.imageUrl);
         
-      } catch (downloadError) {
-        console.error('Failed to download image for wallpaper:', downloadError);
-        return { 
-          success: false, 
-          error: `Failed to download image: ${downloadError.message}` 
-        };
+        // 所有显示器统一设置后，之前为单个显示器分配的壁纸不再有效
+        if (Object.keys(settingsStore.get('displays').assignments).length > 0) {
+          settingsStore.set({ displays: { assignments: {} } });
+        }
       }
-    }
-    
-    // 设置壁纸
-    if (imagePath) {
-      console.log(`Setting wallpaper: ${imagePath}`);
       
-      try {
-        const result = await setWallpaperCustom(imagePath);
-        
-        return { 
-          success: true, 
-          message: 'Wallpaper set successfully',
-          imagePath: imagePath,
-          method: result.method
-        };
-      } catch (setWallpaperError) {
-        console.error('Failed to set wallpaper:', setWallpaperError);
-        return {
-          success: false,
-          error: `Failed to set wallpaper: ${setWallpaperError.message}`
-        };
+      if (target !== 'desktop') {
+        const lockResult = await lockScreenManager.setLockScreen(processedPath, {
+          linuxBackend: getLinuxBackend()
+        });
+        result = result || lockResult;
       }
-    } else {
-      throw new Error('No valid image path found after download attempts');
+      
+      return { 
+        success: true, 
+        message: 'Wallpaper set successfully',
+        imagePath: imagePath,
+        method: result.method
+      };
+    } catch (setWallpaperError) {
+      console.error('Failed to set wallpaper:', setWallpaperError);
+      return {
+        success: false,
+        error: `Failed to set wallpaper: ${setWallpaperError.message}`
+      };
     }
-    
   } catch (error) {
     console.error('Error setting wallpaper:', error);
     return { 
@@ -455,5 +1314,332 @@ ipcMain.handle('set-wallpaper', async (event, imageData) => {
       error: error.message 
     };
   }
+};
+
+// 按设置的适配方式把图片处理成显示器的分辨率，focusPoint（{ x, y }，0-1）可覆盖默认裁剪焦点
+// 处理失败（例如 nativeImage 不支持的格式）时使用原图
+const prepareImage = (imagePath, display, focusPoint) => {
+  const fit = { ...settingsStore.get('imageFit') };
+  if (focusPoint) {
+    fit.focusX = focusPoint.x;
+    fit.focusY = focusPoint.y;
+  }
+
+  try {
+    return imageProcessor.process(imagePath, { ...displayManager.getPixelSize(display), ...fit });
+  } catch (error) {
+    console.error('Error processing wallpaper image, using original:', error.message);
+    return imagePath;
+  }
+};
+
+// 把定时轮换选出的壁纸分配给各显示器和锁屏（顺序见 RotationScheduler）
+const applyRotationWallpapers = async (wallpapers, { target, separateLockScreen }) => {
+  const useSeparateLock = target === 'both' && separateLockScreen && wallpapers.length > 1;
+  const desktopWallpapers = useSeparateLock ? wallpapers.slice(0, -1) : wallpapers;
+  const lockWallpaper = useSeparateLock ? wallpapers[wallpapers.length - 1] : wallpapers[0];
+
+  let result = null;
+  if (target !== 'lock') {
+    if (desktopWallpapers.length > 1) {
+      const displays = displayManager.getDisplays();
+      result = await applyDisplayWallpapers(desktopWallpapers.map((imageData, index) => ({
+        displayId: displays[index].id,
+        imageData
+      })));
+    } else {
+      result = await applyWallpaper(desktopWallpapers[0]);
+    }
+    if (!result.success) {
+      return result;
+    }
+  }
+
+  if (target !== 'desktop') {
+    const lockResult = await applyWallpaper(lockWallpaper, { target: 'lock' });
+    if (!lockResult.success || !result) {
+      return lockResult;
+    }
+  }
+  return result;
+};
+
+// 转换为可保存的壁纸数据，之后优先从缓存读取图片
+const toStoredImageData = (imageData) => ({
+  id: imageData.id,
+  artist: imageData.artist,
+  source: imageData.source,
+  origin: imageData.origin,
+  originalUrl: imageData.originalUrl || imageData.imageUrl,
+  imageUrl: imageData.imageUrl,
+  localPath: imageData.localPath,
+  focusPoint: imageData.focusPoint,
+  isLocal: true
+});
+
+// 为指定显示器设置壁纸：entries 为 [{ displayId, imageData }]，
+// 其余显示器沿用之前分配的壁纸，没有分配过的使用 entries 中的第一张
+const applyDisplayWallpapers = async (entries, { recordHistory = true } = {}) => {
+  try {
+    if (!entries.length || entries.some(entry => !entry.imageData || !entry.imageData.id)) {
+      throw new Error('Image ID is required');
+    }
+
+    const displays = displayManager.getDisplays();
+    const assignments = { ...settingsStore.get('displays').assignments };
+    for (const { displayId, imageData } of entries) {
+      if (!displays.some(display => display.id === String(displayId))) {
+        throw new Error(`Display not found: ${displayId}`);
+      }
+      assignments[displayId] = toStoredImageData(imageData);
+    }
+
+    const targets = [];
+    for (const display of displays) {
+      const imageData = assignments[display.id] || entries[0].imageData;
+      const sourcePath = await resolveImagePath(imageData);
+      targets.push({ display, sourcePath, imagePath: prepareImage(sourcePath, display, imageData.focusPoint) });
+    }
+
+    console.log(`Setting wallpapers for ${targets.length} displays`);
+    const result = await displayManager.apply(targets);
+    settingsStore.set({ displays: { assignments } });
+    for (const { imageData } of entries) {
+      imageCache.markSet(imageData.originalUrl || imageData.imageUrl);
+    }
+
+    const { sourcePath: imagePath, imagePath: processedPath } = targets.find(target => target.display.id === String(entries[0].displayId));
+    if (recordHistory) {
+      wallpaperHistory.record(entries[0].imageData, { imagePath, processedPath, method: result.method });
+      notifyHistoryChanged();
+    }
+
+    return {
+      success: true,
+      message: 'Wallpaper set successfully',
+      imagePath,
+      method: result.method
+    };
+  } catch (error) {
+    console.error('Error setting display wallpapers:', error);
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+};
+
+// 按选项设置壁纸，供 IPC 和命令行共用
+// options.displayId 指定时只替换该显示器的壁纸
+// options.target 为 desktop（默认）、lock 或 both
+const setWallpaperWithOptions = async (imageData, options = {}) => {
+  const target = options.target || 'desktop';
+  if (!WALLPAPER_TARGETS.includes(target)) {
+    return { success: false, error: `Invalid wallpaper target: ${target}` };
+  }
+  
+  let result;
+  if (options.displayId && target !== 'lock') {
+    result = await applyDisplayWallpapers([{ displayId: options.displayId, imageData }]);
+    if (result.success && target === 'both') {
+      result = await applyWallpaper(imageData, { target: 'lock' });
+    }
+  } else {
+    result = await applyWallpaper(imageData, { target });
+  }
+  
+  if (result.success && target !== 'lock') {
+    // 手动设置后，定时轮换从这张壁纸继续
+    rotationScheduler.setCurrentWallpaper(imageData.id);
+  }
+  return result;
+};
+
+// Handler for setting wallpaper
+handleIpc('set-wallpaper', async (event, imageData, options = {}) => {
+  return setWallpaperWithOptions(imageData, options);
+});
+
+// 恢复到历史记录中的上一张壁纸
+const revertWallpaper = async () => {
+  const previous = wallpaperHistory.getPrevious();
+  if (!previous) {
+    return { success: false, error: 'No previous wallpaper in history' };
+  }
+
+  const result = await applyWallpaper(wallpaperHistory.toImageData(previous), { recordHistory: false });
+  if (result.success) {
+    wallpaperHistory.dropLatest();
+    notifyHistoryChanged();
+    rotationScheduler.setCurrentWallpaper(previous.id);
+  }
+  return { ...result, wallpaper: previous };
+};
+
+// Linux 桌面环境后端列表（其他平台返回空列表），以及当前是否支持设置锁屏
+handleIpc('get-wallpaper-backends', async (event) => {
+  const lockScreenSupported = lockScreenManager.isSupported(getLinuxBackend());
+  if (process.platform !== 'linux') {
+    return { backends: [], detected: null, lockScreenSupported };
+  }
+  return { backends: linuxBackends.list(), detected: linuxBackends.detect(), lockScreenSupported };
+});
+
+// 多显示器相关处理程序
+handleIpc('get-displays', async (event) => {
+  return {
+    displays: displayManager.getDisplays(),
+    assignments: settingsStore.get('displays').assignments,
+    perScreenSupported: displayManager.supportsPerScreen()
+  };
+});
+
+// 壁纸历史记录相关处理程序
+handleIpc('get-wallpaper-history', async (event) => {
+  return wallpaperHistory.list();
 });
 
+handleIpc('revert-wallpaper', async (event) => {
+  return revertWallpaper();
+});
+
+handleIpc('clear-wallpaper-history', async (event) => {
+  wallpaperHistory.clear();
+  notifyHistoryChanged();
+  return { success: true };
+});
+
+// 收藏相关处理程序
+handleIpc('get-favorites', async (event) => {
+  return favoritesStore.list();
+});
+
+// 收藏壁纸，供 IPC 和命令行共用
+const addFavorite = async (wallpaper) => {
+  try {
+    if (!wallpaper || !wallpaper.id) {
+      throw new Error('Image ID is required');
+    }
+    const imagePath = await resolveImagePath(wallpaper);
+    const favorite = favoritesStore.add(wallpaper, imagePath);
+    sendToRenderer('favorites-changed', favoritesStore.list());
+    return { success: true, favorite };
+  } catch (error) {
+    console.error('Error adding favorite:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+handleIpc('add-favorite', async (event, wallpaper) => {
+  return addFavorite(wallpaper);
+});
+
+handleIpc('remove-favorite', async (event, id) => {
+  try {
+    favoritesStore.remove(id);
+    sendToRenderer('favorites-changed', favoritesStore.list());
+    return { success: true };
+  } catch (error) {
+    console.error('Error removing favorite:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// 定时轮换相关处理程序
+handleIpc('start-rotation', async (event, config) => {
+  try {
+    return { success: true, status: startRotation(config) };
+  } catch (error) {
+    console.error('Error starting rotation:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+handleIpc('stop-rotation', async (event) => {
+  return { success: true, status: stopRotation() };
+});
+
+handleIpc('get-rotation-status', async (event) => {
+  return rotationScheduler.getStatus();
+});
+
+// 命令行：按 ID 查找壁纸，依次在壁纸源和收藏中查找
+const findWallpaper = async (id) => {
+  const { wallpapers } = await fetchWallpapers();
+  return [...wallpapers, ...favoritesStore.list()].find(wp => String(wp.id) === String(id)) || null;
+};
+
+// 把操作结果转换为命令行的退出码和输出
+const toCliResult = (result, message) => {
+  if (result && result.success) {
+    return { exitCode: EXIT_CODES.OK, output: message };
+  }
+  return { exitCode: EXIT_CODES.FAILED, output: (result && result.error) || 'Unknown error' };
+};
+
+// 执行命令行命令，返回 { exitCode, output }
+const runCliCommand = async ({ command, value, json, error }) => {
+  if (error) {
+    return { exitCode: EXIT_CODES.USAGE, output: `${error}\n\n${USAGE}` };
+  }
+
+  switch (command) {
+    case 'help':
+      return { exitCode: EXIT_CODES.OK, output: USAGE };
+
+    case 'next':
+    case 'prev': {
+      const result = await rotationScheduler.rotate(command === 'next' ? 1 : -1);
+      return toCliResult(result, result.wallpaper && `已切换到壁纸 ${result.wallpaper.id}`);
+    }
+
+    case 'set': {
+      const wallpaper = await findWallpaper(value);
+      if (!wallpaper) {
+        return { exitCode: EXIT_CODES.NOT_FOUND, output: `Wallpaper not found: ${value}` };
+      }
+      return toCliResult(await setWallpaperWithOptions(wallpaper), `已设置壁纸 ${wallpaper.id}`);
+    }
+
+    case 'random': {
+      const { wallpapers } = await fetchWallpapers();
+      if (wallpapers.length === 0) {
+        return { exitCode: EXIT_CODES.NOT_FOUND, output: 'No wallpapers available' };
+      }
+      const wallpaper = wallpapers[Math.floor(Math.random() * wallpapers.length)];
+      return toCliResult(await setWallpaperWithOptions(wallpaper), `已设置壁纸 ${wallpaper.id}`);
+    }
+
+    case 'favorite': {
+      const result = await favoriteCurrentWallpaper();
+      return toCliResult(result, result.favorite && `已收藏壁纸 ${result.favorite.id}`);
+    }
+
+    case 'list': {
+      const { wallpapers } = await fetchWallpapers();
+      const items = wallpapers.map(wp => ({
+        id: wp.id,
+        artist: wp.artist,
+        source: wp.source,
+        origin: wp.origin,
+        imageUrl: wp.originalUrl || wp.imageUrl,
+        isLocal: !!(wp.isLocal || wp.localPath)
+      }));
+      if (json) {
+        return { exitCode: EXIT_CODES.OK, output: JSON.stringify(items, null, 2) };
+      }
+      return {
+        exitCode: EXIT_CODES.OK,
+        output: items.map(item => [item.id, item.artist || '', item.source || '', item.imageUrl].join('\t')).join('\n')
+      };
+    }
+
+    case 'clear-cache': {
+      const result = clearCache();
+      return toCliResult(result, result.success && `已清除 ${result.clearedCount} 个缓存文件`);
+    }
+
+    default:
+      return { exitCode: EXIT_CODES.USAGE, output: USAGE };
+  }
+};
@@ -0,0 +1,151 @@
+// 从图片中提取主色和强调色，界面按当前壁纸的配色调整占位色、粒子、按钮和信息栏。
+// 颜色以 #rrggbb 字符串保存在缓存元数据的 palette 字段中
+
+// 取色前把图片缩小到不超过这个尺寸，像素数量足够统计且不会阻塞主进程
+const SAMPLE_SIZE = 64;
+// 每个颜色通道保留的位数，相近的颜色归入同一个桶
+const QUANTIZE_BITS = 4;
+// 强调色至少要占取样像素的比例，避免选中零星的噪点
+const MIN_ACCENT_SHARE = 0.01;
+// 强调色在深色界面上的亮度范围（HSL 中的 L）
+const ACCENT_LIGHTNESS = { min: 0.5, max: 0.7 };
+const ACCENT_MIN_SATURATION = 0.45;
+// 饱和度低于这个值的颜色视为灰色，不作为强调色
+const GRAY_SATURATION = 0.15;
+// 图片接近灰度时使用的默认强调色
+const DEFAULT_ACCENT = { r: 255, g: 0, b: 180 };
+
+const toHex = ({ r, g, b }) => `#${[r, g, b].map(value => Math.round(value).toString(16).padStart(2, '0')).join('')}`;
+
+const rgbToHsl = ({ r, g, b }) => {
+  const [red, green, blue] = [r / 255, g / 255, b / 255];
+  const max = Math.max(red, green, blue);
+  const min = Math.min(red, green, blue);
+  const l = (max + min) / 2;
+  if (max === min) {
+    return { h: 0, s: 0, l };
+  }
+
+  const d = max - min;
+  const s = l > 0.5 ? d / (2 - max - min) : d / (max + min);
+  let h;
+  if (max === red) {
+    h = (green - blue) / d + (green < blue ? 6 : 0);
+  } else if (max === green) {
+    h = (blue - red) / d + 2;
+  } else {
+    h = (red - green) / d + 4;
+  }
+  return { h: h / 6, s, l };
+};
+
+const hslToRgb = ({ h, s, l }) => {
+  if (s === 0) {
+    return { r: l * 255, g: l * 255, b: l * 255 };
+  }
+  const hueToChannel = (p, q, t) => {
+    const hue = t < 0 ? t + 1 : (t > 1 ? t - 1 : t);
+    if (hue < 1 / 6) return p + (q - p) * 6 * hue;
+    if (hue < 1 / 2) return q;
+    if (hue < 2 / 3) return p + (q - p) * (2 / 3 - hue) * 6;
+    return p;
+  };
+  const q = l < 0.5 ? l * (1 + s) : l + s - l * s;
+  const p = 2 * l - q;
+  return {
+    r: hueToChannel(p, q, h + 1 / 3) * 255,
+    g: hueToChannel(p, q, h) * 255,
+    b: hueToChannel(p, q, h - 1 / 3) * 255
+  };
+};
+
+// 统计像素颜色：按量化后的颜色分桶，记录每个桶的像素数和颜色总和。
+// bitmap 为 nativeImage.toBitmap() 返回的 BGRA 数据
+const buildHistogram = (bitmap) => {
+  const shift = 8 - QUANTIZE_BITS;
+  const buckets = new Map();
+  let total = 0;
+  for (let offset = 0; offset + 3 < bitmap.length; offset += 4) {
+    // 忽略（半）透明的像素
+    if (bitmap[offset + 3] < 128) {
+      continue;
+    }
+    const b = bitmap[offset];
+    const g = bitmap[offset + 1];
+    const r = bitmap[offset + 2];
+    const key = ((r >> shift) << (QUANTIZE_BITS * 2)) | ((g >> shift) << QUANTIZE_BITS) | (b >> shift);
+    const bucket = buckets.get(key) || { count: 0, r: 0, g: 0, b: 0 };
+    bucket.count++;
+    bucket.r += r;
+    bucket.g += g;
+    bucket.b += b;
+    buckets.set(key, bucket);
+    total++;
+  }
+
+  const colors = [...buckets.values()].map(({ count, r, g, b }) => ({
+    count,
+    r: r / count,
+    g: g / count,
+    b: b / count
+  }));
+  return { colors, total };
+};
+
+// 强调色：数量较多且饱和度高的颜色，调整到在深色背景上足够醒目的亮度；
+// 图片接近灰度时使用默认强调色
+const pickAccent = (colors, total) => {
+  let best = null;
+  let bestScore = 0;
+  for (const color of colors) {
+    if (color.count / total < MIN_ACCENT_SHARE) {
+      continue;
+    }
+    const { s, l } = rgbToHsl(color);
+    if (s < GRAY_SATURATION) {
+      continue;
+    }
+    // 过暗或过亮的颜色饱和度看不出来
+    const score = color.count * s * s * (1 - Math.abs(l - 0.5));
+    if (score > bestScore) {
+      best = color;
+      bestScore = score;
+    }
+  }
+
+  if (!best) {
+    return DEFAULT_ACCENT;
+  }
+  const { h, s, l } = rgbToHsl(best);
+  return hslToRgb({
+    h,
+    s: Math.max(s, ACCENT_MIN_SATURATION),
+    l: Math.min(ACCENT_LIGHTNESS.max, Math.max(ACCENT_LIGHTNESS.min, l))
+  });
+};
+
+// 提取 nativeImage 的配色，返回 { dominant, accent }；图片为空时返回 null
+const extractPalette = (image) => {
+  if (!image || image.isEmpty()) {
+    return null;
+  }
+
+  const { width, height } = image.getSize();
+  const scale = Math.min(1, SAMPLE_SIZE / Math.max(width, height));
+  const sample = scale < 1
+    ? image.resize({ width: Math.max(1, Math.round(width * scale)), height: Math.max(1, Math.round(height * scale)) })
+    : image;
+
+  const { colors, total } = buildHistogram(sample.toBitmap());
+  if (total === 0) {
+    return null;
+  }
+
+  const dominant = colors.reduce((most, color) => (color.count > most.count ? color : most));
+  return {
+    dominant: toHex(dominant),
+    accent: toHex(pickAccent(colors, total))
+  };
+};
+
+export { extractPalette };
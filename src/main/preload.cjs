@@ -0,0 +1,114 @@
+// 预加载脚本：在隔离的上下文中运行，只向页面暴露 window.moely 中列出的操作，
+// 页面无法直接访问 ipcRenderer 和 Node.js。
+// 沙盒中的预加载脚本只能用 CommonJS，所以这个文件是 .cjs
+const { contextBridge, ipcRenderer } = require('electron');
+
+const invoke = (channel) => (...args) => ipcRenderer.invoke(channel, ...args);
+
+// 订阅主进程推送的消息，callback 只收到消息内容；返回取消订阅的函数
+const listen = (channel) => (callback) => {
+  const listener = (event, payload) => callback(payload);
+  ipcRenderer.on(channel, listener);
+  return () => ipcRenderer.removeListener(channel, listener);
+};
+
+contextBridge.exposeInMainWorld('moely', {
+  fetchWallpapers: invoke('fetch-wallpapers'),
+  onWallpapersUpdated: listen('wallpapers-updated'),
+  // setWallpaper(wallpaper, { displayId, target })
+  setWallpaper: invoke('set-wallpaper'),
+  cacheImages: invoke('cache-images'),
+  onCacheProgress: listen('cache-progress'),
+  openExternal: invoke('open-external'),
+
+  window: {
+    minimize: () => ipcRenderer.send('window-minimize'),
+    maximize: () => ipcRenderer.send('window-maximize'),
+    close: () => ipcRenderer.send('window-close')
+  },
+
+  settings: {
+    get: invoke('get-settings'),
+    set: invoke('set-settings'),
+    setAutoStart: invoke('set-auto-start'),
+    // 订阅设置变化，callback 收到 { settings, changes }
+    onChanged: (callback) => {
+      const unsubscribe = listen('settings-changed')(callback);
+      ipcRenderer.invoke('subscribe-settings').catch((error) => {
+        console.error('Failed to subscribe to settings:', error);
+      });
+      return unsubscribe;
+    }
+  },
+
+  sources: {
+    list: invoke('get-sources'),
+    add: invoke('add-source'),
+    update: invoke('update-source'),
+    remove: invoke('remove-source'),
+    selectFolder: invoke('select-source-folder'),
+    selectFile: invoke('select-source-file')
+  },
+
+  displays: {
+    get: invoke('get-displays'),
+    getBackends: invoke('get-wallpaper-backends'),
+    onChanged: listen('displays-changed')
+  },
+
+  history: {
+    list: invoke('get-wallpaper-history'),
+    revert: invoke('revert-wallpaper'),
+    clear: invoke('clear-wallpaper-history'),
+    onChanged: listen('history-changed')
+  },
+
+  favorites: {
+    list: invoke('get-favorites'),
+    add: invoke('add-favorite'),
+    remove: invoke('remove-favorite'),
+    onChanged: listen('favorites-changed')
+  },
+
+  rotation: {
+    getStatus: invoke('get-rotation-status'),
+    start: invoke('start-rotation'),
+    stop: invoke('stop-rotation'),
+    onStatus: listen('rotation-status')
+  },
+
+  cache: {
+    getStats: invoke('get-cache-stats'),
+    clear: invoke('clear-cache'),
+    deleteEntry: invoke('delete-cache-entry'),
+    pinEntry: invoke('pin-cache-entry'),
+    prioritizeDownload: invoke('prioritize-download'),
+    cancelDownload: invoke('cancel-download'),
+    markViewed: invoke('mark-wallpaper-viewed'),
+    getPalette: invoke('get-image-palette'),
+    onChanged: listen('cache-changed')
+  },
+
+  shortcuts: {
+    get: invoke('get-shortcuts'),
+    set: invoke('set-shortcuts'),
+    pause: invoke('pause-shortcuts'),
+    onStatus: listen('shortcuts-status')
+  },
+
+  controlApi: {
+    getStatus: invoke('get-control-api-status'),
+    resetToken: invoke('reset-control-token'),
+    onStatus: listen('control-api-status')
+  },
+
+  updates: {
+    check: invoke('check-update'),
+    getStatus: invoke('get-update-status'),
+    download: invoke('download-update'),
+    install: invoke('install-update'),
+    // skip(version)：跳过这个版本，之后的后台检查不再提示
+    skip: invoke('skip-update'),
+    onStatus: listen('update-status')
+  }
+});
@@ -0,0 +1,263 @@
+// 定时轮换模式：固定间隔（分钟）、每小时整点、每天定点
+const ROTATION_MODES = ['interval', 'hourly', 'daily'];
+// 轮换顺序：按列表顺序或随机
+const ROTATION_ORDERS = ['sequential', 'random'];
+// 轮换范围：全部壁纸或仅收藏
+const ROTATION_POOLS = ['all', 'favorites'];
+// 轮换目标：桌面、锁屏或两者
+const ROTATION_TARGETS = ['desktop', 'lock', 'both'];
+// 间隔上限（7 天）：setTimeout 的延迟超过 2^31-1 毫秒（约 24.8 天）会被当作 1 毫秒立即触发
+const MAX_INTERVAL_MINUTES = 7 * 24 * 60;
+
+const DEFAULT_CONFIG = {
+  mode: 'interval',
+  intervalMinutes: 30,
+  dailyTime: '08:00',
+  order: 'sequential',
+  pool: 'all',
+  target: 'desktop',
+  // 目标为 both 时锁屏是否使用与桌面不同的壁纸
+  separateLockScreen: false
+};
+
+class RotationScheduler {
+  // applyWallpaper(wallpapers, config) 接收本次选出的壁纸列表：先是每个显示器一张，
+  // 锁屏使用不同壁纸时最后再多一张；getDisplayCount 返回需要单独设置的显示器数量
+  constructor({ getWallpapers, applyWallpaper, getDisplayCount, onStatusChange } = {}) {
+    this.getWallpapers = getWallpapers;
+    this.applyWallpaper = applyWallpaper;
+    this.getDisplayCount = getDisplayCount || (() => 1);
+    this.onStatusChange = onStatusChange;
+    this.config = { ...DEFAULT_CONFIG };
+    this.timer = null;
+    this.running = false;
+    this.isRotating = false;
+    this.nextRunTime = null;
+    this.lastRunTime = null;
+    this.lastError = null;
+    this.currentWallpaperId = null;
+  }
+
+  // 校验并补全配置，非法值回退到默认值
+  normalizeConfig(config = {}) {
+    const merged = { ...this.config, ...config };
+
+    if (!ROTATION_MODES.includes(merged.mode)) {
+      merged.mode = DEFAULT_CONFIG.mode;
+    }
+    if (!ROTATION_ORDERS.includes(merged.order)) {
+      merged.order = DEFAULT_CONFIG.order;
+    }
+    if (!ROTATION_POOLS.includes(merged.pool)) {
+      merged.pool = DEFAULT_CONFIG.pool;
+    }
+    if (!ROTATION_TARGETS.includes(merged.target)) {
+      merged.target = DEFAULT_CONFIG.target;
+    }
+    merged.separateLockScreen = !!merged.separateLockScreen;
+
+    const minutes = parseInt(merged.intervalMinutes, 10);
+    merged.intervalMinutes = Number.isFinite(minutes) && minutes >= 1
+      ? Math.min(minutes, MAX_INTERVAL_MINUTES)
+      : DEFAULT_CONFIG.intervalMinutes;
+
+    if (typeof merged.dailyTime !== 'string' || !/^([01]\d|2[0-3]):[0-5]\d$/.test(merged.dailyTime)) {
+      merged.dailyTime = DEFAULT_CONFIG.dailyTime;
+    }
+
+    return merged;
+  }
+
+  // 计算下一次轮换的时间
+  getNextRunTime(from = new Date()) {
+    const next = new Date(from.getTime());
+
+    switch (this.config.mode) {
+      case 'hourly':
+        next.setMinutes(0, 0, 0);
+        next.setHours(next.getHours() + 1);
+        return next;
+
+      case 'daily': {
+        const [hours, minutes] = this.config.dailyTime.split(':').map(Number);
+        next.setHours(hours, minutes, 0, 0);
+        if (next <= from) {
+          next.setDate(next.getDate() + 1);
+        }
+        return next;
+      }
+
+      case 'interval':
+      default:
+        return new Date(from.getTime() + this.config.intervalMinutes * 60 * 1000);
+    }
+  }
+
+  // 启动定时轮换
+  start(config) {
+    this.config = this.normalizeConfig(config);
+    this.running = true;
+    this.lastError = null;
+    this.scheduleNext();
+    console.log(`Wallpaper rotation started (${this.config.mode}), next change at ${this.nextRunTime.toISOString()}`);
+    return this.getStatus();
+  }
+
+  // 停止定时轮换
+  stop() {
+    this.clearTimer();
+    this.running = false;
+    this.nextRunTime = null;
+    console.log('Wallpaper rotation stopped');
+    this.emitStatus();
+    return this.getStatus();
+  }
+
+  // 按当前配置重新安排计时器（例如系统从休眠中恢复后）
+  reschedule() {
+    if (this.running) {
+      this.scheduleNext();
+    }
+  }
+
+  clearTimer() {
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+  }
+
+  scheduleNext() {
+    this.clearTimer();
+    this.nextRunTime = this.getNextRunTime();
+
+    const delay = Math.max(0, this.nextRunTime.getTime() - Date.now());
+    this.timer = setTimeout(async () => {
+      this.timer = null;
+      await this.rotate(1);
+      if (this.running && !this.timer) {
+        this.scheduleNext();
+      }
+    }, delay);
+
+    this.emitStatus();
+  }
+
+  // 记录当前壁纸，使轮换从用户手动设置的壁纸继续
+  setCurrentWallpaper(wallpaperId) {
+    this.currentWallpaperId = wallpaperId;
+    this.emitStatus();
+  }
+
+  // 选出相对当前壁纸偏移 step 的下一张壁纸
+  pickWallpaper(wallpapers, step) {
+    const currentIndex = wallpapers.findIndex(wp => wp.id === this.currentWallpaperId);
+
+    if (this.config.order === 'random' && wallpapers.length > 1) {
+      let index = currentIndex;
+      while (index === currentIndex) {
+        index = Math.floor(Math.random() * wallpapers.length);
+      }
+      return wallpapers[index];
+    }
+
+    if (currentIndex === -1) {
+      return wallpapers[step < 0 ? wallpapers.length - 1 : 0];
+    }
+    const index = ((currentIndex + step) % wallpapers.length + wallpapers.length) % wallpapers.length;
+    return wallpapers[index];
+  }
+
+  // 每次需要选出的壁纸数
+  getPickCount() {
+    const desktopCount = this.config.target === 'lock' ? 1 : this.getDisplayCount();
+    const lockCount = this.config.target === 'both' && this.config.separateLockScreen ? 1 : 0;
+    return desktopCount + lockCount;
+  }
+
+  // 为多个显示器和锁屏选出互不相同的壁纸，顺序模式下一次前进 count 张
+  pickWallpapers(wallpapers, step, count) {
+    const first = this.pickWallpaper(wallpapers, step * count);
+    const picked = [first];
+    if (count === 1) {
+      return picked;
+    }
+
+    if (this.config.order === 'random') {
+      const rest = wallpapers.filter(wp => wp.id !== first.id);
+      while (picked.length < count && rest.length > 0) {
+        picked.push(rest.splice(Math.floor(Math.random() * rest.length), 1)[0]);
+      }
+      return picked;
+    }
+
+    const firstIndex = wallpapers.indexOf(first);
+    for (let offset = 1; offset < count; offset++) {
+      picked.push(wallpapers[(firstIndex + offset) % wallpapers.length]);
+    }
+    return picked;
+  }
+
+  // 切换壁纸：step 为 1 表示下一张，-1 表示上一张
+  async rotate(step = 1) {
+    if (this.isRotating) {
+      return { success: false, error: 'Rotation already in progress' };
+    }
+    this.isRotating = true;
+
+    try {
+      const wallpapers = await this.getWallpapers(this.config);
+      if (!wallpapers || wallpapers.length === 0) {
+        throw new Error('No wallpapers available for rotation');
+      }
+
+      const count = Math.max(1, Math.min(wallpapers.length, this.getPickCount()));
+      const picked = this.pickWallpapers(wallpapers, step, count);
+      const wallpaper = picked[0];
+      console.log(`Rotating wallpaper to: ${picked.map(wp => wp.id).join(', ')}`);
+
+      const result = await this.applyWallpaper(picked, this.config);
+      if (!result || !result.success) {
+        throw new Error(result && result.error ? result.error : 'Failed to set wallpaper');
+      }
+
+      this.currentWallpaperId = wallpaper.id;
+      this.lastRunTime = new Date();
+      this.lastError = null;
+      return { ...result, wallpaper };
+    } catch (error) {
+      console.error('Error rotating wallpaper:', error);
+      this.lastError = error.message;
+      return { success: false, error: error.message };
+    } finally {
+      this.isRotating = false;
+      this.emitStatus();
+    }
+  }
+
+  getStatus() {
+    return {
+      running: this.running,
+      config: { ...this.config },
+      nextRunTime: this.nextRunTime ? this.nextRunTime.toISOString() : null,
+      lastRunTime: this.lastRunTime ? this.lastRunTime.toISOString() : null,
+      lastError: this.lastError,
+      currentWallpaperId: this.currentWallpaperId
+    };
+  }
+
+  emitStatus() {
+    if (this.onStatusChange) {
+      this.onStatusChange(this.getStatus());
+    }
+  }
+
+  // 释放计时器
+  destroy() {
+    this.clearTimer();
+    this.running = false;
+  }
+}
+
+export { ROTATION_MODES, ROTATION_ORDERS, ROTATION_POOLS, ROTATION_TARGETS, MAX_INTERVAL_MINUTES };
+export default RotationScheduler;
@@ -0,0 +1,324 @@
+import fs from 'fs';
+import path from 'path';
+import { app } from 'electron';
+import { ROTATION_MODES, ROTATION_ORDERS, ROTATION_POOLS, ROTATION_TARGETS, MAX_INTERVAL_MINUTES } from './rotationScheduler.js';
+import { FIT_MODES } from './imageProcessor.js';
+import { BUILTIN_BACKEND_NAMES } from './linuxBackends.js';
+
+// 当前设置文件版本，修改结构时递增并在 MIGRATIONS 中添加迁移函数
+const SETTINGS_VERSION = 1;
+
+// 所有设置项及其默认值
+const DEFAULT_SETTINGS = {
+  autoStart: true,
+  autoSetWallpaper: false,
+  onboardingCompleted: false,
+  // 壁纸源列表，为空时使用内置的萌哩壁纸源
+  sources: [],
+  rotation: {
+    enabled: false,
+    mode: 'interval',
+    intervalMinutes: 30,
+    dailyTime: '08:00',
+    order: 'sequential',
+    pool: 'all',
+    target: 'desktop',
+    separateLockScreen: false
+  },
+  // Linux 桌面环境壁纸后端，auto 表示根据 XDG_CURRENT_DESKTOP 自动检测
+  linuxBackend: 'auto',
+  // 图片适配方式和默认裁剪焦点（0-1，0.5 为居中）
+  imageFit: {
+    mode: 'fill',
+    focusX: 0.5,
+    focusY: 0.5
+  },
+  // 多显示器：轮换时是否为每个显示器选不同的壁纸，以及各显示器单独设置的壁纸
+  displays: {
+    rotatePerDisplay: false,
+    assignments: {}
+  },
+  // 图片缓存上限，0 表示不限制；超过大小上限时删除最久未使用的图片
+  cache: {
+    maxSizeMB: 1024,
+    maxAgeDays: 7
+  },
+  // 图片下载：同时下载数量和总限速（KB/s，0 表示不限速）
+  downloads: {
+    concurrency: 3,
+    maxKBps: 0
+  },
+  // 全局快捷键，空字符串表示不绑定
+  shortcuts: {
+    next: 'CommandOrControl+Alt+Right',
+    previous: 'CommandOrControl+Alt+Left',
+    favorite: 'CommandOrControl+Alt+F',
+    skip: 'CommandOrControl+Alt+S',
+    toggleRotation: 'CommandOrControl+Alt+P'
+  },
+  // 本地 HTTP 控制接口，只监听 127.0.0.1，请求需要携带 token
+  controlApi: {
+    enabled: false,
+    port: 17890,
+    token: ''
+  },
+  // 应用更新：是否定时检查、检查间隔（小时）和用户跳过的版本
+  update: {
+    autoCheck: true,
+    checkIntervalHours: 24,
+    skippedVersion: ''
+  }
+};
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// 设置项的校验函数
+const isBoolean = value => typeof value === 'boolean';
+const isString = value => typeof value === 'string';
+const oneOf = values => value => values.includes(value);
+const inRange = (min, max = Infinity) => value => typeof value === 'number' && Number.isFinite(value) && value >= min && value <= max;
+const integerInRange = (min, max = Infinity) => value => Number.isInteger(value) && value >= min && value <= max;
+
+// 每个设置项的校验规则：嵌套对象按字段校验，未列出的字段不能修改；
+// sources 只能通过 SourceRegistry 修改，这里只检查类型
+const SETTINGS_SCHEMA = {
+  autoStart: isBoolean,
+  autoSetWallpaper: isBoolean,
+  onboardingCompleted: isBoolean,
+  sources: Array.isArray,
+  rotation: {
+    enabled: isBoolean,
+    mode: oneOf(ROTATION_MODES),
+    intervalMinutes: integerInRange(1, MAX_INTERVAL_MINUTES),
+    dailyTime: value => isString(value) && /^([01]\d|2[0-3]):[0-5]\d$/.test(value),
+    order: oneOf(ROTATION_ORDERS),
+    pool: oneOf(ROTATION_POOLS),
+    target: oneOf(ROTATION_TARGETS),
+    separateLockScreen: isBoolean
+  },
+  linuxBackend: oneOf(['auto', ...BUILTIN_BACKEND_NAMES]),
+  imageFit: {
+    mode: oneOf(FIT_MODES),
+    focusX: inRange(0, 1),
+    focusY: inRange(0, 1)
+  },
+  displays: {
+    rotatePerDisplay: isBoolean,
+    assignments: isPlainObject
+  },
+  cache: {
+    maxSizeMB: inRange(0),
+    maxAgeDays: inRange(0)
+  },
+  downloads: {
+    concurrency: integerInRange(1, 16),
+    maxKBps: inRange(0)
+  },
+  shortcuts: Object.fromEntries(Object.keys(DEFAULT_SETTINGS.shortcuts).map(action => [action, isString])),
+  controlApi: {
+    enabled: isBoolean,
+    port: integerInRange(1024, 65535),
+    token: isString
+  },
+  update: {
+    autoCheck: isBoolean,
+    checkIntervalHours: inRange(1),
+    skippedVersion: isString
+  }
+};
+
+// 校验一个设置项的新值，不合法时抛出错误；返回去掉未知字段后的值
+const validateSetting = (key, value) => {
+  const rule = SETTINGS_SCHEMA[key];
+  if (typeof rule === 'function') {
+    if (!rule(value)) {
+      throw new Error(`Invalid setting: ${key}`);
+    }
+    return value;
+  }
+  if (!isPlainObject(value)) {
+    throw new Error(`Invalid setting: ${key} must be an object`);
+  }
+  const result = {};
+  for (const [field, fieldValue] of Object.entries(value)) {
+    if (!rule[field]) {
+      console.log(`Ignoring unknown setting: ${key}.${field}`);
+      continue;
+    }
+    if (!rule[field](fieldValue)) {
+      throw new Error(`Invalid setting: ${key}.${field}`);
+    }
+    result[field] = fieldValue;
+  }
+  return result;
+};
+
+// 读取时把不合法的设置项恢复为默认值，嵌套对象按字段处理
+const sanitizeSettings = (settings) => {
+  const result = { ...settings };
+  for (const [key, rule] of Object.entries(SETTINGS_SCHEMA)) {
+    if (typeof rule === 'function') {
+      if (!rule(result[key])) {
+        console.log(`Resetting invalid setting: ${key}`);
+        result[key] = DEFAULT_SETTINGS[key];
+      }
+      continue;
+    }
+    const value = isPlainObject(result[key]) ? { ...result[key] } : {};
+    for (const [field, check] of Object.entries(rule)) {
+      if (!check(value[field])) {
+        console.log(`Resetting invalid setting: ${key}.${field}`);
+        value[field] = DEFAULT_SETTINGS[key][field];
+      }
+    }
+    result[key] = value;
+  }
+  return result;
+};
+
+// 版本迁移：键为目标版本，函数接收上一版本的数据并返回新版本的数据
+const MIGRATIONS = {
+  // 0 -> 1：早期没有 version 字段，设置项直接平铺在文件中
+  1: (data) => {
+    const { version, ...rest } = data;
+    return rest;
+  }
+};
+
+// 按默认值补全缺失的设置项，嵌套对象只合并一层
+const applyDefaults = (settings, defaults) => {
+  const result = { ...defaults };
+  for (const key of Object.keys(settings)) {
+    if (isPlainObject(defaults[key]) && isPlainObject(settings[key])) {
+      result[key] = { ...defaults[key], ...settings[key] };
+    } else {
+      result[key] = settings[key];
+    }
+  }
+  return result;
+};
+
+class SettingsStore {
+  constructor() {
+    this.settingsFile = path.join(app.getPath('userData'), 'settings.json');
+    this.listeners = new Set();
+    this.settings = this.load();
+  }
+
+  // 读取设置文件并迁移到当前版本
+  load() {
+    let data = {};
+    try {
+      if (fs.existsSync(this.settingsFile)) {
+        data = JSON.parse(fs.readFileSync(this.settingsFile, 'utf8'));
+      }
+    } catch (error) {
+      console.error('Error reading settings, falling back to defaults:', error);
+      data = {};
+    }
+
+    const { settings, migrated } = this.migrate(data);
+    const result = sanitizeSettings(applyDefaults(settings, DEFAULT_SETTINGS));
+
+    if (migrated || !fs.existsSync(this.settingsFile)) {
+      this.write(result);
+    }
+    return result;
+  }
+
+  migrate(data) {
+    let version = Number.isInteger(data.version) ? data.version : 0;
+    let settings = data.version !== undefined ? { ...data.settings } : { ...data };
+    let migrated = false;
+
+    while (version < SETTINGS_VERSION) {
+      const migration = MIGRATIONS[version + 1];
+      if (migration) {
+        settings = migration(settings);
+      }
+      version++;
+      migrated = true;
+      console.log(`Migrated settings to version ${version}`);
+    }
+
+    return { settings, migrated };
+  }
+
+  // 先写临时文件并同步到磁盘，再重命名覆盖正式文件，写入中途崩溃不会损坏设置文件
+  write(settings) {
+    const tempFile = `${this.settingsFile}.tmp`;
+    try {
+      fs.mkdirSync(path.dirname(this.settingsFile), { recursive: true });
+      const fd = fs.openSync(tempFile, 'w');
+      try {
+        fs.writeSync(fd, JSON.stringify({ version: SETTINGS_VERSION, settings }, null, 2));
+        fs.fsyncSync(fd);
+      } finally {
+        fs.closeSync(fd);
+      }
+      fs.renameSync(tempFile, this.settingsFile);
+    } catch (error) {
+      console.error('Error writing settings:', error);
+    }
+  }
+
+  // 获取全部设置或单个设置项
+  get(key) {
+    if (key === undefined) {
+      return JSON.parse(JSON.stringify(this.settings));
+    }
+    const value = this.settings[key];
+    return value !== null && typeof value === 'object' ? JSON.parse(JSON.stringify(value)) : value;
+  }
+
+  // 更新设置，changes 为 { key: value }，嵌套对象按一层合并；
+  // 任何一项不符合 SETTINGS_SCHEMA 时抛出错误，不会保存其中的任何修改
+  set(changes) {
+    if (!isPlainObject(changes)) {
+      throw new Error('Settings changes must be an object');
+    }
+
+    const validated = Object.entries(changes)
+      .filter(([key]) => {
+        if (!(key in DEFAULT_SETTINGS)) {
+          console.log(`Ignoring unknown setting: ${key}`);
+          return false;
+        }
+        return true;
+      })
+      .map(([key, value]) => [key, validateSetting(key, value)]);
+
+    const applied = {};
+    for (const [key, value] of validated) {
+      this.settings[key] = isPlainObject(DEFAULT_SETTINGS[key])
+        ? { ...this.settings[key], ...value }
+        : value;
+      applied[key] = this.settings[key];
+    }
+
+    if (Object.keys(applied).length > 0) {
+      this.write(this.settings);
+      this.notify(applied);
+    }
+    return this.get();
+  }
+
+  // 订阅设置变化，返回取消订阅函数
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  notify(changes) {
+    const settings = this.get();
+    for (const listener of this.listeners) {
+      try {
+        listener(settings, changes);
+      } catch (error) {
+        console.error('Error in settings listener:', error);
+      }
+    }
+  }
+}
+
+export default SettingsStore;
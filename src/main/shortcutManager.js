@@ -0,0 +1,120 @@
+import { globalShortcut } from 'electron';
+
+// 可以绑定全局快捷键的操作
+const SHORTCUT_ACTIONS = ['next', 'previous', 'favorite', 'skip', 'toggleRotation'];
+
+// 修饰键的别名，比较快捷键是否冲突时统一写法
+const MODIFIER_ALIASES = {
+  commandorcontrol: 'CommandOrControl',
+  cmdorctrl: 'CommandOrControl',
+  command: 'Command',
+  cmd: 'Command',
+  control: 'Control',
+  ctrl: 'Control',
+  alt: 'Alt',
+  option: 'Alt',
+  altgr: 'AltGr',
+  shift: 'Shift',
+  super: 'Super',
+  meta: 'Super'
+};
+
+// 统一快捷键写法：修饰键按固定顺序排列，用于检测重复绑定
+const normalizeAccelerator = (accelerator) => {
+  const parts = String(accelerator || '').split('+').map(part => part.trim()).filter(Boolean);
+  if (parts.length === 0) {
+    return '';
+  }
+  const modifierOrder = Object.values(MODIFIER_ALIASES).filter((value, index, all) => all.indexOf(value) === index);
+  const modifiers = [];
+  const keys = [];
+  for (const part of parts) {
+    const modifier = MODIFIER_ALIASES[part.toLowerCase()];
+    if (modifier) {
+      modifiers.push(modifier);
+    } else {
+      keys.push(part.length === 1 ? part.toUpperCase() : part);
+    }
+  }
+  modifiers.sort((a, b) => modifierOrder.indexOf(a) - modifierOrder.indexOf(b));
+  return [...new Set(modifiers), ...keys].join('+');
+};
+
+// 找出 bindings 中重复使用的快捷键，返回 { accelerator: [action, ...] }
+const findDuplicates = (bindings) => {
+  const byAccelerator = {};
+  for (const [action, accelerator] of Object.entries(bindings)) {
+    const normalized = normalizeAccelerator(accelerator);
+    if (normalized) {
+      byAccelerator[normalized] = [...(byAccelerator[normalized] || []), action];
+    }
+  }
+  return Object.fromEntries(Object.entries(byAccelerator).filter(([, actions]) => actions.length > 1));
+};
+
+// 管理全局快捷键：按设置注册，记录被其他程序占用或写法无效的快捷键
+class ShortcutManager {
+  // actions 为 { next, previous, favorite, skip, toggleRotation }
+  constructor({ actions }) {
+    this.actions = actions;
+    this.registered = [];
+    this.failures = {};
+  }
+
+  // bindings 为 { action: accelerator }，空字符串表示不绑定
+  register(bindings) {
+    this.unregister();
+    this.failures = {};
+
+    const duplicates = findDuplicates(bindings);
+    for (const action of SHORTCUT_ACTIONS) {
+      const accelerator = bindings[action];
+      if (!accelerator) {
+        continue;
+      }
+      if (duplicates[normalizeAccelerator(accelerator)]) {
+        this.failures[action] = 'duplicate';
+        continue;
+      }
+
+      try {
+        const success = globalShortcut.register(accelerator, () => {
+          console.log(`Global shortcut triggered: ${action}`);
+          Promise.resolve(this.actions[action]()).catch((error) => {
+            console.error(`Error running shortcut action ${action}:`, error);
+          });
+        });
+        if (success) {
+          this.registered.push(accelerator);
+        } else {
+          // 已被系统或其他程序占用
+          this.failures[action] = 'unavailable';
+        }
+      } catch (error) {
+        console.error(`Invalid shortcut for ${action}: ${accelerator}`, error.message);
+        this.failures[action] = 'invalid';
+      }
+    }
+
+    if (Object.keys(this.failures).length > 0) {
+      console.log('Some global shortcuts could not be registered:', this.failures);
+    }
+    return this.getStatus();
+  }
+
+  // 只注销自己注册的快捷键
+  unregister() {
+    for (const accelerator of this.registered) {
+      globalShortcut.unregister(accelerator);
+    }
+    this.registered = [];
+  }
+
+  // failures 为 { action: 'duplicate' | 'unavailable' | 'invalid' }
+  getStatus() {
+    return { failures: { ...this.failures } };
+  }
+}
+
+export { SHORTCUT_ACTIONS, normalizeAccelerator, findDuplicates };
+export default ShortcutManager;
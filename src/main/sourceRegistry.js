@@ -0,0 +1,297 @@
+import fs from 'fs';
+import crypto from 'crypto';
+
+// 萌哩壁纸 API 的字段映射：壁纸字段 -> 源数据中的字段；hash 为可选的图片校验值
+const MOELY_FIELD_MAPPING = {
+  id: 'id',
+  artist: 'user',
+  source: 'category',
+  imageUrl: 'original',
+  hash: ''
+};
+
+const MOELY_RAW_URL = 'https://raw.githubusercontent.com/moelylink/wallpaper-api/refs/heads/main/wallpaper.json';
+
+// 内置壁纸源，可以禁用但不能删除
+const DEFAULT_SOURCES = [
+  {
+    id: 'moely',
+    name: '萌哩壁纸（代理加速）',
+    type: 'remote',
+    url: `https://gh-proxy.com/${MOELY_RAW_URL}`,
+    fieldMapping: { ...MOELY_FIELD_MAPPING },
+    enabled: true,
+    builtin: true
+  },
+  {
+    id: 'moely-raw',
+    name: '萌哩壁纸（GitHub 直连）',
+    type: 'remote',
+    url: MOELY_RAW_URL,
+    fieldMapping: { ...MOELY_FIELD_MAPPING },
+    enabled: false,
+    builtin: true
+  }
+];
+
+// 按点分隔的路径读取字段，例如 "urls.original"
+const getField = (item, fieldPath) => {
+  if (!fieldPath) return undefined;
+  return fieldPath.split('.').reduce((value, key) => (value == null ? undefined : value[key]), item);
+};
+
+const isHttpUrl = (value) => {
+  try {
+    const { protocol } = new URL(value);
+    return protocol === 'http:' || protocol === 'https:';
+  } catch (error) {
+    return false;
+  }
+};
+
+class SourceRegistry {
+  constructor({ settingsStore, fetchJson, feedCache }) {
+    this.settingsStore = settingsStore;
+    this.fetchJson = fetchJson;
+    this.feedCache = feedCache;
+    this.types = new Map();
+
+    // 远程 JSON（萌哩 API、GitHub 直连、自建镜像）
+    this.registerType('remote', {
+      validate: (source) => {
+        if (!isHttpUrl(source.url)) {
+          throw new Error(`Invalid source URL: ${source.url}`);
+        }
+      },
+      load: async (source, context) => this.loadRemote(source, context)
+    });
+
+    // 本地 JSON 文件
+    this.registerType('file', {
+      validate: (source) => {
+        if (!source.path || !fs.existsSync(source.path)) {
+          throw new Error(`Source file not found: ${source.path}`);
+        }
+      },
+      load: async (source) => JSON.parse(await fs.promises.readFile(source.path, 'utf8'))
+    });
+  }
+
+  // 注册壁纸源类型：validate 校验配置，load(source, context) 返回原始数据列表，
+  // mapsFields 为 false 时 load 直接返回壁纸记录，不做字段映射
+  registerType(type, { validate, load, mapsFields = true }) {
+    this.types.set(type, { validate, load, mapsFields });
+  }
+
+  // 加载远程源：带上 ETag / Last-Modified 做条件请求，失败时使用离线快照
+  async loadRemote(source, context = {}) {
+    const snapshot = this.feedCache ? this.feedCache.get(source.id, source.url) : null;
+    const headers = {};
+    if (snapshot && snapshot.etag) {
+      headers['If-None-Match'] = snapshot.etag;
+    }
+    if (snapshot && snapshot.lastModified) {
+      headers['If-Modified-Since'] = snapshot.lastModified;
+    }
+
+    const response = await this.fetchJson(source.url, headers);
+
+    if (response && response.status === 304 && snapshot) {
+      console.log(`Source ${source.name} not modified, using cached feed`);
+      this.feedCache.touch(source.id, snapshot);
+      return snapshot.data;
+    }
+
+    // 先确认响应是能解析出壁纸的数据再保存，避免代理错误页、认证页等覆盖上次成功的快照
+    if (response && response.data && this.isValidFeed(source, response.data)) {
+      if (this.feedCache) {
+        this.feedCache.save(source.id, {
+          url: source.url,
+          etag: response.headers && response.headers.etag,
+          lastModified: response.headers && response.headers['last-modified'],
+          data: response.data
+        });
+      }
+      return response.data;
+    }
+
+    if (snapshot) {
+      console.log(`Source ${source.name} unreachable or invalid, using offline feed from ${snapshot.checkedAt}`);
+      if (context.markOffline) {
+        context.markOffline(snapshot.checkedAt);
+      }
+      return snapshot.data;
+    }
+
+    return null;
+  }
+
+  // 响应能按字段映射解析出至少一张壁纸时才视为有效的壁纸源数据
+  isValidFeed(source, data) {
+    try {
+      return this.mapItems(source, data).length > 0;
+    } catch (error) {
+      console.error(`Source ${source.name} returned an invalid feed:`, error.message);
+      return false;
+    }
+  }
+
+  getSources() {
+    const sources = this.settingsStore.get('sources');
+    return Array.isArray(sources) && sources.length > 0 ? sources : DEFAULT_SOURCES.map(source => ({ ...source }));
+  }
+
+  saveSources(sources) {
+    this.settingsStore.set({ sources });
+    return sources;
+  }
+
+  // 校验并补全壁纸源配置
+  normalizeSource(source) {
+    if (!source || typeof source !== 'object') {
+      throw new Error('Source config is required');
+    }
+    if (!source.name || typeof source.name !== 'string' || !source.name.trim()) {
+      throw new Error('Source name is required');
+    }
+
+    const type = this.types.get(source.type);
+    if (!type) {
+      throw new Error(`Unknown source type: ${source.type}`);
+    }
+
+    const normalized = {
+      ...source,
+      name: source.name.trim(),
+      fieldMapping: { ...MOELY_FIELD_MAPPING, ...(source.fieldMapping || {}) },
+      enabled: source.enabled !== false,
+      builtin: false
+    };
+    type.validate(normalized);
+    return normalized;
+  }
+
+  addSource(source) {
+    const normalized = this.normalizeSource(source);
+    normalized.id = `custom-${crypto.randomBytes(4).toString('hex')}`;
+    return this.saveSources([...this.getSources(), normalized]);
+  }
+
+  updateSource(id, changes) {
+    const sources = this.getSources();
+    const index = sources.findIndex(source => source.id === id);
+    if (index === -1) {
+      throw new Error(`Source not found: ${id}`);
+    }
+
+    const current = sources[index];
+    let updated;
+    if (current.builtin) {
+      // 内置源只允许切换启用状态
+      updated = { ...current, enabled: changes.enabled !== undefined ? !!changes.enabled : current.enabled };
+    } else {
+      updated = { ...this.normalizeSource({ ...current, ...changes }), id: current.id };
+    }
+
+    sources[index] = updated;
+    return this.saveSources(sources);
+  }
+
+  removeSource(id) {
+    const sources = this.getSources();
+    const source = sources.find(item => item.id === id);
+    if (!source) {
+      throw new Error(`Source not found: ${id}`);
+    }
+    if (source.builtin) {
+      throw new Error('Built-in sources cannot be removed');
+    }
+    return this.saveSources(sources.filter(item => item.id !== id));
+  }
+
+  // 按字段映射把原始数据转换为壁纸记录
+  mapItems(source, data) {
+    const items = source.listPath ? getField(data, source.listPath) : data;
+    if (!Array.isArray(items)) {
+      throw new Error(`Source ${source.name} did not return a list`);
+    }
+
+    const mapping = source.fieldMapping || MOELY_FIELD_MAPPING;
+    return items
+      .map(item => ({
+        id: getField(item, mapping.id),
+        artist: getField(item, mapping.artist),
+        source: getField(item, mapping.source),
+        imageUrl: getField(item, mapping.imageUrl),
+        hash: getField(item, mapping.hash)
+      }))
+      // 只接受 http(s) 图片地址，避免 file: 等其他协议的地址进入下载队列
+      .filter(wp => wp.id !== undefined && wp.id !== null && isHttpUrl(wp.imageUrl));
+  }
+
+  // 加载单个壁纸源，并标记来源。
+  // 自定义源的 ID 加上源 ID 前缀，不同的源都从 1 开始编号时也不会互相冲突；
+  // 内置源保留原始 ID，已有的收藏和历史记录仍然对得上
+  async loadSource(source, context = {}) {
+    const type = this.types.get(source.type);
+    if (!type) {
+      throw new Error(`Unknown source type: ${source.type}`);
+    }
+
+    const data = await type.load(source, context);
+    if (!data) {
+      throw new Error(`No data received from source: ${source.name}`);
+    }
+
+    const wallpapers = type.mapsFields ? this.mapItems(source, data) : data;
+    const scopeIds = type.mapsFields && !source.builtin;
+    return wallpapers.map(wp => ({
+      ...wp,
+      id: scopeIds ? `${source.id}:${wp.id}` : wp.id,
+      origin: source.id,
+      originName: source.name
+    }));
+  }
+
+  // 并行加载所有启用的壁纸源，按源的顺序合并，同一个源内的重复 ID 和不同源之间的重复图片地址只保留第一个
+  // 返回 { wallpapers, offline, offlineSince }，offlineSince 为最早的离线快照时间
+  async fetchAll() {
+    const sources = this.getSources().filter(source => source.enabled);
+    let offlineSince = null;
+    const context = {
+      markOffline: (checkedAt) => {
+        if (!offlineSince || checkedAt < offlineSince) {
+          offlineSince = checkedAt;
+        }
+      }
+    };
+
+    const results = await Promise.all(sources.map(async (source) => {
+      try {
+        return await this.loadSource(source, context);
+      } catch (error) {
+        console.error(`Error loading source ${source.name}:`, error.message);
+        return [];
+      }
+    }));
+
+    const seenIds = new Set();
+    const seenUrls = new Set();
+    const merged = [];
+    for (const wallpaper of results.flat()) {
+      const id = `${wallpaper.origin}:${wallpaper.id}`;
+      if (seenIds.has(id) || seenUrls.has(wallpaper.imageUrl)) {
+        continue;
+      }
+      seenIds.add(id);
+      seenUrls.add(wallpaper.imageUrl);
+      merged.push(wallpaper);
+    }
+
+    console.log(`Loaded ${merged.length} wallpapers from ${sources.length} sources`);
+    return { wallpapers: merged, offline: !!offlineSince, offlineSince };
+  }
+}
+
+export { DEFAULT_SOURCES };
+export default SourceRegistry;
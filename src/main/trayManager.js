@@ -0,0 +1,106 @@
+import { Tray, Menu, nativeImage } from 'electron';
+
+class TrayManager {
+  constructor({ iconPath, actions }) {
+    this.iconPath = iconPath;
+    this.actions = actions;
+    this.tray = null;
+    this.state = {
+      rotationRunning: false,
+      currentWallpaperId: null,
+      canRevert: false,
+      // 已下载并校验、等待安装的新版本
+      updateVersion: null
+    };
+  }
+
+  // 创建托盘图标
+  create() {
+    if (this.tray) {
+      return this.tray;
+    }
+
+    let icon = nativeImage.createFromPath(this.iconPath);
+    if (!icon.isEmpty()) {
+      // 托盘图标需要较小的尺寸，否则在 Windows/Linux 上显示异常
+      icon = icon.resize({ width: 16, height: 16 });
+    }
+
+    this.tray = new Tray(icon);
+    this.tray.setToolTip('萌哩壁纸');
+
+    // 单击托盘图标打开主窗口（macOS 单击会弹出菜单）
+    this.tray.on('click', () => {
+      if (process.platform !== 'darwin') {
+        this.actions.showWindow();
+      }
+    });
+    this.tray.on('double-click', () => {
+      this.actions.showWindow();
+    });
+
+    this.updateMenu();
+    return this.tray;
+  }
+
+  // 根据轮换状态、当前壁纸、历史记录和待安装的更新更新菜单
+  updateMenu(state = {}) {
+    this.state = { ...this.state, ...state };
+    if (!this.tray) {
+      return;
+    }
+
+    const { rotationRunning, currentWallpaperId, canRevert, updateVersion } = this.state;
+
+    const menu = Menu.buildFromTemplate([
+      {
+        label: '下一张壁纸',
+        click: () => this.actions.next()
+      },
+      {
+        label: '上一张壁纸',
+        click: () => this.actions.previous()
+      },
+      {
+        label: '恢复上次的壁纸',
+        enabled: !!canRevert,
+        click: () => this.actions.revert()
+      },
+      {
+        label: '在萌哩打开当前壁纸',
+        enabled: !!currentWallpaperId,
+        click: () => this.actions.openCurrent()
+      },
+      { type: 'separator' },
+      {
+        label: rotationRunning ? '暂停轮换' : '开始轮换',
+        click: () => this.actions.toggleRotation()
+      },
+      { type: 'separator' },
+      ...(updateVersion ? [{
+        label: `安装新版本 ${updateVersion}`,
+        click: () => this.actions.installUpdate()
+      }] : []),
+      {
+        label: '打开窗口',
+        click: () => this.actions.showWindow()
+      },
+      {
+        label: '退出',
+        click: () => this.actions.quit()
+      }
+    ]);
+
+    this.tray.setContextMenu(menu);
+    this.tray.setToolTip(currentWallpaperId ? `萌哩壁纸 - ${currentWallpaperId}` : '萌哩壁纸');
+  }
+
+  destroy() {
+    if (this.tray) {
+      this.tray.destroy();
+      this.tray = null;
+    }
+  }
+}
+
+export default TrayManager;
@@ -0,0 +1,380 @@
+import fs from 'fs';
+import path from 'path';
+import axios from 'axios';
+import DownloadManager from './downloadManager.js';
+import { hashFile } from './imageValidator.js';
+
+// 更新清单地址，格式：
+// {
+//   "version": "1.2.0",                 // 最新版本（semver）
+//   "minimumVersion": "1.0.0",          // 低于这个版本时必须更新，不能跳过
+//   "releaseDate": "2024-01-01",
+//   "notes": "更新说明",
+//   "platforms": {                      // 键为 <platform>-<arch> 或 <platform>
+//     "win32-x64": { "url": "https://…/setup.exe", "sha256": "…", "size": 12345 }
+//   }
+// }
+const UPDATE_MANIFEST_URL = 'https://wallpaper.moely.link/app/update.json';
+const USER_AGENT = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36';
+
+// 启动后延迟一段时间再检查，避免和首次加载壁纸抢网络
+const INITIAL_CHECK_DELAY = 60 * 1000;
+
+const DEFAULT_CONFIG = {
+  autoCheck: true,
+  checkIntervalHours: 24,
+  skippedVersion: ''
+};
+
+// 更新状态：idle 未检查、checking 检查中、up-to-date 已是最新、skipped 新版本已被跳过、
+// available 有新版本、downloading 下载中、downloaded 已下载并校验、error 出错
+const UPDATE_STATES = ['idle', 'checking', 'up-to-date', 'skipped', 'available', 'downloading', 'downloaded', 'error'];
+
+// 下载的安装包校验值与清单不一致时抛出
+class UpdateVerificationError extends Error {
+  constructor(expected, actual) {
+    super(`Update checksum mismatch: expected ${expected}, got ${actual}`);
+    this.name = 'UpdateVerificationError';
+    this.code = 'CHECKSUM_MISMATCH';
+  }
+}
+
+// 解析 semver 版本号（可以带 v 前缀），格式不对时返回 null
+const parseVersion = (version) => {
+  const match = /^v?(\d+)\.(\d+)\.(\d+)(?:-([0-9A-Za-z.-]+))?(?:\+[0-9A-Za-z.-]+)?$/.exec(String(version || '').trim());
+  if (!match) {
+    return null;
+  }
+  return {
+    major: parseInt(match[1], 10),
+    minor: parseInt(match[2], 10),
+    patch: parseInt(match[3], 10),
+    prerelease: match[4] ? match[4].split('.') : []
+  };
+};
+
+// 预发布标识逐段比较：数字按数值比较且低于字母，段数少的版本更低
+const comparePrerelease = (a, b) => {
+  // 没有预发布标识的正式版高于预发布版
+  if (a.length === 0 || b.length === 0) {
+    return Math.sign(b.length - a.length);
+  }
+  for (let i = 0; i < Math.max(a.length, b.length); i++) {
+    if (a[i] === undefined || b[i] === undefined) {
+      return a[i] === undefined ? -1 : 1;
+    }
+    const aNumeric = /^\d+$/.test(a[i]);
+    const bNumeric = /^\d+$/.test(b[i]);
+    if (aNumeric && bNumeric) {
+      const diff = parseInt(a[i], 10) - parseInt(b[i], 10);
+      if (diff !== 0) {
+        return Math.sign(diff);
+      }
+    } else if (aNumeric !== bNumeric) {
+      return aNumeric ? -1 : 1;
+    } else if (a[i] !== b[i]) {
+      return a[i] < b[i] ? -1 : 1;
+    }
+  }
+  return 0;
+};
+
+// 按 semver 规则比较版本：a < b 返回 -1，相等返回 0，a > b 返回 1；格式不对时抛出错误
+const compareVersions = (a, b) => {
+  const left = parseVersion(a);
+  const right = parseVersion(b);
+  if (!left || !right) {
+    throw new Error(`Invalid version: ${left ? b : a}`);
+  }
+  for (const key of ['major', 'minor', 'patch']) {
+    if (left[key] !== right[key]) {
+      return left[key] < right[key] ? -1 : 1;
+    }
+  }
+  return comparePrerelease(left.prerelease, right.prerelease);
+};
+
+const isHttpsUrl = (value) => {
+  try {
+    return new URL(value).protocol === 'https:';
+  } catch (error) {
+    return false;
+  }
+};
+
+// 校验更新清单并取出当前平台的安装包，不合法时抛出错误
+const parseManifest = (data, { platform = process.platform, arch = process.arch } = {}) => {
+  const manifest = typeof data === 'string' ? JSON.parse(data) : data;
+  if (!manifest || typeof manifest !== 'object' || !parseVersion(manifest.version)) {
+    throw new Error('Update manifest has no valid version');
+  }
+  if (manifest.minimumVersion && !parseVersion(manifest.minimumVersion)) {
+    throw new Error(`Update manifest has invalid minimumVersion: ${manifest.minimumVersion}`);
+  }
+
+  const platforms = manifest.platforms || {};
+  const artifact = platforms[`${platform}-${arch}`] || platforms[platform] || null;
+  if (artifact && (!isHttpsUrl(artifact.url) || !/^[0-9a-f]{64}$/i.test(artifact.sha256 || ''))) {
+    throw new Error(`Update manifest has invalid artifact for ${platform}-${arch}`);
+  }
+
+  return {
+    version: manifest.version.replace(/^v/, ''),
+    minimumVersion: manifest.minimumVersion ? manifest.minimumVersion.replace(/^v/, '') : null,
+    releaseDate: manifest.releaseDate || null,
+    notes: typeof manifest.notes === 'string' ? manifest.notes : '',
+    artifact: artifact && {
+      url: artifact.url,
+      sha256: artifact.sha256.toLowerCase(),
+      size: Number.isFinite(artifact.size) ? artifact.size : null
+    }
+  };
+};
+
+// 应用更新：定时检查更新清单，下载当前平台的安装包并校验 sha256，通过后才提示安装。
+// 用户跳过的版本在后台检查时不再提示（低于 minimumVersion 时除外）
+class UpdateManager {
+  // getConfig() 返回 settings.update，setConfig(changes) 保存修改；
+  // installUpdate(filePath, { sha256 }) 启动安装包并退出应用，manualInstall 为 true 时只打开安装包，由用户手动安装
+  constructor({ currentVersion, downloadDir, getConfig, setConfig, installUpdate, onStatusChange, manualInstall = false, manifestUrl = UPDATE_MANIFEST_URL }) {
+    this.currentVersion = currentVersion;
+    this.downloadDir = downloadDir;
+    this.getConfig = getConfig;
+    this.setConfig = setConfig;
+    this.installUpdate = installUpdate;
+    this.manualInstall = manualInstall;
+    this.onStatusChange = onStatusChange;
+    this.manifestUrl = manifestUrl;
+    this.downloads = new DownloadManager({ concurrency: 1, timeout: 60000 });
+    this.timer = null;
+    this.state = 'idle';
+    this.release = null;
+    this.downloadedPath = null;
+    this.lastCheckTime = null;
+    // 最近一次尝试检查的时间（失败也算），定时检查按它计算间隔
+    this.lastAttemptTime = null;
+    this.lastError = null;
+  }
+
+  getStatus() {
+    const config = { ...DEFAULT_CONFIG, ...this.getConfig() };
+    return {
+      state: this.state,
+      currentVersion: this.currentVersion,
+      latestVersion: this.release ? this.release.version : null,
+      releaseDate: this.release ? this.release.releaseDate : null,
+      notes: this.release ? this.release.notes : '',
+      required: this.isRequired(),
+      // 有新版本但没有当前平台的安装包，只能到网站手动下载
+      hasArtifact: !!(this.release && this.release.artifact),
+      manualInstall: this.manualInstall,
+      skippedVersion: config.skippedVersion || null,
+      lastCheckTime: this.lastCheckTime,
+      error: this.lastError
+    };
+  }
+
+  emitStatus() {
+    if (this.onStatusChange) {
+      this.onStatusChange(this.getStatus());
+    }
+  }
+
+  setState(state, error = null) {
+    this.state = UPDATE_STATES.includes(state) ? state : 'error';
+    this.lastError = error;
+    this.emitStatus();
+  }
+
+  // 当前版本低于清单的 minimumVersion 时必须更新
+  isRequired() {
+    return !!(this.release && this.release.minimumVersion
+      && compareVersions(this.currentVersion, this.release.minimumVersion) < 0);
+  }
+
+  // 按设置启动或停止定时检查，设置修改后重新调用
+  schedule() {
+    this.stop();
+    const config = { ...DEFAULT_CONFIG, ...this.getConfig() };
+    if (!config.autoCheck) {
+      return;
+    }
+
+    const hours = Number(config.checkIntervalHours);
+    const interval = (Number.isFinite(hours) && hours >= 1 ? hours : DEFAULT_CONFIG.checkIntervalHours) * 60 * 60 * 1000;
+    const sinceLastCheck = this.lastAttemptTime ? Date.now() - this.lastAttemptTime : Infinity;
+    const delay = Math.max(INITIAL_CHECK_DELAY, interval - sinceLastCheck);
+    this.timer = setTimeout(async () => {
+      this.timer = null;
+      await this.check({ background: true });
+      if (!this.timer) {
+        this.schedule();
+      }
+    }, delay);
+  }
+
+  stop() {
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+  }
+
+  // 检查更新；后台检查发现未跳过的新版本时直接下载，校验通过后再提示安装
+  async check({ background = false } = {}) {
+    if (this.state === 'checking' || this.state === 'downloading') {
+      return this.getStatus();
+    }
+    this.setState('checking');
+    this.lastAttemptTime = Date.now();
+
+    try {
+      const response = await axios.get(this.manifestUrl, {
+        timeout: 10000,
+        headers: { 'User-Agent': USER_AGENT },
+        // 自己解析，格式不对时给出明确的错误
+        responseType: 'text'
+      });
+      this.release = parseManifest(response.data);
+      this.lastCheckTime = new Date().toISOString();
+    } catch (error) {
+      console.error('Error checking for updates:', error.message);
+      this.setState('error', error.message);
+      return this.getStatus();
+    }
+
+    const { version } = this.release;
+    console.log(`Current version: ${this.currentVersion}, Latest version: ${version}`);
+    if (compareVersions(version, this.currentVersion) <= 0) {
+      this.cleanupDownloads();
+      this.setState('up-to-date');
+      return this.getStatus();
+    }
+
+    const { skippedVersion } = { ...DEFAULT_CONFIG, ...this.getConfig() };
+    if (background && skippedVersion === version && !this.isRequired()) {
+      console.log(`Skipping update ${version} as requested`);
+      this.setState('skipped');
+      return this.getStatus();
+    }
+
+    this.setState('available');
+    // 之前下载过的安装包重新校验后直接使用
+    if (this.release.artifact && (background || fs.existsSync(this.getDownloadPath()))) {
+      await this.download();
+    }
+    return this.getStatus();
+  }
+
+  // 安装包保存路径：版本号加原文件名，不同版本互不覆盖
+  getDownloadPath() {
+    const fileName = path.basename(new URL(this.release.artifact.url).pathname) || 'update';
+    return path.join(this.downloadDir, `${this.release.version}-${fileName.replace(/[^\w.-]/g, '_')}`);
+  }
+
+  // 下载当前平台的安装包并校验 sha256，已下载且校验通过的直接使用
+  async download() {
+    if (!this.release || !this.release.artifact) {
+      return { success: false, error: 'No update available for this platform' };
+    }
+    if (this.state === 'downloading') {
+      return { success: false, error: 'Update download already in progress' };
+    }
+
+    const { sha256, size } = this.release.artifact;
+    const destPath = this.getDownloadPath();
+    this.setState('downloading');
+
+    try {
+      fs.mkdirSync(this.downloadDir, { recursive: true });
+      this.cleanupDownloads(destPath);
+
+      if (!fs.existsSync(destPath) || (await hashFile(destPath, 'sha256')) !== sha256) {
+        if (fs.existsSync(destPath)) {
+          fs.unlinkSync(destPath);
+        }
+        await this.downloads.download(this.release.artifact.url, destPath, {
+          verify: async (partPath) => {
+            if (size !== null && fs.statSync(partPath).size !== size) {
+              throw new Error(`Update size mismatch: expected ${size} bytes`);
+            }
+            const actual = await hashFile(partPath, 'sha256');
+            if (actual !== sha256) {
+              throw new UpdateVerificationError(sha256, actual);
+            }
+          }
+        });
+      }
+
+      this.downloadedPath = destPath;
+      console.log(`Update ${this.release.version} downloaded and verified: ${destPath}`);
+      this.setState('downloaded');
+      return { success: true, ...this.getStatus() };
+    } catch (error) {
+      // 跳过版本时取消的下载，状态已由 skipVersion 更新
+      if (error.code !== 'CANCELLED') {
+        console.error('Error downloading update:', error.message);
+        this.setState('error', error.message);
+      }
+      return { success: false, error: error.message };
+    }
+  }
+
+  // 删除其他版本留下的安装包和未完成的下载，keepPath 及其 .part 和 .part.meta 文件保留
+  cleanupDownloads(keepPath = null) {
+    if (!fs.existsSync(this.downloadDir)) {
+      return;
+    }
+    for (const file of fs.readdirSync(this.downloadDir)) {
+      const filePath = path.join(this.downloadDir, file);
+      if (keepPath && [keepPath, `${keepPath}.part`, `${keepPath}.part.meta`].includes(filePath)) {
+        continue;
+      }
+      try {
+        fs.unlinkSync(filePath);
+      } catch (error) {
+        console.log(`Failed to remove old update file ${file}:`, error.message);
+      }
+    }
+  }
+
+  // 安装已下载的更新：安装前再校验一次，防止文件在下载后被替换
+  async install() {
+    if (this.state !== 'downloaded' || !this.downloadedPath || !fs.existsSync(this.downloadedPath)) {
+      return { success: false, error: 'No verified update to install' };
+    }
+    const actual = await hashFile(this.downloadedPath, 'sha256');
+    if (actual !== this.release.artifact.sha256) {
+      fs.unlinkSync(this.downloadedPath);
+      this.downloadedPath = null;
+      this.setState('error', new UpdateVerificationError(this.release.artifact.sha256, actual).message);
+      return { success: false, error: this.lastError };
+    }
+    return this.installUpdate(this.downloadedPath, { sha256: this.release.artifact.sha256 });
+  }
+
+  // 跳过某个版本，之后的后台检查不再提示；必须更新的版本不能跳过
+  skipVersion(version) {
+    if (!parseVersion(version)) {
+      return { success: false, error: `Invalid version: ${version}` };
+    }
+    if (this.release && this.release.version === version && this.isRequired()) {
+      return { success: false, error: 'This update is required and cannot be skipped' };
+    }
+    this.setConfig({ skippedVersion: version });
+    if (this.release && this.release.version === version) {
+      if (this.release.artifact) {
+        this.downloads.cancel(this.getDownloadPath());
+      }
+      this.downloadedPath = null;
+      this.cleanupDownloads();
+      this.setState('skipped');
+    } else {
+      this.emitStatus();
+    }
+    return { success: true, ...this.getStatus() };
+  }
+}
+
+export { UPDATE_MANIFEST_URL, UpdateVerificationError, parseVersion, compareVersions, parseManifest };
+export default UpdateManager;
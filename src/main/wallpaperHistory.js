@@ -0,0 +1,113 @@
+import fs from 'fs';
+import path from 'path';
+import { app } from 'electron';
+import { toLocalImageUrl } from './cacheProtocol.js';
+
+// 最多保留的历史记录条数
+const MAX_ENTRIES = 50;
+
+// 记录每次成功设置的壁纸，最新的在最前面
+class WallpaperHistory {
+  constructor() {
+    this.historyFile = path.join(app.getPath('userData'), 'wallpaper-history.json');
+    this.entries = this.readHistory();
+  }
+
+  readHistory() {
+    try {
+      if (fs.existsSync(this.historyFile)) {
+        const entries = JSON.parse(fs.readFileSync(this.historyFile, 'utf8'));
+        return Array.isArray(entries) ? entries : [];
+      }
+    } catch (error) {
+      console.error('Error reading wallpaper history:', error);
+    }
+    return [];
+  }
+
+  writeHistory() {
+    try {
+      fs.writeFileSync(this.historyFile, JSON.stringify(this.entries, null, 2));
+    } catch (error) {
+      console.error('Error writing wallpaper history:', error);
+    }
+  }
+
+  // 记录一次设置壁纸：imagePath 为原图，processedPath 为处理后实际设置的图片
+  record(wallpaper, { imagePath, processedPath, method }) {
+    const entry = {
+      id: wallpaper.id,
+      artist: wallpaper.artist,
+      source: wallpaper.source,
+      origin: wallpaper.origin,
+      originalUrl: wallpaper.originalUrl,
+      imageUrl: wallpaper.imageUrl,
+      localPath: wallpaper.localPath,
+      focusPoint: wallpaper.focusPoint,
+      imagePath,
+      processedPath,
+      method,
+      appliedAt: new Date().toISOString()
+    };
+
+    this.entries = [entry, ...this.entries].slice(0, MAX_ENTRIES);
+    this.writeHistory();
+    return entry;
+  }
+
+  // 返回给渲染进程的列表，附带可直接显示的预览地址
+  list() {
+    return this.entries.map(entry => ({
+      ...entry,
+      previewUrl: entry.imagePath && fs.existsSync(entry.imagePath)
+        ? toLocalImageUrl(entry.imagePath)
+        : entry.imageUrl
+    }));
+  }
+
+  // 当前壁纸（最近一次设置的记录）
+  getLatest() {
+    return this.entries.length > 0 ? this.entries[0] : null;
+  }
+
+  // 当前壁纸之前的那一条记录
+  getPrevious() {
+    return this.entries.length > 1 ? this.entries[1] : null;
+  }
+
+  // 恢复上一张壁纸后丢弃最新的记录
+  dropLatest() {
+    this.entries = this.entries.slice(1);
+    this.writeHistory();
+  }
+
+  // 转换为 set-wallpaper 使用的壁纸数据，优先使用已缓存的图片
+  toImageData(entry) {
+    return {
+      id: entry.id,
+      artist: entry.artist,
+      source: entry.source,
+      origin: entry.origin,
+      originalUrl: entry.originalUrl || entry.imageUrl,
+      imageUrl: entry.imageUrl,
+      localPath: entry.localPath,
+      focusPoint: entry.focusPoint,
+      isLocal: true
+    };
+  }
+
+  // 历史记录引用的图片不能被缓存清理删除
+  isProtected(filePath) {
+    const resolved = path.resolve(filePath);
+    return this.entries.some(entry => [entry.imagePath, entry.processedPath]
+      .some(entryPath => entryPath && path.resolve(entryPath) === resolved));
+  }
+
+  clear() {
+    // 保留当前壁纸，清除更早的记录
+    this.entries = this.entries.slice(0, 1);
+    this.writeHistory();
+  }
+}
+
+export default WallpaperHistory;
@@ -0,0 +1,54 @@
+// 窗口安全限制：应用页面不能跳转到其他地址、不能打开新窗口，
+// 外部链接只允许用系统浏览器打开白名单中的网站
+
+// 允许在浏览器中打开的网站（包括子域名）
+const EXTERNAL_HOSTS = ['moely.link'];
+
+// 只允许 https 链接，且域名在白名单中
+const isAllowedExternalUrl = (url) => {
+  try {
+    const { protocol, hostname } = new URL(url);
+    return protocol === 'https:'
+      && EXTERNAL_HOSTS.some(host => hostname === host || hostname.endsWith(`.${host}`));
+  } catch (error) {
+    return false;
+  }
+};
+
+// 限制 webContents 的导航：isAppUrl(url) 为 true 的地址是应用自己的页面，
+// 其他地址的跳转和新窗口都被拦截，白名单中的链接交给 openExternal 在浏览器中打开
+const guardWebContents = (contents, { isAppUrl, openExternal }) => {
+  const openIfAllowed = (url) => {
+    if (isAllowedExternalUrl(url)) {
+      openExternal(url);
+    } else {
+      console.warn(`Blocked navigation to ${url}`);
+    }
+  };
+
+  contents.on('will-navigate', (event, url) => {
+    if (!isAppUrl(url)) {
+      event.preventDefault();
+      openIfAllowed(url);
+    }
+  });
+
+  contents.on('will-redirect', (event, url) => {
+    if (!isAppUrl(url)) {
+      event.preventDefault();
+      console.warn(`Blocked redirect to ${url}`);
+    }
+  });
+
+  contents.setWindowOpenHandler(({ url }) => {
+    openIfAllowed(url);
+    return { action: 'deny' };
+  });
+
+  // 不允许页面嵌入 <webview>
+  contents.on('will-attach-webview', (event) => {
+    event.preventDefault();
+  });
+};
+
+export { EXTERNAL_HOSTS, isAllowedExternalUrl, guardWebContents };
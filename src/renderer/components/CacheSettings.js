@@ -0,0 +1,248 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import './CacheSettings.css';
+
+const { moely } = window;
+
+// 同时下载数量上限，与主进程设置校验一致
+const MAX_CONCURRENCY = 16;
+
+// 字节数转换为便于阅读的大小
+const formatSize = (bytes) => {
+  if (bytes >= 1024 * 1024 * 1024) {
+    return `${(bytes / 1024 / 1024 / 1024).toFixed(2)} GB`;
+  }
+  if (bytes >= 1024 * 1024) {
+    return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+  }
+  return `${Math.round(bytes / 1024)} KB`;
+};
+
+const formatTime = (isoString) => (isoString ? new Date(isoString).toLocaleString('zh-CN') : '—');
+
+const CacheSettings = () => {
+  const [stats, setStats] = useState(null);
+  const [limits, setLimits] = useState({ maxSizeMB: 1024, maxAgeDays: 7 });
+  const [downloads, setDownloads] = useState({ concurrency: 3, maxKBps: 0 });
+  const [savedDownloads, setSavedDownloads] = useState(downloads);
+  const [showEntries, setShowEntries] = useState(false);
+  const [cacheEntryStatus, setCacheEntryStatus] = useState('');
+
+  const loadStats = useCallback(() => {
+    moely.cache.getStats().then((result) => {
+      setStats(result);
+      setLimits(result.limits);
+    }).catch((error) => {
+      console.error('Failed to load cache stats:', error);
+    });
+  }, []);
+
+  useEffect(() => {
+    moely.settings.get().then((settings) => {
+      if (settings.downloads) {
+        setDownloads(settings.downloads);
+        setSavedDownloads(settings.downloads);
+      }
+    }).catch((error) => {
+      console.error('Failed to load download settings:', error);
+    });
+  }, []);
+
+  useEffect(() => {
+    loadStats();
+    return moely.cache.onChanged(loadStats);
+  }, [loadStats]);
+
+  // 处理主进程返回的结果
+  const handleResult = (result) => {
+    if (result.success) {
+      setStats(result.stats);
+      setCacheEntryStatus('');
+    } else {
+      setCacheEntryStatus(`操作失败：${result.error}`);
+    }
+  };
+
+  // 输入完成后再保存，避免输入过程中的中间值触发清理
+  const handleLimitSave = async (key) => {
+    const number = Math.max(0, parseInt(limits[key], 10) || 0);
+    setLimits(prev => ({ ...prev, [key]: number }));
+    if (stats && stats.limits[key] === number) {
+      return;
+    }
+    try {
+      await moely.settings.set({ cache: { [key]: number } });
+    } catch (error) {
+      console.error('Failed to save cache limits:', error);
+    }
+  };
+
+  const handleDownloadsSave = async (key) => {
+    const minimum = key === 'concurrency' ? 1 : 0;
+    const maximum = key === 'concurrency' ? MAX_CONCURRENCY : Infinity;
+    const number = Math.min(maximum, Math.max(minimum, parseInt(downloads[key], 10) || minimum));
+    setDownloads(prev => ({ ...prev, [key]: number }));
+    if (savedDownloads[key] === number) {
+      return;
+    }
+    try {
+      const result = await moely.settings.set({ downloads: { [key]: number } });
+      if (result.success) {
+        setSavedDownloads(result.settings.downloads);
+      }
+    } catch (error) {
+      console.error('Failed to save download settings:', error);
+    }
+  };
+
+  const handlePin = async (entry) => {
+    try {
+      handleResult(await moely.cache.pinEntry(entry.key, !entry.pinned));
+    } catch (error) {
+      console.error('Error pinning cache entry:', error);
+    }
+  };
+
+  const handleDelete = async (entry) => {
+    try {
+      handleResult(await moely.cache.deleteEntry(entry.key));
+    } catch (error) {
+      console.error('Error deleting cache entry:', error);
+    }
+  };
+
+  if (!stats) {
+    return null;
+  }
+
+  return (
+    <div className="cache-settings">
+      <div className="cache-settings-header">
+        <div className="setting-label">
+          <span className="setting-title">缓存管理</span>
+          <span className="setting-description">
+            已缓存 {stats.totalImages} 张，共 {formatSize(stats.cacheSize)}
+            {stats.pinnedCount > 0 && `，固定 ${stats.pinnedCount} 张`}
+            {stats.quarantine.length > 0 && `，隔离 ${stats.quarantine.length} 个无效文件`}
+          </span>
+        </div>
+        <button className="cache-entries-toggle" onClick={() => setShowEntries(!showEntries)}>
+          {showEntries ? '收起' : '查看'}
+        </button>
+      </div>
+
+      <div className="cache-limits">
+        <label className="cache-limit">
+          <span>大小上限</span>
+          <input
+            type="number"
+            min="0"
+            className="rotation-input"
+            value={limits.maxSizeMB}
+            onChange={(e) => setLimits(prev => ({ ...prev, maxSizeMB: e.target.value }))}
+            onBlur={() => handleLimitSave('maxSizeMB')}
+          />
+          <span className="rotation-unit">MB</span>
+        </label>
+        <label className="cache-limit">
+          <span>未使用超过</span>
+          <input
+            type="number"
+            min="0"
+            className="rotation-input"
+            value={limits.maxAgeDays}
+            onChange={(e) => setLimits(prev => ({ ...prev, maxAgeDays: e.target.value }))}
+            onBlur={() => handleLimitSave('maxAgeDays')}
+          />
+          <span className="rotation-unit">天后清理</span>
+        </label>
+        <label className="cache-limit">
+          <span>同时下载</span>
+          <input
+            type="number"
+            min="1"
+            max={MAX_CONCURRENCY}
+            className="rotation-input"
+            value={downloads.concurrency}
+            onChange={(e) => setDownloads(prev => ({ ...prev, concurrency: e.target.value }))}
+            onBlur={() => handleDownloadsSave('concurrency')}
+          />
+          <span className="rotation-unit">张</span>
+        </label>
+        <label className="cache-limit">
+          <span>下载限速</span>
+          <input
+            type="number"
+            min="0"
+            className="rotation-input"
+            value={downloads.maxKBps}
+            onChange={(e) => setDownloads(prev => ({ ...prev, maxKBps: e.target.value }))}
+            onBlur={() => handleDownloadsSave('maxKBps')}
+          />
+          <span className="rotation-unit">KB/s</span>
+        </label>
+      </div>
+      <span className="setting-description">大小、天数和限速设为 0 表示不限制；超出大小上限时先删除最久未查看或设置的图片，固定的图片不会被清理</span>
+
+      {showEntries && (
+        <ul className="cache-entry-list">
+          {stats.entries.length === 0 && <li className="cache-entry-empty">暂无缓存图片</li>}
+          {stats.entries.map(entry => (
+            <li key={entry.key} className="cache-entry">
+              <img
+                className="cache-entry-preview"
+                src={entry.previewUrl}
+                alt={entry.id}
+                loading="lazy"
+                style={entry.palette ? { backgroundColor: entry.palette.dominant } : undefined}
+              />
+              <div className="cache-entry-info">
+                <span className="cache-entry-id">{entry.id}</span>
+                <span className="cache-entry-meta">
+                  {formatSize(entry.fileSize)} · 最近使用 {formatTime(entry.lastUsed)}
+                </span>
+              </div>
+              <div className="cache-entry-actions">
+                <button
+                  className={`cache-entry-button ${entry.pinned ? 'active' : ''}`}
+                  onClick={() => handlePin(entry)}
+                >
+                  {entry.pinned ? '已固定' : '固定'}
+                </button>
+                <button
+                  className="cache-entry-button"
+                  onClick={() => handleDelete(entry)}
+                  disabled={entry.protected}
+                  title={entry.protected ? '壁纸历史中的图片不能删除' : '删除'}
+                >
+                  ×
+                </button>
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {showEntries && stats.quarantine.length > 0 && (
+        <>
+          <span className="setting-title cache-quarantine-title">已隔离的无效下载</span>
+          <ul className="cache-entry-list">
+            {stats.quarantine.map(record => (
+              <li key={record.key} className="cache-entry" title={record.originalUrl}>
+                <div className="cache-entry-info">
+                  <span className="cache-entry-id">{record.id || record.key}</span>
+                  <span className="cache-entry-meta">
+                    {record.reason} · {formatTime(record.quarantinedAt)}
+                  </span>
+                </div>
+              </li>
+            ))}
+          </ul>
+        </>
+      )}
+
+      {cacheEntryStatus && <div className="cache-status">{cacheEntryStatus}</div>}
+    </div>
+  );
+};
+
+export default CacheSettings;
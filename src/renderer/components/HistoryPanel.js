@@ -0,0 +1,139 @@
+import React, { useState, useEffect } from 'react';
+import './HistoryPanel.css';
+
+const { moely } = window;
+
+// 设置壁纸使用的方式
+const METHOD_LABELS = {
+  'wallpaper-package': '系统接口',
+  'custom-executable': '内置程序'
+};
+
+const formatTime = (isoString) => {
+  const date = new Date(isoString);
+  return date.toLocaleString([], { month: '2-digit', day: '2-digit', hour: '2-digit', minute: '2-digit' });
+};
+
+const HistoryPanel = ({ onClose }) => {
+  const [history, setHistory] = useState([]);
+  const [historyStatus, setHistoryStatus] = useState('');
+  const [isApplying, setIsApplying] = useState(false);
+
+  useEffect(() => {
+    const handleHistoryChanged = (list) => {
+      setHistory(list);
+    };
+
+    moely.history.list().then(setHistory).catch((error) => {
+      console.error('Failed to load wallpaper history:', error);
+    });
+
+    return moely.history.onChanged(handleHistoryChanged);
+  }, []);
+
+  // 执行设置壁纸的操作并显示结果
+  const runAction = async (action) => {
+    if (isApplying) return;
+    setIsApplying(true);
+    setHistoryStatus('正在设置壁纸...');
+
+    try {
+      const result = await action();
+      setHistoryStatus(result.success ? '壁纸设置成功！' : `设置失败: ${result.error}`);
+    } catch (error) {
+      console.error('Error applying wallpaper from history:', error);
+      setHistoryStatus(`错误: ${error.message}`);
+    } finally {
+      setIsApplying(false);
+      setTimeout(() => {
+        setHistoryStatus('');
+      }, 3000);
+    }
+  };
+
+  const handleRevert = () => runAction(() => moely.history.revert());
+
+  // 重新设置历史中的某张壁纸，优先使用已缓存的图片
+  const handleApply = (entry) => runAction(() => moely.setWallpaper({
+    id: entry.id,
+    imageUrl: entry.imageUrl,
+    originalUrl: entry.originalUrl || entry.imageUrl,
+    localPath: entry.localPath,
+    artist: entry.artist,
+    source: entry.source,
+    origin: entry.origin,
+    isLocal: true
+  }));
+
+  const handleClear = async () => {
+    try {
+      await moely.history.clear();
+    } catch (error) {
+      console.error('Error clearing wallpaper history:', error);
+    }
+  };
+
+  return (
+    <div className="settings-panel-overlay" onClick={onClose}>
+      <div className="settings-panel history-panel" onClick={(e) => e.stopPropagation()}>
+        <div className="settings-panel-header">
+          <h3>壁纸历史</h3>
+          <button className="close-button" onClick={onClose}>
+            ×
+          </button>
+        </div>
+
+        <div className="settings-panel-content">
+          <div className="history-actions">
+            <button
+              className="history-button"
+              onClick={handleRevert}
+              disabled={isApplying || history.length < 2}
+            >
+              恢复上一张
+            </button>
+            <button
+              className="history-button"
+              onClick={handleClear}
+              disabled={isApplying || history.length < 2}
+            >
+              清空历史
+            </button>
+            {historyStatus && <span className="history-status">{historyStatus}</span>}
+          </div>
+
+          {history.length === 0 ? (
+            <div className="history-empty">还没有设置过壁纸</div>
+          ) : (
+            <ul className="history-list">
+              {history.map((entry, index) => (
+                <li key={`${entry.id}-${entry.appliedAt}`} className={`history-item ${index === 0 ? 'current' : ''}`}>
+                  <img className="history-thumb" src={entry.previewUrl} alt={`壁纸 by ${entry.artist}`} loading="lazy" />
+                  <div className="history-info">
+                    <span className="history-title">#{entry.id} {entry.artist}</span>
+                    <span className="history-meta">
+                      {formatTime(entry.appliedAt)} · {entry.source || '未知来源'} · {METHOD_LABELS[entry.method] || entry.method}
+                    </span>
+                  </div>
+                  {index === 0 ? (
+                    <span className="history-current">当前</span>
+                  ) : (
+                    <button
+                      className="history-button"
+                      onClick={() => handleApply(entry)}
+                      disabled={isApplying}
+                    >
+                      设为壁纸
+                    </button>
+                  )}
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default HistoryPanel;
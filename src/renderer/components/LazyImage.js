@@ -9,7 +9,9 @@ const LazyImage = ({
   onLoad,
   onError,
   priority = 'low',
-  placeholderColor = '#1a1a1a',
+  // 壁纸配色（见 theme.js），有配色时占位背景使用图片的主色
+  palette,
+  placeholderColor = (palette && palette.dominant) || '#1a1a1a',
   ...props 
 }) => {
   const [loadingState, setLoadingState] = useState('placeholder'); // placeholder, loading, loaded, error
@@ -1,6 +1,8 @@
 import React, { useState, useEffect } from 'react';
 import './OnboardingTour.css';
 
+const { moely } = window;
+
 const OnboardingTour = ({ onComplete }) => {
   const [currentStep, setCurrentStep] = useState(0);
   const [isVisible, setIsVisible] = useState(true);
@@ -94,7 +96,9 @@ const OnboardingTour = ({ onComplete }) => {
   const completeTour = () => {
     setIsVisible(false);
     setTimeout(() => {
-      localStorage.setItem('moely-wallpaper-tour-completed', 'true');
+      moely.settings.set({ onboardingCompleted: true }).catch((error) => {
+        console.error('Failed to save onboarding state:', error);
+      });
       onComplete();
     }, 300);
   };
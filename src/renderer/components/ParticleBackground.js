@@ -1,6 +1,10 @@
 import React, { useEffect, useRef } from 'react';
+import { getTheme, onThemeChange } from '../theme.js';
 import './ParticleBackground.css';
 
+// 每帧向新强调色靠近的比例，切换壁纸时粒子颜色逐渐过渡
+const COLOR_EASING = 0.05;
+
 const ParticleBackground = () => {
   const canvasRef = useRef(null);
 
@@ -16,6 +20,14 @@ const ParticleBackground = () => {
     resizeCanvas();
     window.addEventListener('resize', resizeCanvas);
 
+    // 粒子颜色跟随当前壁纸的强调色
+    let color = { ...getTheme().accent };
+    let targetColor = color;
+    let rgb = '';
+    const unsubscribeTheme = onThemeChange((theme) => {
+      targetColor = theme.accent;
+    });
+
     // Particle class
     class Particle {
       constructor() {
@@ -50,12 +62,12 @@ const ParticleBackground = () => {
       draw() {
         ctx.beginPath();
         ctx.arc(this.x, this.y, this.size, 0, Math.PI * 2);
-        ctx.fillStyle = `rgba(255, 0, 180, ${this.opacity})`;
+        ctx.fillStyle = `rgba(${rgb}, ${this.opacity})`;
         ctx.fill();
         
         // Add glow effect
         ctx.shadowBlur = 10;
-        ctx.shadowColor = 'rgba(255, 0, 180, 0.5)';
+        ctx.shadowColor = `rgba(${rgb}, 0.5)`;
         ctx.fill();
         ctx.shadowBlur = 0;
       }
@@ -72,6 +84,13 @@ const ParticleBackground = () => {
     let animationId;
     const animate = () => {
       ctx.clearRect(0, 0, canvas.width, canvas.height);
+
+      color = {
+        r: color.r + (targetColor.r - color.r) * COLOR_EASING,
+        g: color.g + (targetColor.g - color.g) * COLOR_EASING,
+        b: color.b + (targetColor.b - color.b) * COLOR_EASING
+      };
+      rgb = [color.r, color.g, color.b].map(Math.round).join(', ');
       
       particles.forEach(particle => {
         particle.update();
@@ -90,7 +109,7 @@ const ParticleBackground = () => {
             ctx.beginPath();
             ctx.moveTo(p1.x, p1.y);
             ctx.lineTo(p2.x, p2.y);
-            ctx.strokeStyle = `rgba(255, 0, 180, ${opacity})`;
+            ctx.strokeStyle = `rgba(${rgb}, ${opacity})`;
             ctx.lineWidth = 1;
             ctx.stroke();
           }
@@ -105,6 +124,7 @@ const ParticleBackground = () => {
     // Cleanup
     return () => {
       window.removeEventListener('resize', resizeCanvas);
+      unsubscribeTheme();
       cancelAnimationFrame(animationId);
     };
   }, []);
@@ -0,0 +1,199 @@
+import React, { useState, useEffect } from 'react';
+import './ShortcutSettings.css';
+
+const { moely } = window;
+
+const ACTION_LABELS = {
+  next: '下一张',
+  previous: '上一张',
+  favorite: '收藏当前壁纸',
+  skip: '跳过（重新计时）',
+  toggleRotation: '暂停 / 继续轮换'
+};
+
+const FAILURE_LABELS = {
+  duplicate: '与其他操作重复',
+  unavailable: '已被系统或其他程序占用',
+  invalid: '快捷键无效'
+};
+
+const IS_MAC = navigator.platform.toUpperCase().includes('MAC');
+
+// 特殊按键与 Electron 快捷键写法的对应关系
+const KEY_NAMES = {
+  ArrowUp: 'Up',
+  ArrowDown: 'Down',
+  ArrowLeft: 'Left',
+  ArrowRight: 'Right',
+  ' ': 'Space',
+  Enter: 'Enter',
+  Tab: 'Tab',
+  Backspace: 'Backspace',
+  Delete: 'Delete',
+  Insert: 'Insert',
+  Home: 'Home',
+  End: 'End',
+  PageUp: 'PageUp',
+  PageDown: 'PageDown'
+};
+
+// 把按键事件转换为 Electron 快捷键，只按下修饰键时返回 null
+const toAccelerator = (e) => {
+  let key = KEY_NAMES[e.key];
+  if (!key && /^F([1-9]|1[0-9]|2[0-4])$/.test(e.key)) {
+    key = e.key;
+  }
+  if (!key && /^Key[A-Z]$/.test(e.code)) {
+    key = e.code.slice(3);
+  }
+  if (!key && /^Digit[0-9]$/.test(e.code)) {
+    key = e.code.slice(5);
+  }
+  if (!key) {
+    return null;
+  }
+
+  // 顺序与主进程比较冲突时的写法一致
+  const modifiers = [];
+  if (IS_MAC ? e.metaKey : e.ctrlKey) {
+    modifiers.push('CommandOrControl');
+  } else if (e.ctrlKey) {
+    modifiers.push('Control');
+  }
+  if (e.altKey) {
+    modifiers.push('Alt');
+  }
+  if (e.shiftKey) {
+    modifiers.push('Shift');
+  }
+  if (!IS_MAC && e.metaKey) {
+    modifiers.push('Super');
+  }
+
+  // 全局快捷键至少需要一个修饰键，功能键除外
+  if (modifiers.length === 0 && !/^F\d+$/.test(key)) {
+    return null;
+  }
+  return [...modifiers, key].join('+');
+};
+
+// 显示用的快捷键文字
+const formatAccelerator = (accelerator) => {
+  if (!accelerator) {
+    return '未设置';
+  }
+  return accelerator.replace('CommandOrControl', IS_MAC ? 'Cmd' : 'Ctrl');
+};
+
+const ShortcutSettings = () => {
+  const [shortcuts, setShortcuts] = useState({});
+  const [failures, setFailures] = useState({});
+  const [recordingAction, setRecordingAction] = useState(null);
+  const [shortcutStatus, setShortcutStatus] = useState('');
+
+  useEffect(() => {
+    moely.shortcuts.get().then((result) => {
+      setShortcuts(result.shortcuts);
+      setFailures(result.failures);
+    }).catch((error) => {
+      console.error('Failed to load shortcuts:', error);
+    });
+
+    return moely.shortcuts.onStatus(status => setFailures(status.failures));
+  }, []);
+
+  const saveShortcut = async (action, accelerator) => {
+    try {
+      const result = await moely.shortcuts.set({ [action]: accelerator });
+      if (result.success) {
+        setShortcuts(result.shortcuts);
+        setFailures(result.failures);
+        setShortcutStatus('');
+      } else {
+        setShortcutStatus(`保存失败：${result.error}`);
+      }
+    } catch (error) {
+      console.error('Error saving shortcut:', error);
+    }
+  };
+
+  const startRecording = async (action) => {
+    setShortcutStatus('请按下新的快捷键，Esc 取消');
+    setRecordingAction(action);
+    // 录制期间暂停全局快捷键，否则按下已绑定的组合键不会传到窗口
+    await moely.shortcuts.pause(true);
+  };
+
+  const stopRecording = async () => {
+    setRecordingAction(null);
+    const result = await moely.shortcuts.pause(false);
+    setFailures(result.failures);
+  };
+
+  const handleRecordKeyDown = async (e, action) => {
+    e.preventDefault();
+    // 阻止方向键等按键同时切换壁纸
+    e.stopPropagation();
+
+    if (e.key === 'Escape') {
+      setShortcutStatus('');
+      await stopRecording();
+      return;
+    }
+
+    const accelerator = toAccelerator(e);
+    if (!accelerator) {
+      return;
+    }
+
+    const conflict = Object.keys(shortcuts).find(other => other !== action && shortcuts[other] === accelerator);
+    if (conflict) {
+      setShortcutStatus(`${formatAccelerator(accelerator)} 已用于「${ACTION_LABELS[conflict]}」`);
+      return;
+    }
+
+    setRecordingAction(null);
+    await saveShortcut(action, accelerator);
+    const result = await moely.shortcuts.pause(false);
+    setFailures(result.failures);
+  };
+
+  return (
+    <div className="shortcut-settings">
+      <div className="setting-label">
+        <span className="setting-title">全局快捷键</span>
+        <span className="setting-description">窗口隐藏或在其他程序中也能使用，点击快捷键后按下新的组合键修改</span>
+      </div>
+
+      <ul className="shortcut-list">
+        {Object.keys(ACTION_LABELS).map(action => (
+          <li key={action} className="shortcut-item">
+            <span className="shortcut-action">{ACTION_LABELS[action]}</span>
+            <div className="shortcut-controls">
+              {failures[action] && (
+                <span className="shortcut-failure">{FAILURE_LABELS[failures[action]]}</span>
+              )}
+              <button
+                className={`shortcut-key ${recordingAction === action ? 'recording' : ''}`}
+                onClick={() => (recordingAction === action ? stopRecording() : startRecording(action))}
+                onKeyDown={(e) => recordingAction === action && handleRecordKeyDown(e, action)}
+                onBlur={() => recordingAction === action && stopRecording()}
+              >
+                {recordingAction === action ? '按下快捷键…' : formatAccelerator(shortcuts[action])}
+              </button>
+              {shortcuts[action] && (
+                <button className="shortcut-clear" onClick={() => saveShortcut(action, '')} title="清除">
+                  ×
+                </button>
+              )}
+            </div>
+          </li>
+        ))}
+      </ul>
+
+      {shortcutStatus && <div className="cache-status">{shortcutStatus}</div>}
+    </div>
+  );
+};
+
+export default ShortcutSettings;
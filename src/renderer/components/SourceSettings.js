@@ -0,0 +1,212 @@
+import React, { useState, useEffect } from 'react';
+import './SourceSettings.css';
+
+const { moely } = window;
+
+// 默认字段映射与萌哩壁纸 API 一致
+const DEFAULT_FIELD_MAPPING = {
+  id: 'id',
+  artist: 'user',
+  source: 'category',
+  imageUrl: 'original',
+  hash: ''
+};
+
+const FIELD_LABELS = {
+  id: 'ID',
+  artist: '画师',
+  source: '来源',
+  imageUrl: '图片地址',
+  hash: '校验值（可选）'
+};
+
+const EMPTY_FORM = {
+  name: '',
+  type: 'remote',
+  url: '',
+  path: '',
+  listPath: '',
+  fieldMapping: { ...DEFAULT_FIELD_MAPPING }
+};
+
+const SourceSettings = () => {
+  const [sources, setSources] = useState([]);
+  const [showAddForm, setShowAddForm] = useState(false);
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [sourceStatus, setSourceStatus] = useState('');
+  const [hasChanges, setHasChanges] = useState(false);
+
+  useEffect(() => {
+    moely.sources.list().then(setSources).catch((error) => {
+      console.error('Failed to load sources:', error);
+    });
+  }, []);
+
+  // 处理主进程返回的结果
+  const handleResult = (result) => {
+    if (result.success) {
+      setSources(result.sources);
+      setHasChanges(true);
+      setSourceStatus('');
+      return true;
+    }
+    setSourceStatus(`操作失败：${result.error}`);
+    return false;
+  };
+
+  const handleToggle = async (source) => {
+    try {
+      handleResult(await moely.sources.update(source.id, { enabled: !source.enabled }));
+    } catch (error) {
+      console.error('Error toggling source:', error);
+    }
+  };
+
+  const handleRemove = async (source) => {
+    try {
+      handleResult(await moely.sources.remove(source.id));
+    } catch (error) {
+      console.error('Error removing source:', error);
+    }
+  };
+
+  const handleSelectFile = async () => {
+    const filePath = form.type === 'folder' ? await moely.sources.selectFolder() : await moely.sources.selectFile();
+    if (filePath) {
+      setForm(prev => ({ ...prev, path: filePath }));
+    }
+  };
+
+  const handleAdd = async () => {
+    const source = {
+      name: form.name,
+      type: form.type,
+      fieldMapping: form.fieldMapping
+    };
+    if (form.type === 'remote') {
+      source.url = form.url.trim();
+    } else {
+      source.path = form.path;
+    }
+    if (form.listPath.trim()) {
+      source.listPath = form.listPath.trim();
+    }
+
+    try {
+      if (handleResult(await moely.sources.add(source))) {
+        setForm(EMPTY_FORM);
+        setShowAddForm(false);
+      }
+    } catch (error) {
+      console.error('Error adding source:', error);
+      setSourceStatus(`添加失败：${error.message}`);
+    }
+  };
+
+  return (
+    <div className="source-settings">
+      <div className="source-settings-header">
+        <div className="setting-label">
+          <span className="setting-title">壁纸源</span>
+          <span className="setting-description">多个壁纸源的结果会合并去重</span>
+        </div>
+        <button className="source-add-toggle" onClick={() => setShowAddForm(!showAddForm)}>
+          {showAddForm ? '取消' : '添加'}
+        </button>
+      </div>
+
+      <ul className="source-list">
+        {sources.map(source => (
+          <li key={source.id} className="source-item">
+            <div className="source-info">
+              <span className="source-name">{source.name}</span>
+              <span className="source-location">{source.url || source.path}</span>
+            </div>
+            <div className="source-actions">
+              {!source.builtin && (
+                <button className="source-remove-button" onClick={() => handleRemove(source)} title="删除">
+                  ×
+                </button>
+              )}
+              <label className="switch">
+                <input type="checkbox" checked={source.enabled} onChange={() => handleToggle(source)} />
+                <span className="slider"></span>
+              </label>
+            </div>
+          </li>
+        ))}
+      </ul>
+
+      {showAddForm && (
+        <div className="source-form">
+          <input
+            className="source-input"
+            placeholder="名称"
+            value={form.name}
+            onChange={(e) => setForm({ ...form, name: e.target.value })}
+          />
+          <select
+            className="source-input"
+            value={form.type}
+            onChange={(e) => setForm({ ...form, type: e.target.value })}
+          >
+            <option value="remote">远程 JSON（镜像 / GitHub）</option>
+            <option value="file">本地 JSON 文件</option>
+            <option value="folder">本地文件夹</option>
+          </select>
+          {form.type === 'remote' ? (
+            <input
+              className="source-input"
+              placeholder="https://example.com/wallpaper.json"
+              value={form.url}
+              onChange={(e) => setForm({ ...form, url: e.target.value })}
+            />
+          ) : (
+            <div className="source-file-row">
+              <span className="source-location">{form.path || (form.type === 'folder' ? '未选择文件夹' : '未选择文件')}</span>
+              <button className="source-add-toggle" onClick={handleSelectFile}>
+                {form.type === 'folder' ? '选择文件夹' : '选择文件'}
+              </button>
+            </div>
+          )}
+          {form.type !== 'folder' && (
+            <>
+              <input
+                className="source-input"
+                placeholder="列表字段路径（可选，如 data.items）"
+                value={form.listPath}
+                onChange={(e) => setForm({ ...form, listPath: e.target.value })}
+              />
+              <div className="source-mapping">
+                {Object.keys(DEFAULT_FIELD_MAPPING).map(field => (
+                  <label key={field} className="source-mapping-field">
+                    <span>{FIELD_LABELS[field]}</span>
+                    <input
+                      className="source-input"
+                      value={form.fieldMapping[field]}
+                      onChange={(e) => setForm({
+                        ...form,
+                        fieldMapping: { ...form.fieldMapping, [field]: e.target.value }
+                      })}
+                    />
+                  </label>
+                ))}
+              </div>
+            </>
+          )}
+          <button className="check-update-button" onClick={handleAdd}>保存壁纸源</button>
+        </div>
+      )}
+
+      {sourceStatus && <div className="cache-status">{sourceStatus}</div>}
+
+      {hasChanges && (
+        <button className="source-reload-button" onClick={() => window.location.reload()}>
+          重新加载壁纸列表
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default SourceSettings;
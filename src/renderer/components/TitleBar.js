@@ -1,19 +1,19 @@
 import React from 'react';
 import './TitleBar.css';
 
-const { ipcRenderer } = window.require('electron');
+const { moely } = window;
 
 const TitleBar = () => {
   const handleMinimize = () => {
-    ipcRenderer.send('window-minimize');
+    moely.window.minimize();
   };
 
   const handleMaximize = () => {
-    ipcRenderer.send('window-maximize');
+    moely.window.maximize();
   };
 
   const handleClose = () => {
-    ipcRenderer.send('window-close');
+    moely.window.close();
   };
 
   return (
@@ -0,0 +1,146 @@
+import React, { useState, useEffect } from 'react';
+import './UpdateSettings.css';
+
+const { moely } = window;
+
+// 没有当前平台安装包时打开的下载页
+const DOWNLOAD_PAGE_URL = 'https://wallpaper.moely.link/';
+
+const STATE_LABELS = {
+  idle: '',
+  checking: '正在检查更新...',
+  'up-to-date': '已是最新版本',
+  skipped: '已跳过这个版本',
+  available: '发现新版本',
+  downloading: '正在下载更新...',
+  downloaded: '新版本已下载并通过校验',
+  error: '更新失败'
+};
+
+const formatTime = (isoString) => (isoString ? new Date(isoString).toLocaleString('zh-CN') : '—');
+
+const UpdateSettings = () => {
+  const [status, setStatus] = useState(null);
+  const [autoCheck, setAutoCheck] = useState(true);
+  const [actionError, setActionError] = useState('');
+  const [actionNotice, setActionNotice] = useState('');
+
+  useEffect(() => {
+    moely.updates.getStatus().then(setStatus).catch((error) => {
+      console.error('Failed to load update status:', error);
+    });
+    moely.settings.get().then((settings) => {
+      setAutoCheck(!settings.update || settings.update.autoCheck !== false);
+    }).catch((error) => {
+      console.error('Failed to load update settings:', error);
+    });
+    return moely.updates.onStatus(setStatus);
+  }, []);
+
+  // 执行更新操作，失败时显示原因（成功时状态通过 update-status 推送）
+  const runAction = async (action) => {
+    setActionError('');
+    setActionNotice('');
+    try {
+      const result = await action();
+      if (result && result.success === false) {
+        setActionError(result.error);
+      } else if (result && result.manual) {
+        setActionNotice('已打开安装包，请按提示手动完成安装');
+      }
+    } catch (error) {
+      console.error('Update action failed:', error);
+      setActionError(error.message);
+    }
+  };
+
+  const handleAutoCheckChange = async (enabled) => {
+    setAutoCheck(enabled);
+    try {
+      await moely.settings.set({ update: { autoCheck: enabled } });
+    } catch (error) {
+      console.error('Failed to save update settings:', error);
+    }
+  };
+
+  if (!status) {
+    return null;
+  }
+
+  const { state, latestVersion, required } = status;
+  const hasRelease = state === 'available' || state === 'downloading' || state === 'downloaded';
+  const busy = state === 'checking' || state === 'downloading';
+
+  return (
+    <div className="update-settings">
+      <div className="update-settings-header">
+        <div className="setting-label">
+          <span className="setting-title">检查更新</span>
+          <span className="setting-description">
+            当前版本 {status.currentVersion}
+            {status.lastCheckTime && ` · 上次检查 ${formatTime(status.lastCheckTime)}`}
+          </span>
+        </div>
+        <button
+          className="check-update-button"
+          onClick={() => runAction(moely.updates.check)}
+          disabled={busy}
+        >
+          {state === 'checking' ? '检查中...' : '检查更新'}
+        </button>
+      </div>
+
+      <label className="update-auto-check">
+        <input
+          type="checkbox"
+          checked={autoCheck}
+          onChange={(e) => handleAutoCheckChange(e.target.checked)}
+        />
+        <span>定时在后台检查更新，发现新版本时自动下载</span>
+      </label>
+
+      {STATE_LABELS[state] && (
+        <div className={`update-state ${state}`}>
+          {STATE_LABELS[state]}
+          {hasRelease && latestVersion && ` ${latestVersion}`}
+          {state === 'error' && status.error && `：${status.error}`}
+          {hasRelease && required && '（当前版本过旧，必须更新）'}
+        </div>
+      )}
+
+      {hasRelease && status.notes && (
+        <pre className="update-notes">{status.notes}</pre>
+      )}
+
+      {hasRelease && (
+        <div className="update-actions">
+          {state === 'available' && status.hasArtifact && (
+            <button className="update-button primary" onClick={() => runAction(moely.updates.download)}>
+              下载更新
+            </button>
+          )}
+          {state === 'available' && !status.hasArtifact && (
+            <button className="update-button primary" onClick={() => runAction(() => moely.openExternal(DOWNLOAD_PAGE_URL))}>
+              前往官网下载
+            </button>
+          )}
+          {state === 'downloaded' && (
+            <button className="update-button primary" onClick={() => runAction(moely.updates.install)}>
+              {status.manualInstall ? '打开安装包' : '安装并重启'}
+            </button>
+          )}
+          {!required && state !== 'downloading' && (
+            <button className="update-button" onClick={() => runAction(() => moely.updates.skip(latestVersion))}>
+              跳过此版本
+            </button>
+          )}
+        </div>
+      )}
+
+      {actionNotice && <div className="update-state">{actionNotice}</div>}
+      {actionError && <div className="update-state error">操作失败：{actionError}</div>}
+    </div>
+  );
+};
+
+export default UpdateSettings;
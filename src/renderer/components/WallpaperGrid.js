@@ -0,0 +1,201 @@
+import React, { useState, useEffect, useRef, useCallback } from 'react';
+import './WallpaperGrid.css';
+
+// 网格布局参数
+const MIN_ITEM_WIDTH = 200;
+const ITEM_GAP = 12;
+const ITEM_ASPECT = 10 / 16;
+// 可视区域上下额外渲染的行数，避免快速滚动时出现空白
+const OVERSCAN_ROWS = 2;
+
+// 缩略图（thumb）或预览图（preview）地址；本地文件夹和收藏中的图片没有缩小版本，使用原图
+export const getVariantUrl = (wallpaper, variant) => (
+  (wallpaper.variantUrls && wallpaper.variantUrls[variant]) || wallpaper.imageUrl
+);
+
+// 图片加载出来之前用壁纸的主色作为占位背景
+export const getPlaceholderStyle = (wallpaper) => (
+  wallpaper.palette ? { backgroundColor: wallpaper.palette.dominant } : undefined
+);
+
+// onRemove 可选，传入时每一项显示移除按钮
+const WallpaperGrid = ({ wallpapers, selectedIndex, onSelect, onOpen, onRemove }) => {
+  const containerRef = useRef(null);
+  const [containerSize, setContainerSize] = useState({ width: 0, height: 0 });
+  const [scrollTop, setScrollTop] = useState(0);
+  const [jumpId, setJumpId] = useState('');
+  const [jumpStatus, setJumpStatus] = useState('');
+
+  // 监听容器尺寸变化，重新计算列数
+  useEffect(() => {
+    const container = containerRef.current;
+    if (!container) return;
+
+    const updateSize = () => {
+      setContainerSize({ width: container.clientWidth, height: container.clientHeight });
+    };
+    updateSize();
+
+    const observer = new ResizeObserver(updateSize);
+    observer.observe(container);
+    return () => observer.disconnect();
+  }, []);
+
+  const columns = Math.max(1, Math.floor((containerSize.width + ITEM_GAP) / (MIN_ITEM_WIDTH + ITEM_GAP)));
+  const itemWidth = columns > 0 ? (containerSize.width - ITEM_GAP * (columns - 1)) / columns : MIN_ITEM_WIDTH;
+  const rowHeight = itemWidth * ITEM_ASPECT + ITEM_GAP;
+  const totalRows = Math.ceil(wallpapers.length / columns);
+
+  // 滚动到指定壁纸所在的行
+  const scrollToIndex = useCallback((index) => {
+    const container = containerRef.current;
+    if (!container || rowHeight <= 0) return;
+
+    const row = Math.floor(index / columns);
+    const rowTop = row * rowHeight;
+    if (rowTop < container.scrollTop || rowTop + rowHeight > container.scrollTop + container.clientHeight) {
+      container.scrollTop = Math.max(0, rowTop - (container.clientHeight - rowHeight) / 2);
+    }
+  }, [columns, rowHeight]);
+
+  // 从轮播切换过来时保持选中项可见（只在布局确定后滚动一次）
+  const initialScrollDoneRef = useRef(false);
+  useEffect(() => {
+    if (!initialScrollDoneRef.current && containerSize.width > 0) {
+      initialScrollDoneRef.current = true;
+      scrollToIndex(selectedIndex);
+    }
+  }, [containerSize.width, selectedIndex, scrollToIndex]);
+
+  // 键盘导航：方向键移动选中项（上下按整行移动），Enter 打开选中的壁纸
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (e.altKey || e.ctrlKey || e.metaKey || wallpapers.length === 0) return;
+      // 在输入框（例如按 ID 跳转）中输入时不处理；焦点在按钮上时 Enter 交给按钮
+      const target = e.target instanceof HTMLElement ? e.target : null;
+      if (target && target.closest('input, textarea, select')) return;
+
+      const current = Math.min(Math.max(selectedIndex, 0), wallpapers.length - 1);
+      if (e.key === 'Enter') {
+        if (target && target.closest('button')) return;
+        e.preventDefault();
+        onOpen(current);
+        return;
+      }
+
+      const offset = { ArrowLeft: -1, ArrowRight: 1, ArrowUp: -columns, ArrowDown: columns }[e.key];
+      if (!offset) return;
+      e.preventDefault();
+
+      const index = current + offset;
+      if (index < 0 || index >= wallpapers.length) return;
+      onSelect(index);
+      scrollToIndex(index);
+    };
+
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [wallpapers.length, selectedIndex, columns, onSelect, onOpen, scrollToIndex]);
+
+  // 按 ID 跳转
+  const handleJump = (e) => {
+    e.preventDefault();
+    const targetId = jumpId.trim();
+    if (!targetId) return;
+
+    const index = wallpapers.findIndex(wp => String(wp.id) === targetId);
+    if (index === -1) {
+      setJumpStatus(`未找到 ID 为 ${targetId} 的壁纸`);
+      return;
+    }
+    setJumpStatus('');
+    onSelect(index);
+    scrollToIndex(index);
+  };
+
+  const firstRow = Math.max(0, Math.floor(scrollTop / rowHeight) - OVERSCAN_ROWS);
+  const lastRow = Math.min(totalRows - 1, Math.ceil((scrollTop + containerSize.height) / rowHeight) + OVERSCAN_ROWS);
+
+  const visibleItems = [];
+  if (rowHeight > 0) {
+    for (let row = firstRow; row <= lastRow; row++) {
+      for (let col = 0; col < columns; col++) {
+        const index = row * columns + col;
+        if (index >= wallpapers.length) break;
+        visibleItems.push({ index, row, col });
+      }
+    }
+  }
+
+  return (
+    <div className="wallpaper-grid">
+      <form className="wallpaper-grid-toolbar" onSubmit={handleJump}>
+        <span className="wallpaper-grid-count">共 {wallpapers.length} 张壁纸</span>
+        <input
+          className="wallpaper-grid-jump-input"
+          placeholder="输入壁纸 ID 跳转"
+          value={jumpId}
+          onChange={(e) => setJumpId(e.target.value)}
+        />
+        <button type="submit" className="wallpaper-grid-jump-button">跳转</button>
+        {jumpStatus && <span className="wallpaper-grid-jump-status">{jumpStatus}</span>}
+      </form>
+
+      <div
+        ref={containerRef}
+        className="wallpaper-grid-scroll"
+        onScroll={(e) => setScrollTop(e.currentTarget.scrollTop)}
+      >
+        <div className="wallpaper-grid-inner" style={{ height: Math.max(0, totalRows * rowHeight - ITEM_GAP) }}>
+          {visibleItems.map(({ index, row, col }) => {
+            const wallpaper = wallpapers[index];
+            return (
+              <div
+                key={wallpaper.id}
+                className={`wallpaper-grid-item ${index === selectedIndex ? 'selected' : ''}`}
+                style={{
+                  top: row * rowHeight,
+                  left: col * (itemWidth + ITEM_GAP),
+                  width: itemWidth,
+                  height: rowHeight - ITEM_GAP,
+                  ...getPlaceholderStyle(wallpaper)
+                }}
+                onClick={() => onSelect(index)}
+                onDoubleClick={() => onOpen(index)}
+                title={`${wallpaper.id} - ${wallpaper.artist || ''}`}
+              >
+                <img
+                  src={getVariantUrl(wallpaper, 'thumb')}
+                  alt={`壁纸 by ${wallpaper.artist}`}
+                  className="wallpaper-grid-image"
+                  loading="lazy"
+                  decoding="async"
+                  draggable={false}
+                />
+                <div className="wallpaper-grid-caption">
+                  <span>#{wallpaper.id}</span>
+                  <span>{wallpaper.artist}</span>
+                </div>
+                {onRemove && (
+                  <button
+                    className="wallpaper-grid-remove"
+                    onClick={(e) => {
+                      e.stopPropagation();
+                      onRemove(index);
+                    }}
+                    onDoubleClick={(e) => e.stopPropagation()}
+                    title="移除"
+                  >
+                    ×
+                  </button>
+                )}
+              </div>
+            );
+          })}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default WallpaperGrid;
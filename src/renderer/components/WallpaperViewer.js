@@ -1,11 +1,71 @@
 import React, { useState, useEffect, useCallback, useRef } from 'react';
+import SourceSettings from './SourceSettings.js';
+import ShortcutSettings from './ShortcutSettings.js';
+import CacheSettings from './CacheSettings.js';
+import WallpaperGrid, { getVariantUrl, getPlaceholderStyle } from './WallpaperGrid.js';
+import HistoryPanel from './HistoryPanel.js';
+import UpdateSettings from './UpdateSettings.js';
+import { applyPalette } from '../theme.js';
 import './WallpaperViewer.css';
 
-const { ipcRenderer } = window.require('electron');
+const { moely } = window;
+
+// 轮播每页显示的壁纸数量
+const PAGE_SIZE = 8;
+
+// 定时轮换间隔上限（分钟），与主进程 rotationScheduler 的限制一致
+const MAX_INTERVAL_MINUTES = 7 * 24 * 60;
+
+// 图片适配方式
+const FIT_MODE_OPTIONS = [
+  { value: 'fill', label: '填充（裁剪）' },
+  { value: 'fit', label: '适应（留黑边）' },
+  { value: 'blur', label: '适应（模糊背景）' },
+  { value: 'center', label: '居中' },
+  { value: 'stretch', label: '拉伸' },
+  { value: 'system', label: '交给系统处理' }
+];
+
+// 裁剪焦点的九宫格位置
+const FOCUS_POSITIONS = [0, 0.5, 1].flatMap(focusY => [0, 0.5, 1].map(focusX => ({ focusX, focusY })));
+
+// 只传递可序列化的壁纸属性
+const toWallpaperData = (wallpaper) => ({
+  id: wallpaper.id,
+  imageUrl: wallpaper.imageUrl,
+  originalUrl: wallpaper.originalUrl,
+  localPath: wallpaper.localPath, // 本地文件夹或收藏中的图片
+  artist: wallpaper.artist,
+  source: wallpaper.source,
+  origin: wallpaper.origin,
+  hash: wallpaper.hash // 图源提供的校验值（可选）
+});
 
 const WallpaperViewer = ({ wallpapers, showSettings, setShowSettings, autoStart, handleAutoStartChange }) => {
   const [currentIndex, setCurrentIndex] = useState(0);
+  // 当前轮播页在完整列表中的起始位置
+  const [pageStart, setPageStart] = useState(0);
+  // 浏览模式：carousel 轮播、grid 全部壁纸、favorites 我的收藏
+  const [viewMode, setViewMode] = useState('carousel');
+  const [favorites, setFavorites] = useState([]);
+  const [favoriteIndex, setFavoriteIndex] = useState(0);
+  const [showHistory, setShowHistory] = useState(false);
+  // 多显示器：显示器列表、设为壁纸的目标显示器（空字符串表示所有显示器）
+  const [displayInfo, setDisplayInfo] = useState({ displays: [], perScreenSupported: false });
+  const [targetDisplayId, setTargetDisplayId] = useState('');
+  const [rotatePerDisplay, setRotatePerDisplay] = useState(false);
+  const [imageFit, setImageFit] = useState({ mode: 'fill', focusX: 0.5, focusY: 0.5 });
+  // Linux 桌面环境后端（其他平台列表为空）
+  const [backendInfo, setBackendInfo] = useState({ backends: [], detected: null, lockScreenSupported: false });
+  // 设为壁纸的目标：desktop 桌面、lock 锁屏、both 两者
+  const [wallpaperTarget, setWallpaperTarget] = useState('desktop');
+  const [linuxBackend, setLinuxBackend] = useState('auto');
+  // 本地 HTTP 控制接口
+  const [controlApi, setControlApi] = useState({ enabled: false, port: 17890, token: '' });
+  const [controlApiStatus, setControlApiStatus] = useState(null);
   const [displayWallpapers, setDisplayWallpapers] = useState([]);
+  // 鼠标悬停的指示器
+  const [hoveredIndicator, setHoveredIndicator] = useState(null);
   const [imageCache, setImageCache] = useState({});
   const [loadingImages, setLoadingImages] = useState({});
   const [isTransitioning, setIsTransitioning] = useState(false);
@@ -17,16 +77,26 @@ const WallpaperViewer = ({ wallpapers, showSettings, setShowSettings, autoStart,
   const [wallpaperStatus, setWallpaperStatus] = useState('');
   const [autoSetWallpaper, setAutoSetWallpaper] = useState(false);
   const [lastAutoSetIndex, setLastAutoSetIndex] = useState(-1);
-  const [updateStatus, setUpdateStatus] = useState('');
-  const [isCheckingUpdate, setIsCheckingUpdate] = useState(false);
   const [cacheStatus, setCacheStatus] = useState('');
   const [isClearingCache, setIsClearingCache] = useState(false);
+  const [rotationStatus, setRotationStatus] = useState(null);
+  const [rotationConfig, setRotationConfig] = useState({
+    mode: 'interval',
+    intervalMinutes: 30,
+    dailyTime: '08:00',
+    order: 'sequential',
+    pool: 'all',
+    target: 'desktop',
+    separateLockScreen: false
+  });
   
   // 防抖计时器ref
   const debounceTimerRef = useRef(null);
   
   // 跟踪正在加载的图片ID，防止重复加载
   const loadingSetRef = useRef(new Set());
+  // 壁纸 ID -> 从主进程获取的配色
+  const paletteCacheRef = useRef({});
 
   // 优化的图片预加载函数 - 支持渐进式加载和网络优化
   const preloadSingleImage = useCallback((wallpaper, retryCount = 0, priority = 'low') => {
@@ -122,8 +192,8 @@ const WallpaperViewer = ({ wallpapers, showSettings, setShowSettings, autoStart,
         handleImageError();
       };
       
-      // 开始加载图片
-      img.src = wallpaper.imageUrl;
+      // 开始加载图片（预加载缩略图，两侧的卡片直接使用）
+      img.src = getVariantUrl(wallpaper, 'thumb');
     });
   }, [imageCache, loadingImages]);
 
@@ -144,7 +214,7 @@ const WallpaperViewer = ({ wallpapers, showSettings, setShowSettings, autoStart,
   const handleSetWallpaper = async (wallpaper, isAuto = false) => {
     // 如果没有传入wallpaper参数，使用当前显示的壁纸
     console.log(displayWallpapers.length)
-    if (!wallpaper.id && displayWallpapers.length > 0) {
+    if ((!wallpaper || !wallpaper.id) && displayWallpapers.length > 0) {
       wallpaper = displayWallpapers[currentIndex];
     }
     if (!wallpaper) return;
@@ -162,17 +232,13 @@ const WallpaperViewer = ({ wallpapers, showSettings, setShowSettings, autoStart,
     });
 
     try {
-      // 只传递可序列化的wallpaper属性，包括originalUrl如果存在
-      const wallpaperData = {
-        id: wallpaper.id,
-        imageUrl: wallpaper.imageUrl,
-        originalUrl: wallpaper.originalUrl, // Add originalUrl to the data
-        artist: wallpaper.artist,
-        source: wallpaper.source
-      };
+      const wallpaperData = toWallpaperData(wallpaper);
       
       console.log('Sending wallpaper data to main process:', wallpaperData);
-      const result = await ipcRenderer.invoke('set-wallpaper', wallpaperData);
+      const result = await moely.setWallpaper(wallpaperData, {
+        displayId: targetDisplayId || undefined,
+        target: wallpaperTarget
+      });
       if (result.success) {
         setWallpaperStatus(isAuto ? '自动设置成功！' : '壁纸设置成功！');
         if (isAuto) {
@@ -193,6 +259,45 @@ const WallpaperViewer = ({ wallpapers, showSettings, setShowSettings, autoStart,
     }
   };
 
+  // 加载收藏列表，并在主进程中收藏变化时同步
+  useEffect(() => {
+    const handleFavoritesChanged = (list) => {
+      setFavorites(list);
+    };
+
+    moely.favorites.list().then(setFavorites).catch((error) => {
+      console.error('Failed to load favorites:', error);
+    });
+
+    return moely.favorites.onChanged(handleFavoritesChanged);
+  }, []);
+
+  // 收藏列表变短时保持选中项有效
+  useEffect(() => {
+    if (favoriteIndex >= favorites.length) {
+      setFavoriteIndex(Math.max(0, favorites.length - 1));
+    }
+  }, [favorites, favoriteIndex]);
+
+  const isFavorite = (wallpaper) => !!wallpaper && favorites.some(fav => fav.id === wallpaper.id);
+
+  // 收藏或取消收藏
+  const handleToggleFavorite = async (wallpaper) => {
+    if (!wallpaper) return;
+
+    try {
+      const result = isFavorite(wallpaper)
+        ? await moely.favorites.remove(wallpaper.id)
+        : await moely.favorites.add(toWallpaperData(wallpaper));
+      if (!result.success) {
+        setWallpaperStatus(`收藏失败: ${result.error}`);
+      }
+    } catch (error) {
+      console.error('Error toggling favorite:', error);
+      setWallpaperStatus(`错误: ${error.message}`);
+    }
+  };
+
   // 清除缓存功能
   const handleClearCache = async () => {
     if (isClearingCache) return;
@@ -201,7 +306,7 @@ const WallpaperViewer = ({ wallpapers, showSettings, setShowSettings, autoStart,
     setCacheStatus('正在清除缓存...');
     
     try {
-      const result = await ipcRenderer.invoke('clear-cache');
+      const result = await moely.cache.clear();
       
       if (result.success) {
         setCacheStatus(`缓存清除成功！删除了 ${result.clearedCount} 个文件`);
@@ -224,41 +329,168 @@ const WallpaperViewer = ({ wallpapers, showSettings, setShowSettings, autoStart,
     }
   };
 
-  // 检查更新功能
-  const handleCheckUpdate = async () => {
-    if (isCheckingUpdate) return;
-    
-    setIsCheckingUpdate(true);
-    setUpdateStatus('正在检查更新...');
-    
+  // 从设置中恢复自动设置壁纸开关
+  useEffect(() => {
+    moely.settings.get().then((settings) => {
+      if (settings.autoSetWallpaper) {
+        // 恢复开关时不立即设置当前壁纸，等用户切换后再自动设置
+        setLastAutoSetIndex(0);
+        setAutoSetWallpaper(true);
+      }
+      setRotatePerDisplay(!!(settings.displays && settings.displays.rotatePerDisplay));
+      if (settings.imageFit) {
+        setImageFit(settings.imageFit);
+      }
+      setLinuxBackend(settings.linuxBackend || 'auto');
+      if (settings.controlApi) {
+        setControlApi(settings.controlApi);
+      }
+    }).catch((error) => {
+      console.error('Failed to load auto set wallpaper setting:', error);
+    });
+  }, []);
+
+  // 获取显示器列表，显示器增减时刷新
+  useEffect(() => {
+    const loadDisplays = () => {
+      moely.displays.get().then((info) => {
+        setDisplayInfo(info);
+        // 目标显示器被移除时回到所有显示器
+        setTargetDisplayId(prev => (info.displays.some(display => display.id === prev) ? prev : ''));
+      }).catch((error) => {
+        console.error('Failed to get displays:', error);
+      });
+    };
+
+    loadDisplays();
+    return moely.displays.onChanged(loadDisplays);
+  }, []);
+
+  const handleRotatePerDisplayChange = async (enabled) => {
+    setRotatePerDisplay(enabled);
     try {
-      const result = await ipcRenderer.invoke('check-update');
-      
+      await moely.settings.set({ displays: { rotatePerDisplay: enabled } });
+    } catch (error) {
+      console.error('Failed to save display setting:', error);
+    }
+  };
+
+  useEffect(() => {
+    moely.displays.getBackends().then(setBackendInfo).catch((error) => {
+      console.error('Failed to get wallpaper backends:', error);
+    });
+  }, []);
+
+  const handleLinuxBackendChange = async (backend) => {
+    setLinuxBackend(backend);
+    try {
+      await moely.settings.set({ linuxBackend: backend });
+      // 不同后端对锁屏的支持不同
+      setBackendInfo(await moely.displays.getBackends());
+    } catch (error) {
+      console.error('Failed to save wallpaper backend setting:', error);
+    }
+  };
+
+  // 本地控制接口的监听状态，端口被占用等错误显示在设置中
+  useEffect(() => {
+    moely.controlApi.getStatus().then(setControlApiStatus).catch((error) => {
+      console.error('Failed to get control API status:', error);
+    });
+    return moely.controlApi.onStatus(setControlApiStatus);
+  }, []);
+
+  const handleControlApiToggle = async (enabled) => {
+    setControlApi(prev => ({ ...prev, enabled }));
+    try {
+      const result = await moely.settings.set({ controlApi: { enabled } });
       if (result.success) {
-        if (result.hasUpdate) {
-          setUpdateStatus(`发现新版本 ${result.latestVersion}！当前版本：${result.currentVersion}`);
-          // 可以在这里添加打开下载链接的逻辑
-          setTimeout(() => {
-            window.open(result.updateUrl, '_blank');
-          }, 2000);
-        } else {
-          setUpdateStatus('已是最新版本');
-        }
+        setControlApi(result.settings.controlApi);
+      }
+    } catch (error) {
+      console.error('Failed to save control API setting:', error);
+    }
+  };
+
+  const handleResetControlToken = async () => {
+    try {
+      const result = await moely.controlApi.resetToken();
+      setControlApi(result.controlApi);
+    } catch (error) {
+      console.error('Failed to reset control API token:', error);
+    }
+  };
+
+  // 修改图片适配方式或裁剪焦点
+  const handleImageFitChange = async (changes) => {
+    const newFit = { ...imageFit, ...changes };
+    setImageFit(newFit);
+    try {
+      await moely.settings.set({ imageFit: newFit });
+    } catch (error) {
+      console.error('Failed to save image fit setting:', error);
+    }
+  };
+
+  // 同步主进程中的定时轮换状态
+  useEffect(() => {
+    const handleRotationStatus = (status) => {
+      setRotationStatus(status);
+    };
+
+    moely.rotation.getStatus().then((status) => {
+      setRotationStatus(status);
+      if (status && status.config) {
+        setRotationConfig(status.config);
+      }
+    }).catch((error) => {
+      console.error('Failed to get rotation status:', error);
+    });
+
+    return moely.rotation.onStatus(handleRotationStatus);
+  }, []);
+
+  // 开启或关闭定时轮换
+  const handleRotationToggle = async (enabled) => {
+    try {
+      const result = enabled
+        ? await moely.rotation.start(rotationConfig)
+        : await moely.rotation.stop();
+      if (result.success) {
+        setRotationStatus(result.status);
       } else {
-        setUpdateStatus(`检查更新失败：${result.error}`);
+        console.error('Failed to toggle rotation:', result.error);
       }
     } catch (error) {
-      console.error('Error checking for updates:', error);
-      setUpdateStatus('检查更新时发生错误');
-    } finally {
-      setIsCheckingUpdate(false);
-      // 3秒后清除状态
-      setTimeout(() => {
-        setUpdateStatus('');
-      }, 3000);
+      console.error('Error toggling rotation:', error);
     }
   };
 
+  // 修改轮换配置，正在运行时立即按新配置重新计时
+  const handleRotationConfigChange = async (changes) => {
+    const newConfig = { ...rotationConfig, ...changes };
+    setRotationConfig(newConfig);
+    if (rotationStatus && rotationStatus.running) {
+      try {
+        const result = await moely.rotation.start(newConfig);
+        if (result.success) {
+          setRotationStatus(result.status);
+        }
+      } catch (error) {
+        console.error('Error updating rotation config:', error);
+      }
+    }
+  };
+
+  // 格式化下次切换时间
+  const formatNextRunTime = (isoString) => {
+    if (!isoString) return '';
+    const date = new Date(isoString);
+    const isToday = date.toDateString() === new Date().toDateString();
+    const time = date.toLocaleTimeString('zh-CN', { hour: '2-digit', minute: '2-digit' });
+    return isToday ? time : `${date.toLocaleDateString('zh-CN')} ${time}`;
+  };
+
   // 自动设置壁纸功能
   useEffect(() => {
     if (autoSetWallpaper && currentIndex !== lastAutoSetIndex && displayWallpapers.length > 0 && !isSettingWallpaper) {
@@ -275,9 +507,63 @@ const WallpaperViewer = ({ wallpapers, showSettings, setShowSettings, autoStart,
     }
   }, [currentIndex, autoSetWallpaper, lastAutoSetIndex, displayWallpapers, imageCache, isSettingWallpaper, handleSetWallpaper]);
 
+  // 在某张壁纸上停留时记录查看时间，缓存按最近使用时间清理
+  useEffect(() => {
+    const currentWallpaper = displayWallpapers[currentIndex];
+    if (!currentWallpaper || currentWallpaper.localPath) return;
+    
+    // 正在查看的图片还在下载队列中时优先下载
+    if (!currentWallpaper.isLocal) {
+      moely.cache.prioritizeDownload(currentWallpaper.originalUrl || currentWallpaper.imageUrl).catch((error) => {
+        console.error('Failed to prioritize download:', error);
+      });
+    }
+    
+    const timer = setTimeout(() => {
+      moely.cache.markViewed(currentWallpaper.originalUrl || currentWallpaper.imageUrl).catch((error) => {
+        console.error('Failed to mark wallpaper as viewed:', error);
+      });
+    }, 1000);
+    
+    return () => clearTimeout(timer);
+  }, [currentIndex, displayWallpapers]);
+
+  // 界面配色跟随当前壁纸；列表中还没有配色时向主进程获取（图片缓存后才能提取）
+  const currentImageState = displayWallpapers[currentIndex] && imageCache[displayWallpapers[currentIndex].id];
+  useEffect(() => {
+    const currentWallpaper = displayWallpapers[currentIndex];
+    if (!currentWallpaper) return;
+
+    const knownPalette = currentWallpaper.palette || paletteCacheRef.current[currentWallpaper.id];
+    if (knownPalette || currentWallpaper.localPath) {
+      applyPalette(knownPalette || null);
+      return;
+    }
+
+    let cancelled = false;
+    moely.cache.getPalette(currentWallpaper.originalUrl || currentWallpaper.imageUrl)
+      .then((palette) => {
+        if (palette) {
+          paletteCacheRef.current[currentWallpaper.id] = palette;
+        }
+        if (!cancelled) {
+          applyPalette(palette);
+        }
+      })
+      .catch((error) => {
+        console.error('Failed to get wallpaper palette:', error);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [currentIndex, displayWallpapers, currentImageState]);
+
   // 切换自动设置壁纸模式
   const toggleAutoSetWallpaper = () => {
     setAutoSetWallpaper(!autoSetWallpaper);
+    moely.settings.set({ autoSetWallpaper: !autoSetWallpaper }).catch((error) => {
+      console.error('Failed to save auto set wallpaper setting:', error);
+    });
     if (!autoSetWallpaper) {
       setWallpaperStatus('已开启自动设置壁纸');
       // 立即设置当前壁纸
@@ -296,16 +582,36 @@ const WallpaperViewer = ({ wallpapers, showSettings, setShowSettings, autoStart,
     }, 2000);
   };
 
-  // 获取用于显示的前8张壁纸
+  // 获取当前页用于轮播显示的壁纸
   useEffect(() => {
     if (wallpapers && wallpapers.length > 0) {
-      const displayItems = wallpapers.slice(0, 8);
+      // 列表变短时（例如切换壁纸源）回到第一页
+      if (pageStart >= wallpapers.length) {
+        setPageStart(0);
+        return;
+      }
+      const displayItems = wallpapers.slice(pageStart, pageStart + PAGE_SIZE);
       setDisplayWallpapers(displayItems);
+      // 列表刷新后（例如本地文件夹变化）保证当前索引有效
+      setCurrentIndex(prev => (prev < displayItems.length ? prev : 0));
       
-      // 预加载所有15张图片
-      preloadImages(wallpapers);
+      // 预加载当前页的图片
+      preloadImages(displayItems);
     }
-  }, [wallpapers, preloadImages]);
+  }, [wallpapers, pageStart, preloadImages]);
+
+  // 选中完整列表中的某张壁纸，轮播切换到它所在的页
+  const selectWallpaper = useCallback((index) => {
+    setPageStart(Math.floor(index / PAGE_SIZE) * PAGE_SIZE);
+    setCurrentIndex(index % PAGE_SIZE);
+    setWallpaperStatus('');
+  }, []);
+
+  // 在网格中双击或按 Enter 打开壁纸，回到轮播模式
+  const openInCarousel = useCallback((index) => {
+    selectWallpaper(index);
+    setViewMode('carousel');
+  }, [selectWallpaper]);
 
   // 重试加载单张图片
   const retryLoadImage = (wallpaper) => {
@@ -414,8 +720,10 @@ const WallpaperViewer = ({ wallpapers, showSettings, setShowSettings, autoStart,
     }, 200);
   }, [currentIndex, isTransitioning]);
 
-  // 键盘事件处理
+  // 键盘事件处理（网格模式下由网格自身处理）
   useEffect(() => {
+    if (viewMode !== 'carousel') return;
+
     const handleKeyPress = (e) => {
       if (e.key === 'ArrowLeft') {
         handlePrevious();
@@ -426,10 +734,13 @@ const WallpaperViewer = ({ wallpapers, showSettings, setShowSettings, autoStart,
 
     window.addEventListener('keydown', handleKeyPress);
     return () => window.removeEventListener('keydown', handleKeyPress);
-  }, [handlePrevious, handleNext]);
+  }, [handlePrevious, handleNext, viewMode]);
 
   // 优化鼠标滚轮事件处理 - 降低延迟，提升响应速度
   useEffect(() => {
+    // 网格模式下滚轮用于滚动列表
+    if (viewMode !== 'carousel') return;
+
     const WHEEL_THRESHOLD = 50; // 降低滚轮阈值，提升响应速度
     let wheelTimeout = null;
     
@@ -463,7 +774,7 @@ const WallpaperViewer = ({ wallpapers, showSettings, setShowSettings, autoStart,
         viewer.removeEventListener('wheel', handleWheel);
       };
     }
-  }, [handlePrevious, handleNext, isTransitioning]);
+  }, [handlePrevious, handleNext, isTransitioning, viewMode]);
 
   if (!displayWallpapers.length) {
     return <div className="no-wallpapers">暂无壁纸数据</div>;
@@ -477,215 +788,247 @@ const WallpaperViewer = ({ wallpapers, showSettings, setShowSettings, autoStart,
 
   return (
     <div className="wallpaper-viewer">
-      <div className={`wallpaper-container ${isTransitioning ? 'transitioning' : ''}`}>
-        {/* 3D轮播容器 */}
-        <div className="carousel-3d-container">
-          {/* 上一张图片 (右半部分可见) */}
-          <div className={`carousel-item carousel-prev ${animatingItems[prevIndex] || ''}`} onClick={handlePrevious}>
-            {imageCache[prevWallpaper.id] === 'error' ? (
-              <div className="image-error-placeholder">
-                <div className="error-square">
-                  <div className="error-icon">🖼️</div>
-                  <div className="error-text">加载失败</div>
-                  <button 
-                    className="retry-button-small" 
-                    onClick={(e) => {
-                      e.stopPropagation();
-                      retryLoadImage(prevWallpaper);
+      {viewMode === 'favorites' ? (
+        favorites.length > 0 ? (
+          <WallpaperGrid
+            wallpapers={favorites}
+            selectedIndex={favoriteIndex}
+            onSelect={setFavoriteIndex}
+            onOpen={(index) => handleSetWallpaper(favorites[index])}
+            onRemove={(index) => handleToggleFavorite(favorites[index])}
+          />
+        ) : (
+          <div className="favorites-empty">还没有收藏的壁纸，点击「收藏」把喜欢的壁纸保存下来吧</div>
+        )
+      ) : viewMode === 'grid' ? (
+        <WallpaperGrid
+          wallpapers={wallpapers}
+          selectedIndex={pageStart + currentIndex}
+          onSelect={selectWallpaper}
+          onOpen={openInCarousel}
+        />
+      ) : (
+        <>
+          <div className={`wallpaper-container ${isTransitioning ? 'transitioning' : ''}`}>
+            {/* 3D轮播容器 */}
+            <div className="carousel-3d-container">
+              {/* 上一张图片 (右半部分可见) */}
+              <div className={`carousel-item carousel-prev ${animatingItems[prevIndex] || ''}`} style={getPlaceholderStyle(prevWallpaper)} onClick={handlePrevious}>
+                {imageCache[prevWallpaper.id] === 'error' ? (
+                  <div className="image-error-placeholder">
+                    <div className="error-square">
+                      <div className="error-icon">🖼️</div>
+                      <div className="error-text">加载失败</div>
+                      <button 
+                        className="retry-button-small" 
+                        onClick={(e) => {
+                          e.stopPropagation();
+                          retryLoadImage(prevWallpaper);
+                        }}
+                        title="重试加载"
+                      >
+                        🔄
+                      </button>
+                    </div>
+                  </div>
+                ) : (
+                  <img 
+                    src={getVariantUrl(prevWallpaper, 'thumb')} 
+                    alt={`壁纸 by ${prevWallpaper.artist}`}
+                    className="carousel-image"
+                    onLoad={(e) => {
+                      setLoadingImages(prev => ({
+                        ...prev,
+                        [prevWallpaper.id]: false
+                      }));
                     }}
-                    title="重试加载"
-                  >
-                    🔄
-                  </button>
-                </div>
-              </div>
-            ) : (
-              <img 
-                src={prevWallpaper.imageUrl} 
-                alt={`壁纸 by ${prevWallpaper.artist}`}
-                className="carousel-image"
-                onLoad={(e) => {
-                  setLoadingImages(prev => ({
-                    ...prev,
-                    [prevWallpaper.id]: false
-                  }));
-                }}
-                onError={(e) => {
-                  console.error(`Failed to load image: ${prevWallpaper.id}`);
-                  setImageCache(prev => ({
-                    ...prev,
-                    [prevWallpaper.id]: 'error'
-                  }));
-                  setLoadingImages(prev => ({
-                    ...prev,
-                    [prevWallpaper.id]: false
-                  }));
-                }}
-style={{ 
-                  objectFit: 'cover',
-                  width: '100%',
-                  height: '100%',
-                  maxWidth: '100%',
-                  maxHeight: '100%'
-                }}
-              />
-            )}
-            {loadingImages[prevWallpaper.id] && (
-              <div className="loading-indicator">
-                <div className="spinner"></div>
-                <div>加载中...</div>
+                    onError={(e) => {
+                      console.error(`Failed to load image: ${prevWallpaper.id}`);
+                      setImageCache(prev => ({
+                        ...prev,
+                        [prevWallpaper.id]: 'error'
+                      }));
+                      setLoadingImages(prev => ({
+                        ...prev,
+                        [prevWallpaper.id]: false
+                      }));
+                    }}
+    style={{ 
+                      objectFit: 'cover',
+                      width: '100%',
+                      height: '100%',
+                      maxWidth: '100%',
+                      maxHeight: '100%'
+                    }}
+                  />
+                )}
+                {loadingImages[prevWallpaper.id] && (
+                  <div className="loading-indicator">
+                    <div className="spinner"></div>
+                    <div>加载中...</div>
+                  </div>
+                )}
               </div>
-            )}
-          </div>
 
-          {/* 当前图片 (完全可见) */}
-          <div className={`carousel-item carousel-current ${isNewImage ? 'new-image' : ''} ${animatingItems[currentIndex] || ''}`}>
-            {imageCache[currentWallpaper.id] === 'error' ? (
-              <div className="image-error-placeholder">
-                <div className="error-square">
-                  <div className="error-icon">🖼️</div>
-                  <div className="error-text">加载失败</div>
-                  <button 
-                    className="retry-button-small" 
-                    onClick={(e) => {
-                      e.stopPropagation();
-                      retryLoadImage(currentWallpaper);
+              {/* 当前图片 (完全可见) */}
+              <div className={`carousel-item carousel-current ${isNewImage ? 'new-image' : ''} ${animatingItems[currentIndex] || ''}`} style={getPlaceholderStyle(currentWallpaper)}>
+                {imageCache[currentWallpaper.id] === 'error' ? (
+                  <div className="image-error-placeholder">
+                    <div className="error-square">
+                      <div className="error-icon">🖼️</div>
+                      <div className="error-text">加载失败</div>
+                      <button 
+                        className="retry-button-small" 
+                        onClick={(e) => {
+                          e.stopPropagation();
+                          retryLoadImage(currentWallpaper);
+                        }}
+                        title="重试加载"
+                      >
+                        🔄
+                      </button>
+                    </div>
+                  </div>
+                ) : (
+                  <img 
+                    src={getVariantUrl(currentWallpaper, 'preview')} 
+                    alt={`壁纸 by ${currentWallpaper.artist}`}
+                    className="carousel-image"
+                    onLoad={(e) => {
+                      setLoadingImages(prev => ({
+                        ...prev,
+                        [currentWallpaper.id]: false
+                      }));
                     }}
-                    title="重试加载"
-                  >
-                    🔄
-                  </button>
-                </div>
-              </div>
-            ) : (
-              <img 
-                src={currentWallpaper.imageUrl} 
-                alt={`壁纸 by ${currentWallpaper.artist}`}
-                className="carousel-image"
-                onLoad={(e) => {
-                  setLoadingImages(prev => ({
-                    ...prev,
-                    [currentWallpaper.id]: false
-                  }));
-                }}
-                onError={(e) => {
-                  console.error(`Failed to load image: ${currentWallpaper.id}`);
-                  setImageCache(prev => ({
-                    ...prev,
-                    [currentWallpaper.id]: 'error'
-                  }));
-                  setLoadingImages(prev => ({
-                    ...prev,
-                    [currentWallpaper.id]: false
-                  }));
-                }}
-                style={{ 
-                  objectFit: 'cover',
-                  width: '100%',
-                  height: '100%',
-                  maxWidth: '100%',
-                  maxHeight: '100%'
-                }}
-              />
-            )}
-            {loadingImages[currentWallpaper.id] && (
-              <div className="loading-indicator">
-                加载中...
+                    onError={(e) => {
+                      console.error(`Failed to load image: ${currentWallpaper.id}`);
+                      setImageCache(prev => ({
+                        ...prev,
+                        [currentWallpaper.id]: 'error'
+                      }));
+                      setLoadingImages(prev => ({
+                        ...prev,
+                        [currentWallpaper.id]: false
+                      }));
+                    }}
+                    style={{ 
+                      objectFit: 'cover',
+                      width: '100%',
+                      height: '100%',
+                      maxWidth: '100%',
+                      maxHeight: '100%'
+                    }}
+                  />
+                )}
+                {loadingImages[currentWallpaper.id] && (
+                  <div className="loading-indicator">
+                    加载中...
+                  </div>
+                )}
               </div>
-            )}
-          </div>
 
-          {/* 下一张图片 (左半部分可见) */}
-          <div className={`carousel-item carousel-next ${animatingItems[nextIndex] || ''}`} onClick={handleNext}>
-            {imageCache[nextWallpaper.id] === 'error' ? (
-              <div className="image-error-placeholder">
-                <div className="error-square">
-                  <div className="error-icon">🖼️</div>
-                  <div className="error-text">加载失败</div>
-                  <button 
-                    className="retry-button-small" 
-                    onClick={(e) => {
-                      e.stopPropagation();
-                      retryLoadImage(nextWallpaper);
+              {/* 下一张图片 (左半部分可见) */}
+              <div className={`carousel-item carousel-next ${animatingItems[nextIndex] || ''}`} style={getPlaceholderStyle(nextWallpaper)} onClick={handleNext}>
+                {imageCache[nextWallpaper.id] === 'error' ? (
+                  <div className="image-error-placeholder">
+                    <div className="error-square">
+                      <div className="error-icon">🖼️</div>
+                      <div className="error-text">加载失败</div>
+                      <button 
+                        className="retry-button-small" 
+                        onClick={(e) => {
+                          e.stopPropagation();
+                          retryLoadImage(nextWallpaper);
+                        }}
+                        title="重试加载"
+                      >
+                        🔄
+                      </button>
+                    </div>
+                  </div>
+                ) : (
+                  <img 
+                    src={getVariantUrl(nextWallpaper, 'thumb')} 
+                    alt={`壁纸 by ${nextWallpaper.artist}`}
+                    className="carousel-image"
+                    onLoad={(e) => {
+                      setLoadingImages(prev => ({
+                        ...prev,
+                        [nextWallpaper.id]: false
+                      }));
                     }}
-                    title="重试加载"
-                  >
-                    🔄
-                  </button>
-                </div>
+                    onError={(e) => {
+                      console.error(`Failed to load image: ${nextWallpaper.id}`);
+                      setImageCache(prev => ({
+                        ...prev,
+                        [nextWallpaper.id]: 'error'
+                      }));
+                      setLoadingImages(prev => ({
+                        ...prev,
+                        [nextWallpaper.id]: false
+                      }));
+                    }}
+                    style={{ 
+                      objectFit: 'cover',
+                      width: '100%',
+                      height: '100%',
+                      maxWidth: '100%',
+                      maxHeight: '100%'
+                    }}
+                  />
+                )}
+                {loadingImages[nextWallpaper.id] && (
+                  <div className="loading-indicator">
+                    加载中...
+                  </div>
+                )}
               </div>
-            ) : (
-              <img 
-                src={nextWallpaper.imageUrl} 
-                alt={`壁纸 by ${nextWallpaper.artist}`}
-                className="carousel-image"
-                onLoad={(e) => {
-                  setLoadingImages(prev => ({
-                    ...prev,
-                    [nextWallpaper.id]: false
-                  }));
-                }}
-                onError={(e) => {
-                  console.error(`Failed to load image: ${nextWallpaper.id}`);
-                  setImageCache(prev => ({
-                    ...prev,
-                    [nextWallpaper.id]: 'error'
-                  }));
-                  setLoadingImages(prev => ({
-                    ...prev,
-                    [nextWallpaper.id]: false
-                  }));
-                }}
-                style={{ 
-                  objectFit: 'cover',
-                  width: '100%',
-                  height: '100%',
-                  maxWidth: '100%',
-                  maxHeight: '100%'
-                }}
-              />
-            )}
-            {loadingImages[nextWallpaper.id] && (
-              <div className="loading-indicator">
-                加载中...
+            </div>
+          </div>
+
+          {/* 壁纸信息 */}
+          <div className="wallpaper-info">
+            <div className="info-item">
+              <span className="info-label">ID:</span>
+              <span className="info-value">{currentWallpaper.id}</span>
+            </div>
+            <div className="info-item">
+              <span className="info-label">画师:</span>
+              <span className="info-value">{currentWallpaper.artist}</span>
+            </div>
+            <div className="info-item">
+              <span className="info-label">来源:</span>
+              <span className="info-value">{currentWallpaper.source}</span>
+            </div>
+            {/* 状态显示 */}
+            {wallpaperStatus && (
+              <div className="info-item status-item">
+                <span className="status-text">{wallpaperStatus}</span>
               </div>
             )}
           </div>
-        </div>
-      </div>
 
-      {/* 壁纸信息 */}
-      <div className="wallpaper-info">
-        <div className="info-item">
-          <span className="info-label">ID:</span>
-          <span className="info-value">{currentWallpaper.id}</span>
-        </div>
-        <div className="info-item">
-          <span className="info-label">画师:</span>
-          <span className="info-value">{currentWallpaper.artist}</span>
-        </div>
-        <div className="info-item">
-          <span className="info-label">来源:</span>
-          <span className="info-value">{currentWallpaper.source}</span>
-        </div>
-        {/* 状态显示 */}
-        {wallpaperStatus && (
-          <div className="info-item status-item">
-            <span className="status-text">{wallpaperStatus}</span>
+          {/* 指示器 */}
+          <div className="indicator-container" onMouseLeave={() => setHoveredIndicator(null)}>
+            {displayWallpapers.map((_, index) => (
+              <span 
+                key={index} 
+                className={`indicator ${index === currentIndex ? 'active' : ''} ${isTransitioning ? 'disabled' : ''}`}
+                onClick={() => handleIndicatorClick(index)}
+                onMouseEnter={() => setHoveredIndicator(index)}
+              />
+            ))}
+            {/* 悬停时显示对应壁纸的缩略图 */}
+            {hoveredIndicator !== null && displayWallpapers[hoveredIndicator] && (
+              <img
+                className="indicator-preview"
+                src={getVariantUrl(displayWallpapers[hoveredIndicator], 'thumb')}
+                alt=""
+              />
+            )}
           </div>
-        )}
-      </div>
-
-      {/* 指示器 */}
-      <div className="indicator-container">
-        {displayWallpapers.map((_, index) => (
-          <span 
-            key={index} 
-            className={`indicator ${index === currentIndex ? 'active' : ''} ${isTransitioning ? 'disabled' : ''}`}
-            onClick={() => handleIndicatorClick(index)}
-          />
-        ))}
-      </div>
+        </>
+      )}
 
       {/* 控制按钮组 */}
       <div className="control-buttons">
@@ -701,10 +1044,65 @@ style={{
           设置
         </button>
         
+        {/* 网格/轮播切换按钮 */}
+        <button 
+          className={`view-mode-button ${viewMode === 'grid' ? 'active' : ''}`}
+          onClick={() => setViewMode(viewMode === 'grid' ? 'carousel' : 'grid')}
+          title={viewMode === 'grid' ? '返回轮播' : '浏览全部壁纸'}
+        >
+          <svg width="16" height="16" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg" style={{marginRight: '6px'}}>
+            <path d="M3 3h8v8H3V3zm10 0h8v8h-8V3zM3 13h8v8H3v-8zm10 0h8v8h-8v-8z" fill="currentColor"/>
+          </svg>
+          {viewMode === 'grid' ? '返回轮播' : '全部壁纸'}
+        </button>
+
+        {/* 我的收藏切换按钮 */}
+        <button 
+          className={`view-mode-button ${viewMode === 'favorites' ? 'active' : ''}`}
+          onClick={() => setViewMode(viewMode === 'favorites' ? 'carousel' : 'favorites')}
+          title={viewMode === 'favorites' ? '返回轮播' : '浏览收藏的壁纸（双击设为壁纸）'}
+        >
+          <svg width="16" height="16" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg" style={{marginRight: '6px'}}>
+            <path d="M17 3H7c-1.1 0-2 .9-2 2v16l7-3 7 3V5c0-1.1-.9-2-2-2z" fill="currentColor"/>
+          </svg>
+          {viewMode === 'favorites' ? '返回轮播' : `我的收藏 (${favorites.length})`}
+        </button>
+
+        {/* 壁纸历史按钮 */}
+        <button 
+          className={`view-mode-button ${showHistory ? 'active' : ''}`}
+          onClick={() => setShowHistory(true)}
+          title="查看设置过的壁纸，恢复上一张"
+        >
+          <svg width="16" height="16" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg" style={{marginRight: '6px'}}>
+            <path d="M13 3a9 9 0 0 0-9 9H1l3.89 3.89.07.14L9 12H6c0-3.87 3.13-7 7-7s7 3.13 7 7-3.13 7-7 7c-1.93 0-3.68-.79-4.94-2.06l-1.42 1.42A8.954 8.954 0 0 0 13 21a9 9 0 0 0 0-18zm-1 5v5l4.28 2.54.72-1.21-3.5-2.08V8H12z" fill="currentColor"/>
+          </svg>
+          壁纸历史
+        </button>
+
+        {/* 收藏按钮 */}
+        {(() => {
+          const target = viewMode === 'favorites' ? favorites[favoriteIndex] : currentWallpaper;
+          const favorited = isFavorite(target);
+          return (
+            <button 
+              className={`favorite-button ${favorited ? 'active' : ''}`}
+              onClick={() => handleToggleFavorite(target)}
+              disabled={!target}
+              title={favorited ? '取消收藏' : '收藏当前壁纸'}
+            >
+              <svg width="16" height="16" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg" style={{marginRight: '6px'}}>
+                <path d="M12 21.35l-1.45-1.32C5.4 15.36 2 12.28 2 8.5C2 5.42 4.42 3 7.5 3c1.74 0 3.41.81 4.5 2.09C13.09 3.81 14.76 3 16.5 3C19.58 3 22 5.42 22 8.5c0 3.78-3.4 6.86-8.55 11.54L12 21.35z" fill={favorited ? 'currentColor' : 'none'} stroke="currentColor" strokeWidth="2"/>
+              </svg>
+              {favorited ? '已收藏' : '收藏'}
+            </button>
+          );
+        })()}
+        
         {/* 设为壁纸按钮 */}
         <button 
           className="set-wallpaper-button"
-          onClick={handleSetWallpaper}
+          onClick={() => handleSetWallpaper(viewMode === 'favorites' ? favorites[favoriteIndex] : currentWallpaper)}
           disabled={isSettingWallpaper}
           title="设为壁纸"
         >
@@ -724,6 +1122,37 @@ style={{
           )}
         </button>
         
+        {/* 桌面 / 锁屏选择，仅在支持设置锁屏时显示 */}
+        {backendInfo.lockScreenSupported && (
+          <select
+            className="display-select"
+            value={wallpaperTarget}
+            onChange={(e) => setWallpaperTarget(e.target.value)}
+            title="设为壁纸的目标"
+          >
+            <option value="desktop">桌面</option>
+            <option value="lock">锁屏</option>
+            <option value="both">桌面和锁屏</option>
+          </select>
+        )}
+        
+        {/* 目标显示器选择，仅在多显示器时显示 */}
+        {displayInfo.displays.length > 1 && (
+          <select
+            className="display-select"
+            value={targetDisplayId}
+            onChange={(e) => setTargetDisplayId(e.target.value)}
+            title="设为壁纸的目标显示器"
+          >
+            <option value="">所有显示器</option>
+            {displayInfo.displays.map((display, index) => (
+              <option key={display.id} value={display.id}>
+                {`显示器 ${index + 1}${display.primary ? '（主）' : ''}`}
+              </option>
+            ))}
+          </select>
+        )}
+        
         {/* 自动设置壁纸切换按钮 */}
         <button 
           className={`auto-wallpaper-button ${autoSetWallpaper ? 'active' : ''}`}
@@ -743,22 +1172,26 @@ style={{
         </button>
       </div>
       
-      {/* 在萌哩打开按钮 - 右下角 */}
-      <div className="moely-link-container">
-        <button 
-          className="moely-link-button"
-          onClick={() => ipcRenderer.invoke('open-external', `https://www.moely.link/img/${currentWallpaper.id}/`)}
-          title="在萌哩打开"
-        >
-          <svg width="16" height="16" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg" style={{marginRight: '6px'}}>
-            <path d="M10 6V8H5V19H16V14H18V19C18 20.1 17.1 21 16 21H5C3.9 21 3 20.1 3 19V8C3 6.9 3.9 6 5 6H10Z" fill="currentColor"/>
-            <path d="M21 3H15V5H18.59L9.76 13.83L11.17 15.24L20 6.41V10H22V3C22 2.45 21.55 2 21 2V3Z" fill="currentColor"/>
-          </svg>
-          在萌哩打开
-        </button>
-      </div>
+      {/* 在萌哩打开按钮 - 右下角（本地图片没有萌哩页面） */}
+      {!currentWallpaper.localPath && (
+        <div className="moely-link-container">
+          <button 
+            className="moely-link-button"
+            onClick={() => moely.openExternal(`https://www.moely.link/img/${currentWallpaper.id}/`)}
+            title="在萌哩打开"
+          >
+            <svg width="16" height="16" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg" style={{marginRight: '6px'}}>
+              <path d="M10 6V8H5V19H16V14H18V19C18 20.1 17.1 21 16 21H5C3.9 21 3 20.1 3 19V8C3 6.9 3.9 6 5 6H10Z" fill="currentColor"/>
+              <path d="M21 3H15V5H18.59L9.76 13.83L11.17 15.24L20 6.41V10H22V3C22 2.45 21.55 2 21 2V3Z" fill="currentColor"/>
+            </svg>
+            在萌哩打开
+          </button>
+        </div>
+      )}
 
       {/* 设置面板 */}
+      {showHistory && <HistoryPanel onClose={() => setShowHistory(false)} />}
+
       {showSettings && (
         <div className="settings-panel-overlay" onClick={() => setShowSettings(false)}>
           <div className="settings-panel" onClick={(e) => e.stopPropagation()}>
@@ -790,22 +1223,215 @@ style={{
                 </div>
               </div>
               
+              <div className="setting-item rotation-setting">
+                <div className="setting-label">
+                  <span className="setting-title">定时轮换</span>
+                  <span className="setting-description">
+                    {rotationStatus && rotationStatus.running
+                      ? `下次切换：${formatNextRunTime(rotationStatus.nextRunTime)}`
+                      : '窗口隐藏时也会按时切换壁纸'}
+                  </span>
+                  {rotationStatus && rotationStatus.lastError && (
+                    <span className="setting-description rotation-error">{rotationStatus.lastError}</span>
+                  )}
+                  <div className="rotation-options">
+                    <select
+                      className="rotation-select"
+                      value={rotationConfig.mode}
+                      onChange={(e) => handleRotationConfigChange({ mode: e.target.value })}
+                    >
+                      <option value="interval">每隔</option>
+                      <option value="hourly">每小时</option>
+                      <option value="daily">每天</option>
+                    </select>
+                    {rotationConfig.mode === 'interval' && (
+                      <>
+                        <input
+                          type="number"
+                          min="1"
+                          max={MAX_INTERVAL_MINUTES}
+                          className="rotation-input"
+                          value={rotationConfig.intervalMinutes}
+                          onChange={(e) => handleRotationConfigChange({
+                            intervalMinutes: Math.min(parseInt(e.target.value, 10) || 1, MAX_INTERVAL_MINUTES)
+                          })}
+                        />
+                        <span className="rotation-unit">分钟</span>
+                      </>
+                    )}
+                    {rotationConfig.mode === 'daily' && (
+                      <input
+                        type="time"
+                        className="rotation-input"
+                        value={rotationConfig.dailyTime}
+                        onChange={(e) => handleRotationConfigChange({ dailyTime: e.target.value })}
+                      />
+                    )}
+                    <select
+                      className="rotation-select"
+                      value={rotationConfig.order}
+                      onChange={(e) => handleRotationConfigChange({ order: e.target.value })}
+                    >
+                      <option value="sequential">顺序</option>
+                      <option value="random">随机</option>
+                    </select>
+                    <select
+                      className="rotation-select"
+                      value={rotationConfig.pool}
+                      onChange={(e) => handleRotationConfigChange({ pool: e.target.value })}
+                    >
+                      <option value="all">全部壁纸</option>
+                      <option value="favorites">仅收藏</option>
+                    </select>
+                    {backendInfo.lockScreenSupported && (
+                      <select
+                        className="rotation-select"
+                        value={rotationConfig.target}
+                        onChange={(e) => handleRotationConfigChange({ target: e.target.value })}
+                      >
+                        <option value="desktop">桌面</option>
+                        <option value="lock">锁屏</option>
+                        <option value="both">桌面和锁屏</option>
+                      </select>
+                    )}
+                    {backendInfo.lockScreenSupported && rotationConfig.target === 'both' && (
+                      <label className="rotation-checkbox">
+                        <input
+                          type="checkbox"
+                          checked={!!rotationConfig.separateLockScreen}
+                          onChange={(e) => handleRotationConfigChange({ separateLockScreen: e.target.checked })}
+                        />
+                        锁屏使用不同壁纸
+                      </label>
+                    )}
+                  </div>
+                </div>
+                <div className="setting-control">
+                  <label className="switch">
+                    <input 
+                      type="checkbox" 
+                      checked={!!(rotationStatus && rotationStatus.running)}
+                      onChange={(e) => handleRotationToggle(e.target.checked)}
+                    />
+                    <span className="slider"></span>
+                  </label>
+                </div>
+              </div>
+              
+              {displayInfo.displays.length > 1 && (
+                <div className="setting-item">
+                  <div className="setting-label">
+                    <span className="setting-title">多显示器轮换</span>
+                    <span className="setting-description">
+                      定时轮换时为 {displayInfo.displays.length} 个显示器分别选择不同的壁纸
+                      {!displayInfo.perScreenSupported && '（当前系统会合成一张跨屏图片）'}
+                    </span>
+                  </div>
+                  <div className="setting-control">
+                    <label className="switch">
+                      <input 
+                        type="checkbox" 
+                        checked={rotatePerDisplay}
+                        onChange={(e) => handleRotatePerDisplayChange(e.target.checked)}
+                      />
+                      <span className="slider"></span>
+                    </label>
+                  </div>
+                </div>
+              )}
+              
               <div className="setting-item">
                 <div className="setting-label">
-                  <span className="setting-title">检查更新</span>
-                  <span className="setting-description">检查是否有新版本可用</span>
+                  <span className="setting-title">图片适配</span>
+                  <span className="setting-description">图片比例与屏幕不一致时的处理方式，填充模式按焦点位置裁剪</span>
+                  <div className="rotation-options">
+                    <select
+                      className="rotation-select"
+                      value={imageFit.mode}
+                      onChange={(e) => handleImageFitChange({ mode: e.target.value })}
+                    >
+                      {FIT_MODE_OPTIONS.map(option => (
+                        <option key={option.value} value={option.value}>{option.label}</option>
+                      ))}
+                    </select>
+                  </div>
+                </div>
+                {(imageFit.mode === 'fill' || imageFit.mode === 'blur') && (
+                  <div className="setting-control">
+                    <div className="focus-grid" title="裁剪焦点">
+                      {FOCUS_POSITIONS.map(({ focusX, focusY }) => (
+                        <button
+                          key={`${focusX}-${focusY}`}
+                          className={`focus-cell ${imageFit.focusX === focusX && imageFit.focusY === focusY ? 'active' : ''}`}
+                          onClick={() => handleImageFitChange({ focusX, focusY })}
+                        />
+                      ))}
+                    </div>
+                  </div>
+                )}
+              </div>
+              
+              {backendInfo.backends.length > 0 && (
+                <div className="setting-item">
+                  <div className="setting-label">
+                    <span className="setting-title">桌面环境</span>
+                    <span className="setting-description">
+                      设置壁纸使用的桌面环境接口
+                      {backendInfo.detected ? `，自动检测为 ${backendInfo.detected}` : '，未能自动检测'}
+                    </span>
+                  </div>
+                  <div className="setting-control">
+                    <select
+                      className="rotation-select"
+                      value={linuxBackend}
+                      onChange={(e) => handleLinuxBackendChange(e.target.value)}
+                    >
+                      <option value="auto">自动</option>
+                      {backendInfo.backends.map(backend => (
+                        <option key={backend.name} value={backend.name}>{backend.label}</option>
+                      ))}
+                    </select>
+                  </div>
+                </div>
+              )}
+              
+              <div className="setting-item">
+                <div className="setting-label">
+                  <span className="setting-title">本地控制接口</span>
+                  <span className="setting-description">
+                    允许本机的自动化工具通过 HTTP 控制壁纸，请求需带上 Authorization: Bearer 令牌
+                  </span>
+                  {controlApi.enabled && controlApiStatus && controlApiStatus.error && (
+                    <span className="setting-description rotation-error">启动失败：{controlApiStatus.error}</span>
+                  )}
+                  {controlApi.enabled && (
+                    <div className="control-api-info">
+                      <span>地址：http://127.0.0.1:{controlApi.port}/api</span>
+                      <span className="control-api-token">令牌：{controlApi.token}</span>
+                      <button className="control-api-reset" onClick={handleResetControlToken}>重新生成令牌</button>
+                    </div>
+                  )}
                 </div>
                 <div className="setting-control">
-                  <button 
-                    className="check-update-button"
-                    onClick={handleCheckUpdate}
-                    disabled={isCheckingUpdate}
-                  >
-                    {isCheckingUpdate ? '检查中...' : '检查更新'}
-                  </button>
+                  <label className="switch">
+                    <input 
+                      type="checkbox" 
+                      checked={controlApi.enabled}
+                      onChange={(e) => handleControlApiToggle(e.target.checked)}
+                    />
+                    <span className="slider"></span>
+                  </label>
                 </div>
               </div>
               
+              <SourceSettings />
+              
+              <ShortcutSettings />
+              
+              <CacheSettings />
+              
+              <UpdateSettings />
+              
               <div className="setting-item">
                 <div className="setting-label">
                   <span className="setting-title">清除缓存</span>
@@ -822,12 +1448,6 @@ style={{
                 </div>
               </div>
               
-              {updateStatus && (
-                <div className="update-status">
-                  {updateStatus}
-                </div>
-              )}
-              
               {cacheStatus && (
                 <div className="cache-status">
                   {cacheStatus}
@@ -0,0 +1,68 @@
+// 自适应主题：按当前壁纸的配色（主进程提取的 { dominant, accent }）设置 CSS 变量，
+// 样式中的强调色写作 rgba(var(--accent-rgb), 透明度)；画布等无法使用 CSS 变量的地方用 onThemeChange 订阅
+
+// 没有配色时使用的默认主题（应用原来的粉色）
+const DEFAULT_PALETTE = { dominant: '#0a0a0a', accent: '#ff00b4' };
+
+// 信息栏等半透明背景的最大亮度，保证上面的白色文字清晰可读
+const MAX_SURFACE_CHANNEL = 40;
+
+const parseHex = (hex) => {
+  const match = /^#([0-9a-f]{6})$/i.exec(hex || '');
+  if (!match) {
+    return null;
+  }
+  const value = parseInt(match[1], 16);
+  return { r: (value >> 16) & 255, g: (value >> 8) & 255, b: value & 255 };
+};
+
+const toRgbList = ({ r, g, b }) => [r, g, b].map(Math.round).join(', ');
+
+// 与白色混合，amount 为白色所占比例
+const lighten = ({ r, g, b }, amount) => ({
+  r: r + (255 - r) * amount,
+  g: g + (255 - g) * amount,
+  b: b + (255 - b) * amount
+});
+
+// 按比例压暗，最亮的通道不超过 MAX_SURFACE_CHANNEL
+const darken = ({ r, g, b }) => {
+  const scale = Math.min(1, MAX_SURFACE_CHANNEL / Math.max(r, g, b, 1));
+  return { r: r * scale, g: g * scale, b: b * scale };
+};
+
+let currentTheme = null;
+const listeners = new Set();
+
+// 应用壁纸配色，palette 为空时恢复默认主题；返回 { accent, dominant, surface }（均为 { r, g, b }）
+const applyPalette = (palette) => {
+  const accent = parseHex(palette && palette.accent) || parseHex(DEFAULT_PALETTE.accent);
+  const dominant = parseHex(palette && palette.dominant) || parseHex(DEFAULT_PALETTE.dominant);
+  const theme = { accent, dominant, surface: darken(dominant) };
+
+  const key = `${toRgbList(accent)}|${toRgbList(dominant)}`;
+  if (currentTheme && currentTheme.key === key) {
+    return currentTheme.theme;
+  }
+  currentTheme = { key, theme };
+
+  const { style } = document.documentElement;
+  style.setProperty('--accent-rgb', toRgbList(accent));
+  style.setProperty('--accent-hover-rgb', toRgbList(lighten(accent, 0.2)));
+  style.setProperty('--dominant-rgb', toRgbList(dominant));
+  style.setProperty('--surface-rgb', toRgbList(theme.surface));
+
+  listeners.forEach(listener => listener(theme));
+  return theme;
+};
+
+// 当前主题（尚未应用过配色时为默认主题）
+const getTheme = () => (currentTheme ? currentTheme.theme : applyPalette(null));
+
+// 订阅主题变化，返回取消订阅的函数
+const onThemeChange = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+export { DEFAULT_PALETTE, applyPalette, getTheme, onThemeChange };
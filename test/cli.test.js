@@ -0,0 +1,29 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { parseCliArgs } from '../src/main/cli.js';
+
+const DEFAULTS = { command: null, value: null, json: false, headless: false, error: null };
+
+test('returns no command for a plain launch', () => {
+  assert.deepEqual(parseCliArgs([]), DEFAULTS);
+});
+
+test('parses commands and options in any order', () => {
+  assert.deepEqual(parseCliArgs(['--json', '--list']), { ...DEFAULTS, command: 'list', json: true });
+  assert.deepEqual(parseCliArgs(['--next', '--headless']), { ...DEFAULTS, command: 'next', headless: true });
+  assert.deepEqual(parseCliArgs(['--set', '42', '--json']), { ...DEFAULTS, command: 'set', value: '42', json: true });
+});
+
+test('ignores Electron and Chromium arguments', () => {
+  const argv = ['/opt/moely/moely-wallpaper', '.', '--no-sandbox', '--enable-logging', '--random'];
+  assert.deepEqual(parseCliArgs(argv), { ...DEFAULTS, command: 'random' });
+});
+
+test('requires a value for --set', () => {
+  assert.equal(parseCliArgs(['--set']).error, '--set requires a value');
+  assert.equal(parseCliArgs(['--set', '--json']).error, '--set requires a value');
+});
+
+test('rejects more than one command', () => {
+  assert.equal(parseCliArgs(['--next', '--prev']).error, 'Only one command can be given (got next and prev)');
+});
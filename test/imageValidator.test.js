@@ -0,0 +1,86 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { InvalidImageError, detectImage, parseHash } from '../src/main/imageValidator.js';
+
+// 按 [偏移, 字节] 写入固定长度的文件头
+const header = (length, ...parts) => {
+  const buffer = Buffer.alloc(length);
+  for (const [offset, bytes] of parts) {
+    Buffer.from(bytes).copy(buffer, offset);
+  }
+  return buffer;
+};
+
+const uint16BE = value => [value >> 8, value & 0xff];
+const uint16LE = value => [value & 0xff, value >> 8];
+const uint32BE = value => [value >>> 24, (value >> 16) & 0xff, (value >> 8) & 0xff, value & 0xff];
+const uint32LE = value => uint32BE(value).reverse();
+
+test('reads JPEG size from the SOF segment after APP segments', () => {
+  const buffer = header(64,
+    [0, [0xff, 0xd8]],
+    // APP0，长度 16
+    [2, [0xff, 0xe0, ...uint16BE(16)]],
+    // SOF0：长度、精度、高、宽
+    [20, [0xff, 0xc0, ...uint16BE(17), 8, ...uint16BE(1080), ...uint16BE(1920)]]
+  );
+  assert.deepEqual(detectImage(buffer), { type: 'jpeg', width: 1920, height: 1080 });
+});
+
+test('reads PNG size from IHDR', () => {
+  const buffer = header(32,
+    [0, [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]],
+    [12, Buffer.from('IHDR')],
+    [16, [...uint32BE(2560), ...uint32BE(1440)]]
+  );
+  assert.deepEqual(detectImage(buffer), { type: 'png', width: 2560, height: 1440 });
+});
+
+test('reads GIF and BMP sizes', () => {
+  const gif = header(16, [0, Buffer.from('GIF89a')], [6, [...uint16LE(640), ...uint16LE(480)]]);
+  assert.deepEqual(detectImage(gif), { type: 'gif', width: 640, height: 480 });
+
+  // 自上而下存储的 BMP 高度为负数
+  const bmp = header(32, [0, Buffer.from('BM')], [18, [...uint32LE(800), ...uint32LE(-600 >>> 0)]]);
+  assert.deepEqual(detectImage(bmp), { type: 'bmp', width: 800, height: 600 });
+});
+
+test('reads WebP sizes for VP8, VP8L and VP8X', () => {
+  const riff = chunk => [[0, Buffer.from('RIFF')], [8, Buffer.from('WEBP')], [12, Buffer.from(chunk)]];
+
+  const lossy = header(32, ...riff('VP8 '), [26, [...uint16LE(1920), ...uint16LE(1080)]]);
+  assert.deepEqual(detectImage(lossy), { type: 'webp', width: 1920, height: 1080 });
+
+  // 14 位宽度减一、14 位高度减一
+  const lossless = header(32, ...riff('VP8L'), [21, uint32LE((1919) | (1079 << 14))]);
+  assert.deepEqual(detectImage(lossless), { type: 'webp', width: 1920, height: 1080 });
+
+  const extended = header(32, ...riff('VP8X'), [24, [...uint32LE(3839).slice(0, 3), ...uint32LE(2159).slice(0, 3)]]);
+  assert.deepEqual(detectImage(extended), { type: 'webp', width: 3840, height: 2160 });
+});
+
+test('reports zero size for a recognized but truncated header', () => {
+  const buffer = header(12, [0, [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]]);
+  assert.deepEqual(detectImage(buffer), { type: 'png', width: 0, height: 0 });
+});
+
+test('returns null for unknown or short data', () => {
+  assert.equal(detectImage(Buffer.from('<!DOCTYPE html><html></html>')), null);
+  assert.equal(detectImage(Buffer.from([0xff, 0xd8, 0xff])), null);
+});
+
+test('infers the hash algorithm from the digest length', () => {
+  assert.deepEqual(parseHash('A'.repeat(64)), { algorithm: 'sha256', digest: 'a'.repeat(64) });
+  assert.deepEqual(parseHash(` ${'b'.repeat(40)} `), { algorithm: 'sha1', digest: 'b'.repeat(40) });
+  assert.deepEqual(parseHash('c'.repeat(32)), { algorithm: 'md5', digest: 'c'.repeat(32) });
+});
+
+test('accepts algorithm prefixes', () => {
+  assert.deepEqual(parseHash(`sha256:${'d'.repeat(64)}`), { algorithm: 'sha256', digest: 'd'.repeat(64) });
+  assert.deepEqual(parseHash(`MD5-${'e'.repeat(32)}`), { algorithm: 'md5', digest: 'e'.repeat(32) });
+});
+
+test('rejects unsupported hash formats', () => {
+  assert.throws(() => parseHash('f'.repeat(50)), InvalidImageError);
+  assert.throws(() => parseHash('z'.repeat(64)), /unsupported hash format/);
+});
@@ -0,0 +1,224 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { pathToFileURL } from 'url';
+import LinuxBackends, { BUILTIN_BACKEND_NAMES } from '../src/main/linuxBackends.js';
+
+const IMAGE = '/tmp/wallpaper.jpg';
+const IMAGE_URI = pathToFileURL(IMAGE).href;
+
+// 记录调用的命令执行器：commands 为 PATH 中存在的命令，outputs 为命令的 stdout，fail 中的命令执行失败
+const createRunner = ({ commands = [], outputs = {}, fail = [] } = {}) => {
+  const runner = {
+    calls: [],
+    spawned: [],
+    run: async (command, args) => {
+      runner.calls.push([command, ...args]);
+      if (fail.some(match => match(command, args))) {
+        throw new Error(`${command} failed`);
+      }
+      return { stdout: outputs[command] || '', stderr: '' };
+    },
+    spawn: (command, args) => {
+      const child = { command, args, killed: false, kill: () => { child.killed = true; } };
+      runner.spawned.push(child);
+      return child;
+    },
+    exists: command => commands.includes(command)
+  };
+  return runner;
+};
+
+test('lists the built-in backends', () => {
+  const backends = new LinuxBackends({ runner: createRunner(), env: {} });
+
+  assert.deepEqual(backends.list().map(({ name }) => name), BUILTIN_BACKEND_NAMES);
+  assert.deepEqual(BUILTIN_BACKEND_NAMES, ['gnome', 'kde', 'xfce', 'wlroots', 'x11']);
+});
+
+test('detects the backend from XDG_CURRENT_DESKTOP', () => {
+  const detect = env => new LinuxBackends({ runner: createRunner(), env }).detect();
+
+  assert.equal(detect({ XDG_CURRENT_DESKTOP: 'ubuntu:GNOME' }), 'gnome');
+  assert.equal(detect({ XDG_CURRENT_DESKTOP: 'KDE' }), 'kde');
+  assert.equal(detect({ XDG_CURRENT_DESKTOP: 'XFCE' }), 'xfce');
+  assert.equal(detect({ XDG_CURRENT_DESKTOP: 'sway' }), 'wlroots');
+  assert.equal(detect({ DESKTOP_SESSION: 'i3' }), 'x11');
+});
+
+test('falls back to the display server when the desktop is unknown', () => {
+  const detect = env => new LinuxBackends({ runner: createRunner(), env }).detect();
+
+  assert.equal(detect({ XDG_CURRENT_DESKTOP: 'unknown', WAYLAND_DISPLAY: 'wayland-0' }), 'wlroots');
+  assert.equal(detect({ DISPLAY: ':0' }), 'x11');
+  assert.equal(detect({}), null);
+});
+
+test('a user override takes precedence over detection', async () => {
+  const runner = createRunner({ commands: ['feh'] });
+  const backends = new LinuxBackends({ runner, env: { XDG_CURRENT_DESKTOP: 'GNOME' } });
+
+  const result = await backends.setWallpaper(IMAGE, {}, 'x11');
+
+  assert.deepEqual(result, { success: true, method: 'linux-x11' });
+  assert.deepEqual(runner.calls, [['feh', '--bg-fill', IMAGE]]);
+});
+
+test('rejects unknown or undetectable backends', async () => {
+  const backends = new LinuxBackends({ runner: createRunner(), env: {} });
+
+  await assert.rejects(backends.setWallpaper(IMAGE, {}, 'cinnamon'), /Unknown Linux wallpaper backend: cinnamon/);
+  await assert.rejects(backends.setWallpaper(IMAGE), /Unable to detect desktop environment/);
+  assert.equal(backends.supportsLockScreen(), false);
+});
+
+test('gnome sets the light and dark URIs', async () => {
+  const runner = createRunner();
+  const backends = new LinuxBackends({ runner, env: { XDG_CURRENT_DESKTOP: 'GNOME' } });
+
+  await backends.setWallpaper(IMAGE, { scale: 'span' });
+
+  assert.deepEqual(runner.calls, [
+    ['gsettings', 'set', 'org.gnome.desktop.background', 'picture-uri', IMAGE_URI],
+    ['gsettings', 'set', 'org.gnome.desktop.background', 'picture-uri-dark', IMAGE_URI],
+    ['gsettings', 'set', 'org.gnome.desktop.background', 'picture-options', 'spanned']
+  ]);
+});
+
+test('gnome continues when the dark key is missing', async () => {
+  const runner = createRunner({ fail: [(command, args) => args.includes('picture-uri-dark')] });
+  const backends = new LinuxBackends({ runner, env: { XDG_CURRENT_DESKTOP: 'GNOME' } });
+
+  const result = await backends.setWallpaper(IMAGE);
+
+  assert.equal(result.success, true);
+  assert.deepEqual(runner.calls.at(-1), ['gsettings', 'set', 'org.gnome.desktop.background', 'picture-options', 'zoom']);
+});
+
+test('gnome sets the lock screen picture', async () => {
+  const runner = createRunner();
+  const backends = new LinuxBackends({ runner, env: { XDG_CURRENT_DESKTOP: 'GNOME' } });
+
+  assert.equal(backends.supportsLockScreen(), true);
+  await backends.setLockScreen(IMAGE);
+
+  assert.deepEqual(runner.calls, [['gsettings', 'set', 'org.gnome.desktop.screensaver', 'picture-uri', IMAGE_URI]]);
+});
+
+test('kde evaluates a plasmashell script with the first qdbus found', async () => {
+  const runner = createRunner({ commands: ['qdbus', 'qdbus-qt5'] });
+  const backends = new LinuxBackends({ runner, env: { XDG_CURRENT_DESKTOP: 'KDE' } });
+
+  await backends.setWallpaper(IMAGE);
+
+  assert.equal(runner.calls.length, 1);
+  const [command, service, objectPath, method, script] = runner.calls[0];
+  assert.deepEqual([command, service, objectPath, method], [
+    'qdbus', 'org.kde.plasmashell', '/PlasmaShell', 'org.kde.PlasmaShell.evaluateScript'
+  ]);
+  assert.match(script, /desktop\.wallpaperPlugin = 'org\.kde\.image'/);
+  assert.ok(script.includes(`writeConfig('Image', ${JSON.stringify(IMAGE_URI)})`));
+});
+
+test('kde fails without qdbus', async () => {
+  const backends = new LinuxBackends({ runner: createRunner(), env: { XDG_CURRENT_DESKTOP: 'KDE' } });
+
+  await assert.rejects(backends.setWallpaper(IMAGE), /qdbus not found/);
+});
+
+test('kde writes the lock screen image with kwriteconfig', async () => {
+  const runner = createRunner({ commands: ['kwriteconfig5'] });
+  const backends = new LinuxBackends({ runner, env: { XDG_CURRENT_DESKTOP: 'KDE' } });
+
+  await backends.setLockScreen(IMAGE);
+
+  assert.equal(runner.calls.length, 2);
+  assert.deepEqual(runner.calls[0], [
+    'kwriteconfig5', '--file', 'kscreenlockerrc', '--group', 'Greeter', '--key', 'WallpaperPlugin', 'org.kde.image'
+  ]);
+  assert.deepEqual(runner.calls[1].slice(-3), ['--key', 'Image', IMAGE_URI]);
+});
+
+test('xfce sets every last-image property', async () => {
+  const runner = createRunner({
+    outputs: {
+      'xfconf-query': [
+        '/backdrop/screen0/monitor0/workspace0/last-image',
+        '/backdrop/screen0/monitor0/workspace0/image-style',
+        '/backdrop/screen0/monitor1/workspace0/last-image',
+        ''
+      ].join('\n')
+    }
+  });
+  const backends = new LinuxBackends({ runner, env: { XDG_CURRENT_DESKTOP: 'XFCE' } });
+
+  await backends.setWallpaper(IMAGE);
+
+  assert.deepEqual(runner.calls, [
+    ['xfconf-query', '-c', 'xfce4-desktop', '-l'],
+    ['xfconf-query', '-c', 'xfce4-desktop', '-p', '/backdrop/screen0/monitor0/workspace0/last-image', '-s', IMAGE],
+    ['xfconf-query', '-c', 'xfce4-desktop', '-p', '/backdrop/screen0/monitor1/workspace0/last-image', '-s', IMAGE]
+  ]);
+});
+
+test('xfce fails when no desktop image properties exist', async () => {
+  const backends = new LinuxBackends({ runner: createRunner(), env: { XDG_CURRENT_DESKTOP: 'XFCE' } });
+
+  await assert.rejects(backends.setWallpaper(IMAGE), /No XFCE desktop image properties found/);
+  assert.equal(backends.supportsLockScreen(), false);
+  await assert.rejects(backends.setLockScreen(IMAGE), /not supported by XFCE/);
+});
+
+test('wlroots prefers swww', async () => {
+  const runner = createRunner({ commands: ['swww', 'swaybg'] });
+  const backends = new LinuxBackends({ runner, env: { XDG_CURRENT_DESKTOP: 'sway' } });
+
+  await backends.setWallpaper(IMAGE);
+
+  assert.deepEqual(runner.calls, [['swww', 'img', IMAGE]]);
+  assert.equal(runner.spawned.length, 0);
+});
+
+test('wlroots replaces the running swaybg process', async () => {
+  const runner = createRunner({ commands: ['swaybg'] });
+  const backends = new LinuxBackends({ runner, env: { XDG_CURRENT_DESKTOP: 'Hyprland' } });
+
+  await backends.setWallpaper(IMAGE);
+  await backends.setWallpaper('/tmp/next.jpg');
+
+  assert.equal(runner.spawned.length, 2);
+  assert.equal(runner.spawned[0].killed, true);
+  assert.equal(runner.spawned[1].killed, false);
+  assert.deepEqual(runner.spawned[1].args, ['-i', '/tmp/next.jpg', '-m', 'fill']);
+});
+
+test('wlroots fails without swww or swaybg', async () => {
+  const backends = new LinuxBackends({ runner: createRunner(), env: { XDG_CURRENT_DESKTOP: 'sway' } });
+
+  await assert.rejects(backends.setWallpaper(IMAGE), /Neither swww nor swaybg found/);
+});
+
+test('x11 spans with feh and falls back to nitrogen', async () => {
+  const fehRunner = createRunner({ commands: ['feh', 'nitrogen'] });
+  await new LinuxBackends({ runner: fehRunner, env: { DISPLAY: ':0' } }).setWallpaper(IMAGE, { scale: 'span' });
+  assert.deepEqual(fehRunner.calls, [['feh', '--no-xinerama', '--bg-fill', IMAGE]]);
+
+  const nitrogenRunner = createRunner({ commands: ['nitrogen'] });
+  await new LinuxBackends({ runner: nitrogenRunner, env: { DISPLAY: ':0' } }).setWallpaper(IMAGE);
+  assert.deepEqual(nitrogenRunner.calls, [['nitrogen', '--set-zoom-fill', '--save', IMAGE]]);
+
+  const emptyRunner = createRunner();
+  await assert.rejects(
+    new LinuxBackends({ runner: emptyRunner, env: { DISPLAY: ':0' } }).setWallpaper(IMAGE),
+    /Neither feh nor nitrogen found/
+  );
+});
+
+test('custom backends can be registered', async () => {
+  const calls = [];
+  const backends = new LinuxBackends({ runner: createRunner(), env: {} });
+  backends.register('custom', { label: 'Custom', setWallpaper: async imagePath => calls.push(imagePath) });
+
+  assert.ok(backends.list().some(({ name, label }) => name === 'custom' && label === 'Custom'));
+  assert.deepEqual(await backends.setWallpaper(IMAGE, {}, 'custom'), { success: true, method: 'linux-custom' });
+  assert.deepEqual(calls, [IMAGE]);
+});
@@ -0,0 +1,74 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { compareVersions, parseManifest, parseVersion } from '../src/main/updateManager.js';
+
+const SHA256 = 'a'.repeat(64);
+
+test('parses versions with an optional v prefix and build metadata', () => {
+  assert.deepEqual(parseVersion('v1.2.3-beta.1+build.5'), { major: 1, minor: 2, patch: 3, prerelease: ['beta', '1'] });
+  assert.equal(parseVersion('1.2'), null);
+  assert.equal(parseVersion(undefined), null);
+});
+
+test('compares versions by semver precedence', () => {
+  assert.equal(compareVersions('1.0.1', '1.0.1'), 0);
+  assert.equal(compareVersions('1.0.1', 'v1.0.1'), 0);
+  assert.equal(compareVersions('1.0.1', '1.0.10'), -1);
+  assert.equal(compareVersions('2.0.0', '1.99.99'), 1);
+  assert.equal(compareVersions('1.0.0+build.1', '1.0.0+build.2'), 0);
+});
+
+test('orders prereleases below the release', () => {
+  const ordered = ['1.0.0-alpha', '1.0.0-alpha.1', '1.0.0-alpha.beta', '1.0.0-beta', '1.0.0-beta.2', '1.0.0-beta.11', '1.0.0-rc.1', '1.0.0'];
+  for (let i = 0; i < ordered.length - 1; i++) {
+    assert.equal(compareVersions(ordered[i], ordered[i + 1]), -1, `${ordered[i]} < ${ordered[i + 1]}`);
+    assert.equal(compareVersions(ordered[i + 1], ordered[i]), 1, `${ordered[i + 1]} > ${ordered[i]}`);
+  }
+});
+
+test('throws on invalid versions', () => {
+  assert.throws(() => compareVersions('1.0', '1.0.0'), /Invalid version: 1\.0/);
+  assert.throws(() => compareVersions('1.0.0', 'latest'), /Invalid version: latest/);
+});
+
+test('picks the artifact for the current platform and arch', () => {
+  const release = parseManifest({
+    version: 'v1.1.0',
+    minimumVersion: 'v1.0.0',
+    notes: '修复若干问题',
+    platforms: {
+      'win32-x64': { url: 'https://example.com/setup-x64.exe', sha256: SHA256.toUpperCase(), size: 1024 },
+      linux: { url: 'https://example.com/app.AppImage', sha256: SHA256 }
+    }
+  }, { platform: 'win32', arch: 'x64' });
+
+  assert.deepEqual(release, {
+    version: '1.1.0',
+    minimumVersion: '1.0.0',
+    releaseDate: null,
+    notes: '修复若干问题',
+    artifact: { url: 'https://example.com/setup-x64.exe', sha256: SHA256, size: 1024 }
+  });
+
+  const linux = parseManifest(JSON.stringify({
+    version: '1.1.0',
+    platforms: { linux: { url: 'https://example.com/app.AppImage', sha256: SHA256 } }
+  }), { platform: 'linux', arch: 'arm64' });
+  assert.deepEqual(linux.artifact, { url: 'https://example.com/app.AppImage', sha256: SHA256, size: null });
+
+  assert.equal(parseManifest({ version: '1.1.0' }, { platform: 'darwin', arch: 'arm64' }).artifact, null);
+});
+
+test('rejects invalid manifests', () => {
+  assert.throws(() => parseManifest(null), /no valid version/);
+  assert.throws(() => parseManifest({ version: 'next' }), /no valid version/);
+  assert.throws(() => parseManifest({ version: '1.1.0', minimumVersion: '1' }), /invalid minimumVersion/);
+  assert.throws(() => parseManifest({
+    version: '1.1.0',
+    platforms: { linux: { url: 'http://example.com/app.AppImage', sha256: SHA256 } }
+  }, { platform: 'linux', arch: 'x64' }), /invalid artifact for linux-x64/);
+  assert.throws(() => parseManifest({
+    version: '1.1.0',
+    platforms: { linux: { url: 'https://example.com/app.AppImage', sha256: 'abc' } }
+  }, { platform: 'linux', arch: 'x64' }), /invalid artifact/);
+});